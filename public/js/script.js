@@ -0,0 +1,198 @@
+/**
+ * Page scripts, wired to elements by data attributes:
+ * - Passkeys (WebAuthn): registration on /account/passkeys and login on
+ *   /login. The server sends and expects binary fields as base64url.
+ * - Live log tail on /admin/logs.
+ */
+(() => {
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  const toBuffer = (value) => {
+    const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0)).buffer;
+  };
+
+  const toBase64url = (buffer) => {
+    const binary = String.fromCharCode(...new Uint8Array(buffer));
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  };
+
+  /**
+   * POSTs JSON with the CSRF token. Errors carry the problem+json detail.
+   */
+  const postJson = async (url, csrf, body = {}) => {
+    const response = await fetch(url, {
+      method: "POST",
+      credentials: "same-origin",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        "X-CSRF-Token": csrf,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.detail || data.title || response.statusText);
+    }
+
+    return data;
+  };
+
+  const showError = (button, error) => {
+    // The user closed the browser dialog or it timed out; nothing to report
+    if (error.name === "NotAllowedError" || error.name === "AbortError") {
+      return;
+    }
+
+    Swal.fire({ title: button.dataset.errorTitle, text: error.message, icon: "error" });
+  };
+
+  /**
+   * Runs a ceremony from a button, keeping it disabled meanwhile.
+   */
+  const bind = (button, ceremony) => {
+    button.hidden = false;
+    button.addEventListener("click", async () => {
+      button.disabled = true;
+
+      try {
+        const { redirect } = await ceremony(button.dataset.csrf);
+        window.location.assign(redirect);
+      } catch (error) {
+        showError(button, error);
+      } finally {
+        button.disabled = false;
+      }
+    });
+  };
+
+  // ---------------------------------------------------------------------------
+  // Ceremonies
+  // ---------------------------------------------------------------------------
+
+  const register = async (csrf) => {
+    const options = await postJson("/account/passkeys/options", csrf);
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: toBuffer(options.challenge),
+        user: { ...options.user, id: toBuffer(options.user.id) },
+        excludeCredentials: options.excludeCredentials.map((item) => ({
+          ...item,
+          id: toBuffer(item.id),
+        })),
+      },
+    });
+
+    return postJson("/account/passkeys", csrf, {
+      id: credential.id,
+      rawId: toBase64url(credential.rawId),
+      type: credential.type,
+      response: {
+        clientDataJSON: toBase64url(credential.response.clientDataJSON),
+        attestationObject: toBase64url(credential.response.attestationObject),
+        transports: credential.response.getTransports?.() ?? [],
+      },
+    });
+  };
+
+  const login = async (csrf) => {
+    const options = await postJson("/login/passkey/options", csrf);
+    const credential = await navigator.credentials.get({
+      publicKey: { ...options, challenge: toBuffer(options.challenge) },
+    });
+    const { response } = credential;
+
+    return postJson("/login/passkey", csrf, {
+      id: credential.id,
+      rawId: toBase64url(credential.rawId),
+      type: credential.type,
+      response: {
+        clientDataJSON: toBase64url(response.clientDataJSON),
+        authenticatorData: toBase64url(response.authenticatorData),
+        signature: toBase64url(response.signature),
+        userHandle: response.userHandle ? toBase64url(response.userHandle) : undefined,
+      },
+    });
+  };
+
+  // ---------------------------------------------------------------------------
+  // Log tail (/admin/logs)
+  // ---------------------------------------------------------------------------
+
+  const cell = (text) => {
+    const td = document.createElement("td");
+    td.textContent = text ?? "";
+    return td;
+  };
+
+  const entryRow = (entry) => {
+    const row = document.createElement("tr");
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    const pre = document.createElement("pre");
+    const message = document.createElement("td");
+
+    summary.textContent = entry.msg;
+    pre.textContent = entry.raw;
+    details.append(summary, pre);
+    message.append(details);
+    row.append(
+      cell(entry.time ? new Date(entry.time).toLocaleString() : ""),
+      cell(entry.level),
+      message,
+      cell(entry.requestId)
+    );
+
+    return row;
+  };
+
+  /**
+   * Toggles a Server-Sent Events stream; new entries go on top of the table.
+   */
+  const bindLogTail = (button) => {
+    const table = document.querySelector("[data-log-entries]");
+    let source = null;
+
+    button.hidden = false;
+    button.addEventListener("click", () => {
+      if (source) {
+        source.close();
+        source = null;
+        button.textContent = button.dataset.startLabel;
+        return;
+      }
+
+      source = new EventSource(button.dataset.logTail);
+      source.addEventListener("entry", (event) => {
+        table.prepend(entryRow(JSON.parse(event.data)));
+      });
+      button.textContent = button.dataset.stopLabel;
+    });
+  };
+
+  // ---------------------------------------------------------------------------
+  // Wiring
+  // ---------------------------------------------------------------------------
+
+  document.addEventListener("DOMContentLoaded", () => {
+    if (window.EventSource) {
+      document.querySelectorAll("[data-log-tail]").forEach(bindLogTail);
+    }
+
+    if (!window.PublicKeyCredential) {
+      document.querySelectorAll("[data-passkey-unsupported]").forEach((element) => {
+        element.hidden = false;
+      });
+      return;
+    }
+
+    document.querySelectorAll("[data-passkey-register]").forEach((button) => bind(button, register));
+    document.querySelectorAll("[data-passkey-login]").forEach((button) => bind(button, login));
+  });
+})();
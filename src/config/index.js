@@ -0,0 +1,26 @@
+import "dotenv/config";
+import { formatReport, loadConfig } from "./schema.js";
+
+/**
+ * Application configuration, read once from the environment (and .env) and
+ * checked against the schema in ./schema.js. Modules import `config`
+ * instead of reading process.env.
+ *
+ * Startup stops here with a report when a value is missing or invalid, so
+ * a bad deployment fails before serving requests. `npm run config:check`
+ * prints the same report without starting the app.
+ */
+
+const result = loadConfig(process.env);
+
+if (result.errors.length > 0) {
+  console.error(`[ERROR] ${formatReport(result)}`);
+  process.exit(1);
+}
+
+result.warnings.forEach(({ env, message }) => console.warn(`[WARN] ${env} ${message}`));
+
+/** @type {Object} Typed configuration, shaped like SCHEMA */
+export const config = Object.freeze(result.config);
+
+export default config;
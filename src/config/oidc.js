@@ -0,0 +1,41 @@
+import { config } from "./index.js";
+
+/**
+ * OpenID Connect providers for social / company SSO login.
+ *
+ * OIDC_PROVIDERS lists provider ids ("sso,google"); each id reads its
+ * settings from OIDC_<ID>_* variables (id upper-cased, "-" as "_"):
+ *   ISSUER                 Issuer URL, discovered via /.well-known/openid-configuration
+ *   CLIENT_ID, CLIENT_SECRET
+ *   LABEL                  Button text (default: the id)
+ *   SCOPE                  Default "openid email profile"
+ *   MATCH_VERIFIED_EMAIL   "true" links a first login to the account with the
+ *                          same email, if the provider says it is verified
+ *   AUTO_CREATE            "false" refuses logins without a linked account
+ * The callback URL to register at the provider is
+ * <APP_URL>/auth/oidc/<id>/callback. The variables are read and checked with
+ * the rest of the configuration (config/schema.js).
+ */
+
+/**
+ * @typedef {Object} OidcProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {string} issuer
+ * @property {string} clientId
+ * @property {string} [clientSecret]
+ * @property {string} scope
+ * @property {boolean} matchVerifiedEmail
+ * @property {boolean} autoCreate
+ */
+
+/** Configured providers, in the order they are listed */
+export const OIDC_PROVIDERS = config.oidc.providers;
+
+/**
+ * Looks up a provider by id.
+ *
+ * @param {string} id
+ * @returns {OidcProvider|undefined}
+ */
+export const findProvider = (id) => OIDC_PROVIDERS.find((provider) => provider.id === id);
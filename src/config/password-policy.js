@@ -0,0 +1,25 @@
+import { config } from "./index.js";
+
+/**
+ * Password policy, from the PASSWORD_* settings (see config/schema.js).
+ * Applied by the validator to every new password (registration, reset,
+ * change) and by the login flow for the maximum age. Existing passwords are
+ * never rejected at login when the policy gets stricter; they only have to
+ * comply the next time they change.
+ */
+
+export { CHARACTER_CLASSES } from "./schema.js";
+
+/**
+ * @typedef {Object} PasswordPolicy
+ * @property {number} minLength
+ * @property {number} maxLength
+ * @property {string[]} require - Character classes that must appear
+ * @property {boolean} forbidPersonalInfo - Refuse passwords containing the name or email
+ * @property {number} historySize - Previous passwords that cannot be reused (0 = off)
+ * @property {number} maxAgeDays - Days before a password must be changed (0 = never)
+ * @property {string} [breachedListFile] - Sorted SHA-1 list (see scripts/build-breached-list.js)
+ */
+
+/** @type {PasswordPolicy} */
+export const PASSWORD_POLICY = config.password.policy;
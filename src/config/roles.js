@@ -0,0 +1,53 @@
+/**
+ * Roles and the permissions they grant.
+ * Permissions are "<resource>:<action>" names; "*" grants everything.
+ * A role's list is copied into the session at login, so changes here
+ * apply to users on their next login.
+ */
+
+/** Permissions every signed-in user has */
+const USER_PERMISSIONS = [
+  "account:read",
+  "account:update",
+];
+
+/** Extra permissions for moderators */
+const MODERATOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  "users:read",
+];
+
+/** Every permission name; API token scopes are picked from these */
+export const PERMISSIONS = [
+  "account:read",
+  "account:update",
+  "users:read",
+  "users:write",
+];
+
+export const ROLES = {
+  user: USER_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  admin: ["*"],
+};
+
+/** Role given to new accounts */
+export const DEFAULT_ROLE = "user";
+
+/**
+ * Returns the permissions granted by a role.
+ *
+ * @param {string} role - Role name
+ * @returns {string[]} - Permission names (empty for unknown roles)
+ */
+export const permissionsFor = (role) => [...(ROLES[role] ?? [])];
+
+/**
+ * Checks a permission against a list of granted permissions.
+ *
+ * @param {string[]} granted - Permissions held by the user
+ * @param {string} permission - Permission to check
+ * @returns {boolean}
+ */
+export const hasPermission = (granted = [], permission) =>
+  granted.includes("*") || granted.includes(permission);
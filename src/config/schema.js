@@ -0,0 +1,958 @@
+import crypto from "crypto";
+import fs from "fs";
+import net from "net";
+import { SUPPORTED_LOCALES } from "../i18n/locales/index.js";
+
+/**
+ * Declared configuration: every environment variable the app reads, with
+ * its type, default and checks. `loadConfig` turns an environment into the
+ * typed config object plus a list of problems; it never exits or logs, so
+ * scripts/check-config.js can report on any environment. The app itself
+ * loads it through ./index.js, which stops at startup on errors.
+ */
+
+// -----------------------------------------------------------------------------
+// Schema
+// -----------------------------------------------------------------------------
+//
+// Each leaf describes one variable:
+//   env                  Variable name
+//   type                 "string", "integer", "boolean", "enum", "list" or "url"
+//   default              Used when the variable is unset or empty
+//   required             Must be set in every environment
+//   requiredInProduction Must be set when NODE_ENV=production
+//   min, max             Bounds for integers
+//   values               Allowed values for enums and list items
+//   pattern              Regular expression a string must match
+//   secret               Masked in reports; checked for strength (see minLength)
+//   minLength            Minimum length of a secret (default 32)
+//   weakSecret           "warn" when a weak value cannot simply be replaced
+//   generate             Development fallback for a missing secret
+//   aliases              Older names still accepted, with a warning
+//   description          What the variable is for
+
+/** Character classes a password policy can require */
+export const CHARACTER_CLASSES = ["uppercase", "lowercase", "digits", "symbols"];
+
+/** Built-in metric groups (see utils/metrics.js) */
+export const METRIC_GROUPS = ["http", "auth", "password", "sessions", "mongo", "process"];
+
+/** Placeholder values that must never reach production as secrets */
+const PLACEHOLDER_SECRETS = ["xxx", "secret", "changeme", "change-me", "fallback-secret", "fallback-pepper"];
+
+const randomSecret = () => crypto.randomBytes(32).toString("hex");
+
+export const SCHEMA = {
+  env: {
+    env: "NODE_ENV",
+    type: "enum",
+    values: ["development", "production", "test"],
+    default: "development",
+    description: "Runtime environment",
+  },
+
+  app: {
+    port: { env: "PORT", type: "integer", min: 1, max: 65535, default: 3000, description: "HTTP port" },
+    url: {
+      env: "APP_URL",
+      type: "url",
+      requiredInProduction: true,
+      description: "Public base URL, used for links in emails and OIDC callbacks",
+    },
+    allowedOrigins: {
+      env: "ALLOWED_ORIGINS",
+      type: "list",
+      default: [],
+      description: "CORS origins (empty allows any)",
+    },
+    trustProxy: {
+      env: "TRUST_PROXY",
+      type: "list",
+      default: [],
+      description:
+        'Reverse proxies whose X-Forwarded-* headers are believed: a hop count, "true" for any, or addresses, CIDR ranges and loopback, linklocal, uniquelocal. Empty trusts none, so req.ip is the connecting address',
+    },
+    useHttps: { env: "USE_HTTPS", type: "boolean", default: false, description: "Serve HTTPS in production" },
+    sslKeyPath: { env: "SSL_KEY_PATH", type: "string", description: "TLS private key file" },
+    sslCertPath: { env: "SSL_CERT_PATH", type: "string", description: "TLS certificate file" },
+  },
+
+  mongo: {
+    uri: {
+      env: "MONGODB_URI",
+      type: "string",
+      required: true,
+      pattern: /^mongodb(\+srv)?:\/\//,
+      aliases: ["MONGO_URI"],
+      description: "MongoDB connection string",
+    },
+  },
+
+  session: {
+    secret: {
+      env: "SESSION_SECRET",
+      type: "string",
+      secret: true,
+      requiredInProduction: true,
+      generate: randomSecret,
+      description: "Signs session cookies",
+    },
+    ttlMinutes: {
+      env: "SESSION_TTL_MINUTES",
+      type: "integer",
+      min: 5,
+      default: 60,
+      description: "Minutes of inactivity before a login session ends",
+    },
+  },
+
+  cookie: {
+    secret: { env: "COOKIE_SECRET", type: "string", secret: true, description: "Signs other cookies" },
+  },
+
+  csrf: {
+    apiDoubleSubmit: {
+      env: "CSRF_API_DOUBLE_SUBMIT",
+      type: "boolean",
+      default: false,
+      description: "Check the double-submit cookie on /api requests without a bearer token",
+    },
+    cookieName: {
+      env: "CSRF_COOKIE_NAME",
+      type: "string",
+      pattern: /^[\w-]+$/,
+      default: "XSRF-TOKEN",
+      description: "Cookie holding the double-submit token",
+    },
+  },
+
+  rememberMe: {
+    days: {
+      env: "REMEMBER_ME_DAYS",
+      type: "integer",
+      min: 1,
+      max: 365,
+      default: 30,
+      description: "Days a \"Remember me\" login lasts without being used",
+    },
+    cookieName: {
+      env: "REMEMBER_ME_COOKIE",
+      type: "string",
+      pattern: /^[\w-]+$/,
+      default: "remember_me",
+      description: "Cookie holding the persistent login token",
+    },
+  },
+
+  log: {
+    enabled: {
+      env: "LOG_ENABLED",
+      type: "boolean",
+      default: true,
+      description: "Write application logs; when false only errors reach the console",
+    },
+    level: {
+      env: "LOG_LEVEL",
+      type: "enum",
+      values: ["fatal", "error", "warn", "info", "debug", "trace", "silent"],
+      default: "info",
+      description: "Minimum log level",
+    },
+    format: {
+      env: "LOG_FORMAT",
+      type: "enum",
+      values: ["auto", "json", "pretty"],
+      default: "auto",
+      description: "Console output; auto is JSON in production and pretty otherwise",
+    },
+    redact: {
+      env: "LOG_REDACT",
+      type: "list",
+      default: [],
+      description: "Paths censored in log lines on top of the built-in ones (pino redact syntax)",
+    },
+    file: {
+      enabled: { env: "LOG_FILE_ENABLED", type: "boolean", default: true, description: "Write JSON lines to LOG_FILE" },
+      path: {
+        env: "LOG_FILE",
+        type: "string",
+        default: "logs/file/app.log",
+        description: "Application log file; rotated archives sit next to it",
+      },
+      maxSize: {
+        env: "LOG_FILE_MAX_SIZE",
+        type: "string",
+        pattern: /^\d+[BKMG]$/,
+        default: "10M",
+        description: "Rotate once the file reaches this size (e.g. 500K, 10M)",
+      },
+      interval: {
+        env: "LOG_FILE_INTERVAL",
+        type: "string",
+        pattern: /^\d+[smhdM]$/,
+        default: "1d",
+        description: "Rotate at least this often (e.g. 12h, 1d)",
+      },
+      maxFiles: {
+        env: "LOG_FILE_MAX_FILES",
+        type: "integer",
+        min: 1,
+        max: 365,
+        default: 14,
+        description: "Rotated archives kept; older ones are deleted",
+      },
+    },
+    mongo: {
+      enabled: { env: "LOG_MONGO_ENABLED", type: "boolean", default: false, description: "Also write log lines to MongoDB" },
+      collection: {
+        env: "LOG_MONGO_COLLECTION",
+        type: "string",
+        pattern: /^[\w.-]+$/,
+        default: "app_logs",
+        description: "Collection for log lines",
+      },
+      retentionDays: {
+        env: "LOG_MONGO_RETENTION_DAYS",
+        type: "integer",
+        min: 1,
+        default: 14,
+        description: "Days log lines are kept in MongoDB",
+      },
+    },
+  },
+
+  metrics: {
+    enabled: { env: "METRICS_ENABLED", type: "boolean", default: true, description: "Serve Prometheus metrics" },
+    path: {
+      env: "METRICS_PATH",
+      type: "string",
+      pattern: /^\/[\w/-]*$/,
+      default: "/metrics",
+      description: "Path of the metrics endpoint",
+    },
+    token: {
+      env: "METRICS_TOKEN",
+      type: "string",
+      secret: true,
+      description: "Bearer token for scrapers outside METRICS_ALLOWED_IPS",
+    },
+    allowedIps: {
+      env: "METRICS_ALLOWED_IPS",
+      type: "list",
+      default: [],
+      description: "Addresses or CIDR ranges (matched on req.ip, see TRUST_PROXY) that may scrape without the token",
+    },
+    prefix: {
+      env: "METRICS_PREFIX",
+      type: "string",
+      pattern: /^[a-zA-Z_:][\w:]*$/,
+      default: "",
+      description: "Prepended to every metric name",
+    },
+    collect: {
+      env: "METRICS_COLLECT",
+      type: "list",
+      values: METRIC_GROUPS,
+      default: METRIC_GROUPS,
+      description: "Built-in metric groups to export",
+    },
+  },
+
+  health: {
+    cacheSeconds: {
+      env: "HEALTH_CACHE_SECONDS",
+      type: "integer",
+      min: 0,
+      max: 300,
+      default: 5,
+      description: "Seconds readiness results are reused before the probes run again",
+    },
+    probeTimeoutMs: {
+      env: "HEALTH_PROBE_TIMEOUT_MS",
+      type: "integer",
+      min: 100,
+      max: 30000,
+      default: 2000,
+      description: "Time a readiness probe gets before it counts as failed",
+    },
+    minFreeDiskMb: {
+      env: "HEALTH_MIN_FREE_DISK_MB",
+      type: "integer",
+      min: 0,
+      default: 100,
+      description: "Free space needed next to LOG_FILE",
+    },
+    drainSeconds: {
+      env: "HEALTH_DRAIN_SECONDS",
+      type: "integer",
+      min: 0,
+      max: 300,
+      default: 10,
+      description: "Seconds readiness reports not ready on SIGTERM before the server stops accepting connections",
+    },
+    shutdownTimeoutSeconds: {
+      env: "HEALTH_SHUTDOWN_TIMEOUT_SECONDS",
+      type: "integer",
+      min: 1,
+      max: 600,
+      default: 30,
+      description: "Seconds open connections get to finish before the process exits anyway",
+    },
+  },
+
+  mail: {
+    from: {
+      env: "MAIL_FROM",
+      type: "string",
+      requiredInProduction: true,
+      default: "no-reply@localhost",
+      description: "Sender address",
+    },
+    smtp: {
+      host: {
+        env: "SMTP_HOST",
+        type: "string",
+        requiredInProduction: true,
+        description: "SMTP server; without it emails are only logged",
+      },
+      port: { env: "SMTP_PORT", type: "integer", min: 1, max: 65535, default: 587, description: "SMTP port" },
+      user: { env: "SMTP_USER", type: "string", description: "SMTP user name" },
+      pass: { env: "SMTP_PASS", type: "string", secret: true, minLength: 1, description: "SMTP password" },
+    },
+  },
+
+  i18n: {
+    defaultLocale: {
+      env: "DEFAULT_LOCALE",
+      type: "enum",
+      values: SUPPORTED_LOCALES,
+      default: "id",
+      description: "Language when the browser and user have none",
+    },
+  },
+
+  passwordReset: {
+    ttlMinutes: {
+      env: "PASSWORD_RESET_TTL_MINUTES",
+      type: "integer",
+      min: 1,
+      default: 30,
+      description: "Lifetime of a reset link",
+    },
+  },
+
+  emailVerification: {
+    mode: {
+      env: "EMAIL_VERIFICATION_MODE",
+      type: "enum",
+      values: ["block", "banner", "grace"],
+      default: "block",
+      description: "How unverified accounts are treated",
+    },
+    graceHours: {
+      env: "EMAIL_VERIFICATION_GRACE_HOURS",
+      type: "integer",
+      min: 0,
+      default: 72,
+      description: "Grace period in \"grace\" mode",
+    },
+    ttlHours: {
+      env: "EMAIL_VERIFICATION_TTL_HOURS",
+      type: "integer",
+      min: 1,
+      default: 24,
+      description: "Lifetime of a verification link",
+    },
+  },
+
+  totp: {
+    issuer: { env: "TOTP_ISSUER", type: "string", default: "Pino Auth", description: "Name shown in authenticator apps" },
+  },
+
+  webauthn: {
+    rpId: {
+      env: "WEBAUTHN_RP_ID",
+      type: "string",
+      pattern: /^[a-z0-9.-]+$/,
+      description: "Domain passkeys are bound to (defaults to the host of APP_URL)",
+    },
+    rpName: { env: "WEBAUTHN_RP_NAME", type: "string", default: "Pino Auth", description: "Site name shown when creating a passkey" },
+    origins: {
+      env: "WEBAUTHN_ORIGINS",
+      type: "list",
+      default: [],
+      description: "Origins allowed to use passkeys (defaults to the origin of APP_URL)",
+    },
+    attestation: {
+      env: "WEBAUTHN_ATTESTATION",
+      type: "enum",
+      values: ["none", "direct"],
+      default: "none",
+      description: "Ask authenticators for an attestation statement",
+    },
+    timeoutSeconds: {
+      env: "WEBAUTHN_TIMEOUT_SECONDS",
+      type: "integer",
+      min: 30,
+      max: 600,
+      default: 300,
+      description: "Time allowed for a passkey ceremony",
+    },
+  },
+
+  loginThrottle: {
+    maxFailuresPerAccount: { env: "LOGIN_MAX_FAILURES_PER_ACCOUNT", type: "integer", min: 1, default: 5 },
+    maxFailuresPerIp: { env: "LOGIN_MAX_FAILURES_PER_IP", type: "integer", min: 1, default: 20 },
+    lockoutMinutes: { env: "LOGIN_LOCKOUT_MINUTES", type: "integer", min: 1, default: 15 },
+    failureWindowMinutes: { env: "LOGIN_FAILURE_WINDOW_MINUTES", type: "integer", min: 1, default: 15 },
+    delayBaseMs: { env: "LOGIN_DELAY_BASE_MS", type: "integer", min: 0, default: 250 },
+    delayMaxMs: { env: "LOGIN_DELAY_MAX_MS", type: "integer", min: 0, default: 5000 },
+  },
+
+  jwt: {
+    secret: {
+      env: "JWT_SECRET",
+      type: "string",
+      secret: true,
+      requiredInProduction: true,
+      generate: randomSecret,
+      description: "Signs API access tokens",
+    },
+    issuer: { env: "JWT_ISSUER", type: "string", default: "pino-auth", description: "Access token issuer claim" },
+    accessTtl: {
+      env: "JWT_ACCESS_TTL",
+      type: "integer",
+      min: 60,
+      default: 15 * 60,
+      description: "Access token lifetime, in seconds",
+    },
+    refreshTtlDays: {
+      env: "JWT_REFRESH_TTL_DAYS",
+      type: "integer",
+      min: 1,
+      default: 30,
+      description: "Refresh token lifetime",
+    },
+  },
+
+  apiTokens: {
+    maxPerUser: {
+      env: "API_TOKEN_MAX_PER_USER",
+      type: "integer",
+      min: 1,
+      default: 20,
+      description: "Active personal access tokens one account may hold",
+    },
+    rateLimit: {
+      env: "API_TOKEN_RATE_LIMIT",
+      type: "integer",
+      min: 1,
+      default: 1000,
+      description: "Requests one token may make per window, unless set on the token",
+    },
+    rateWindowMinutes: {
+      env: "API_TOKEN_RATE_WINDOW_MINUTES",
+      type: "integer",
+      min: 1,
+      max: 24 * 60,
+      default: 15,
+      description: "Length of the per-token rate limit window",
+    },
+  },
+
+  audit: {
+    retentionDays: {
+      env: "AUDIT_RETENTION_DAYS",
+      type: "integer",
+      min: 1,
+      default: 90,
+      description: "Days audit events are kept",
+    },
+  },
+
+  password: {
+    hashAlgorithm: {
+      env: "PASSWORD_HASH_ALGORITHM",
+      type: "enum",
+      values: ["bcrypt", "argon2id"],
+      default: "bcrypt",
+      description: "Algorithm for new hashes",
+    },
+    bcryptRounds: { env: "BCRYPT_ROUNDS", type: "integer", min: 10, max: 15, default: 10 },
+    argon2: {
+      memoryCost: { env: "ARGON2_MEMORY_COST", type: "integer", min: 8192, default: 19456 },
+      timeCost: { env: "ARGON2_TIME_COST", type: "integer", min: 1, default: 2 },
+      parallelism: { env: "ARGON2_PARALLELISM", type: "integer", min: 1, default: 1 },
+    },
+    pepper: {
+      legacy: {
+        env: "PASSWORD_PEPPER",
+        type: "string",
+        secret: true,
+        minLength: 16,
+        // Existing hashes depend on it, so a weak value can only be rotated out
+        weakSecret: "warn",
+        description: "Pepper of hashes without a key id",
+      },
+      keys: {
+        env: "PASSWORD_PEPPERS",
+        type: "string",
+        secret: true,
+        minLength: 1,
+        description: "Pepper keyring as \"<id>:<secret>,...\"",
+      },
+      active: { env: "PASSWORD_PEPPER_ACTIVE", type: "string", description: "Pepper id for new hashes" },
+      file: { env: "PASSWORD_PEPPER_FILE", type: "string", description: "Pepper keyring JSON file" },
+    },
+    policy: {
+      minLength: { env: "PASSWORD_MIN_LENGTH", type: "integer", min: 1, default: 8 },
+      maxLength: { env: "PASSWORD_MAX_LENGTH", type: "integer", min: 1, default: 100 },
+      require: {
+        env: "PASSWORD_REQUIRE",
+        type: "list",
+        values: CHARACTER_CLASSES,
+        default: CHARACTER_CLASSES,
+        description: "Character classes new passwords need",
+      },
+      forbidPersonalInfo: { env: "PASSWORD_FORBID_PERSONAL_INFO", type: "boolean", default: true },
+      historySize: {
+        env: "PASSWORD_HISTORY_SIZE",
+        type: "integer",
+        min: 0,
+        default: 5,
+        description: "Previous passwords that cannot be reused (0 = off)",
+      },
+      maxAgeDays: {
+        env: "PASSWORD_MAX_AGE_DAYS",
+        type: "integer",
+        min: 0,
+        default: 0,
+        description: "Days before a password must be changed (0 = never)",
+      },
+      breachedListFile: {
+        env: "PASSWORD_BREACHED_LIST_FILE",
+        type: "string",
+        description: "Sorted SHA-1 list from breached-list:build",
+      },
+    },
+  },
+
+  oidc: {
+    providers: {
+      env: "OIDC_PROVIDERS",
+      type: "list",
+      default: [],
+      description: "OpenID Connect provider ids; each reads OIDC_<ID>_*",
+    },
+  },
+};
+
+// -----------------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------------
+
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off"];
+
+/**
+ * Parsers by type. Each returns the typed value or throws with the reason.
+ */
+const PARSERS = {
+  string: (raw, rule) => {
+    if (rule.pattern && !rule.pattern.test(raw)) {
+      throw new Error(`does not match ${rule.pattern}`);
+    }
+
+    return raw;
+  },
+
+  integer: (raw, rule) => {
+    if (!/^-?\d+$/.test(raw)) {
+      throw new Error("must be a whole number");
+    }
+
+    const value = Number(raw);
+
+    if (rule.min !== undefined && value < rule.min) {
+      throw new Error(`must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      throw new Error(`must be at most ${rule.max}`);
+    }
+
+    return value;
+  },
+
+  boolean: (raw) => {
+    const value = raw.toLowerCase();
+
+    if (TRUE_VALUES.includes(value)) return true;
+    if (FALSE_VALUES.includes(value)) return false;
+
+    throw new Error('must be "true" or "false"');
+  },
+
+  enum: (raw, rule) => {
+    if (!rule.values.includes(raw)) {
+      throw new Error(`must be one of: ${rule.values.join(", ")}`);
+    }
+
+    return raw;
+  },
+
+  list: (raw, rule) => {
+    const items = raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    const unknown = rule.values ? items.filter((item) => !rule.values.includes(item)) : [];
+
+    if (unknown.length > 0) {
+      throw new Error(`has unknown value(s) ${unknown.join(", ")}; allowed: ${rule.values.join(", ")}`);
+    }
+
+    return items;
+  },
+
+  url: (raw) => {
+    let parsed;
+
+    try {
+      parsed = new URL(raw);
+    } catch {
+      throw new Error("must be an absolute URL");
+    }
+
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      throw new Error("must be an http(s) URL");
+    }
+
+    return raw.replace(/\/+$/, "");
+  },
+};
+
+/** Names Express accepts in "trust proxy" for well-known ranges */
+const PROXY_RANGE_NAMES = ["loopback", "linklocal", "uniquelocal"];
+
+/**
+ * Whether an entry is an IP address or a CIDR range.
+ *
+ * @param {string} entry
+ * @returns {boolean}
+ */
+const isAddressOrRange = (entry) => {
+  const [address, bits, ...rest] = entry.split("/");
+  const version = net.isIP(address);
+  const maxBits = version === 6 ? 128 : 32;
+
+  return Boolean(version) && rest.length === 0 && (bits === undefined || (/^\d+$/.test(bits) && Number(bits) <= maxBits));
+};
+
+/**
+ * Why a secret is too weak, or null.
+ *
+ * @param {string} value
+ * @param {Object} rule
+ * @returns {string|null}
+ */
+const secretWeakness = (value, rule) => {
+  const minLength = rule.minLength ?? 32;
+
+  if (PLACEHOLDER_SECRETS.includes(value.toLowerCase())) {
+    return "is a placeholder value";
+  }
+  if (value.length < minLength) {
+    return `is too short (${value.length} characters, at least ${minLength} needed)`;
+  }
+  if (minLength >= 16 && new Set(value).size < 8) {
+    return "has too few distinct characters";
+  }
+
+  return null;
+};
+
+/**
+ * Calls `visit(rule, path)` for every leaf of the schema.
+ *
+ * @param {Object} node
+ * @param {(rule: Object, path: string[]) => void} visit
+ * @param {string[]} [path]
+ */
+const walk = (node, visit, path = []) => {
+  if (typeof node.env === "string") {
+    visit(node, path);
+    return;
+  }
+
+  Object.entries(node).forEach(([name, child]) => walk(child, visit, [...path, name]));
+};
+
+/**
+ * Sets a nested property, creating the parents.
+ */
+const setPath = (target, path, value) => {
+  const parent = path.slice(0, -1).reduce((node, name) => (node[name] ??= {}), target);
+  parent[path.at(-1)] = value;
+};
+
+// -----------------------------------------------------------------------------
+// OpenID Connect providers
+// -----------------------------------------------------------------------------
+//
+// Providers are listed in OIDC_PROVIDERS and each reads OIDC_<ID>_* variables
+// (id upper-cased, "-" as "_"), so they are checked here rather than declared
+// one by one. See config/oidc.js for the meaning of each setting.
+
+/**
+ * Reads the listed OIDC providers.
+ *
+ * @param {string[]} ids
+ * @param {Object} env
+ * @param {(name: string, message: string) => void} error
+ * @param {Object[]} entries - Report entries, appended to
+ * @returns {import("./oidc.js").OidcProvider[]}
+ */
+const readOidcProviders = (ids, env, error, entries) =>
+  ids.flatMap((id) => {
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      error("OIDC_PROVIDERS", `provider id "${id}" may only use lowercase letters, digits and "-"`);
+      return [];
+    }
+
+    const prefix = `OIDC_${id.toUpperCase().replace(/-/g, "_")}_`;
+    const read = (name) => env[prefix + name] || undefined;
+
+    ["ISSUER", "CLIENT_ID"].forEach((name) => {
+      if (!read(name)) {
+        error(prefix + name, `is required for OIDC provider "${id}"`);
+      }
+    });
+
+    ["ISSUER", "CLIENT_ID", "CLIENT_SECRET", "LABEL", "SCOPE", "MATCH_VERIFIED_EMAIL", "AUTO_CREATE"]
+      .filter((name) => read(name) !== undefined)
+      .forEach((name) =>
+        entries.push({
+          env: prefix + name,
+          value: name === "CLIENT_SECRET" ? "********" : read(name),
+          source: "env",
+        })
+      );
+
+    if (read("ISSUER")) {
+      try {
+        PARSERS.url(read("ISSUER"));
+      } catch (reason) {
+        error(`${prefix}ISSUER`, reason.message);
+      }
+    }
+
+    return [
+      {
+        id,
+        label: read("LABEL") || id,
+        issuer: read("ISSUER"),
+        clientId: read("CLIENT_ID"),
+        clientSecret: read("CLIENT_SECRET"),
+        scope: read("SCOPE") || "openid email profile",
+        matchVerifiedEmail: read("MATCH_VERIFIED_EMAIL") === "true",
+        autoCreate: read("AUTO_CREATE") !== "false",
+      },
+    ];
+  });
+
+// -----------------------------------------------------------------------------
+// Loading
+// -----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} ConfigProblem
+ * @property {string} env - Variable name
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} LoadedConfig
+ * @property {Object} config - Typed values, shaped like SCHEMA
+ * @property {ConfigProblem[]} errors - The app must not start with these
+ * @property {ConfigProblem[]} warnings
+ * @property {{ env: string, value: string, source: string }[]} entries - For the report; secrets masked
+ */
+
+/**
+ * Reads and checks the configuration from an environment.
+ *
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {LoadedConfig}
+ */
+export const loadConfig = (env = process.env) => {
+  const config = {};
+  const errors = [];
+  const warnings = [];
+  const entries = [];
+  const error = (name, message) => errors.push({ env: name, message });
+  const warn = (name, message) => warnings.push({ env: name, message });
+
+  const isProduction = env.NODE_ENV === "production";
+
+  walk(SCHEMA, (rule, path) => {
+    const alias = rule.aliases?.find((name) => env[name]);
+    let raw = env[rule.env];
+    let source = "env";
+
+    if (!raw && alias) {
+      raw = env[alias];
+      warn(alias, `is deprecated, rename it to ${rule.env}`);
+    }
+
+    let value;
+
+    if (raw === undefined || raw === "") {
+      if (rule.required || (rule.requiredInProduction && isProduction)) {
+        error(rule.env, rule.required ? "is required" : "is required in production");
+      } else if (rule.generate) {
+        value = rule.generate();
+        source = "generated";
+        warn(rule.env, "is not set; using a random value that changes on every restart");
+      } else {
+        value = rule.default;
+        source = "default";
+      }
+    } else {
+      try {
+        value = PARSERS[rule.type](raw, rule);
+      } catch (reason) {
+        error(rule.env, reason.message);
+      }
+
+      const weakness = rule.secret && value !== undefined ? secretWeakness(value, rule) : null;
+
+      if (weakness) {
+        (isProduction && rule.weakSecret !== "warn" ? error : warn)(rule.env, weakness);
+      }
+    }
+
+    setPath(config, path, value);
+
+    if (value !== undefined) {
+      const shown = rule.secret ? "********" : Array.isArray(value) ? value.join(",") : String(value);
+      entries.push({ env: rule.env, value: shown, source });
+    }
+  });
+
+  // Cross-field checks
+  const { app, password, loginThrottle, webauthn, metrics } = config;
+
+  if (isProduction && !password.pepper.legacy && !password.pepper.keys && !password.pepper.file) {
+    error("PASSWORD_PEPPER", "or PASSWORD_PEPPERS / PASSWORD_PEPPER_FILE is required in production");
+  }
+
+  if (password.pepper.file && !fs.existsSync(password.pepper.file)) {
+    error("PASSWORD_PEPPER_FILE", `file not found: ${password.pepper.file}`);
+  }
+
+  if (password.policy.breachedListFile && !fs.existsSync(password.policy.breachedListFile)) {
+    warn(
+      "PASSWORD_BREACHED_LIST_FILE",
+      `file not found: ${password.policy.breachedListFile}; the breached-password check is off`
+    );
+  }
+
+  if (password.policy.minLength > password.policy.maxLength) {
+    error("PASSWORD_MIN_LENGTH", "must not be greater than PASSWORD_MAX_LENGTH");
+  }
+
+  if (loginThrottle.delayBaseMs > loginThrottle.delayMaxMs) {
+    error("LOGIN_DELAY_BASE_MS", "must not be greater than LOGIN_DELAY_MAX_MS");
+  }
+
+  if (webauthn.rpId && app.url) {
+    const host = new URL(app.url).hostname;
+
+    if (host !== webauthn.rpId && !host.endsWith(`.${webauthn.rpId}`)) {
+      error("WEBAUTHN_RP_ID", `must be the host of APP_URL (${host}) or a parent domain of it`);
+    }
+  }
+
+  metrics.allowedIps.forEach((entry) => {
+    if (!isAddressOrRange(entry)) {
+      error("METRICS_ALLOWED_IPS", `not an address or CIDR range: ${entry}`);
+    }
+  });
+
+  if (metrics.enabled && !metrics.token && metrics.allowedIps.length === 0) {
+    warn("METRICS_TOKEN", "and METRICS_ALLOWED_IPS are not set; every metrics scrape is refused");
+  }
+
+  // Handed to app.set("trust proxy"): a boolean, a hop count or a list
+  const proxy = app.trustProxy.length <= 1 ? (app.trustProxy[0] ?? "false").toLowerCase() : null;
+
+  if (/^\d+$/.test(proxy)) {
+    app.trustProxy = Number(proxy);
+  } else if (TRUE_VALUES.includes(proxy) || FALSE_VALUES.includes(proxy)) {
+    app.trustProxy = TRUE_VALUES.includes(proxy);
+  }
+
+  if (Array.isArray(app.trustProxy)) {
+    app.trustProxy
+      .filter((entry) => !PROXY_RANGE_NAMES.includes(entry) && !isAddressOrRange(entry))
+      .forEach((entry) => error("TRUST_PROXY", `not a hop count, true/false, address, CIDR range or range name: ${entry}`));
+  }
+
+  if (isProduction && app.useHttps) {
+    [SCHEMA.app.sslKeyPath, SCHEMA.app.sslCertPath].forEach((rule) => {
+      const file = env[rule.env];
+
+      if (!file) {
+        error(rule.env, "is required when USE_HTTPS=true");
+      } else if (!fs.existsSync(file)) {
+        error(rule.env, `file not found: ${file}`);
+      }
+    });
+  }
+
+  config.isProduction = isProduction;
+  config.oidc.providers = readOidcProviders(config.oidc.providers ?? [], env, error, entries);
+
+  return { config, errors, warnings, entries };
+};
+
+// -----------------------------------------------------------------------------
+// Report
+// -----------------------------------------------------------------------------
+
+/**
+ * Formats problems (and, with `verbose`, every value) for the terminal.
+ *
+ * @param {LoadedConfig} result
+ * @param {{ verbose?: boolean }} [options]
+ * @returns {string}
+ */
+export const formatReport = ({ config, errors, warnings, entries }, { verbose = false } = {}) => {
+  const lines = [`Configuration check (NODE_ENV=${config.env ?? "?"})`];
+  const problem = (mark) => ({ env, message }) => lines.push(`  ${mark} ${env} ${message}`);
+
+  if (verbose) {
+    const width = Math.max(...entries.map((entry) => entry.env.length));
+
+    lines.push("", "Values:");
+    entries.forEach(({ env, value, source }) =>
+      lines.push(`  ${env.padEnd(width)}  ${value || "(empty)"}${source === "env" ? "" : `  (${source})`}`)
+    );
+  }
+
+  if (errors.length > 0) {
+    lines.push("", `Errors (${errors.length}):`);
+    errors.forEach(problem("✗"));
+  }
+
+  if (warnings.length > 0) {
+    lines.push("", `Warnings (${warnings.length}):`);
+    warnings.forEach(problem("!"));
+  }
+
+  if (errors.length === 0 && warnings.length === 0) {
+    lines.push("", "No problems found.");
+  }
+
+  return lines.join("\n");
+};
@@ -0,0 +1,208 @@
+import { OIDC_PROVIDERS } from "../config/oidc.js";
+import LogInCollection from "../models/users.js";
+import { auditRequest } from "../services/audit.js";
+import { signOutEverywhere } from "../services/sessions.js";
+import { compare, encrypt } from "../utils/bcript.js";
+import { beginAttempt, clearFailures, recordLoginFailure } from "../utils/login-throttle.js";
+import { clearRememberCookie, revokeUserRememberTokens } from "../utils/remember-tokens.js";
+import { sendVerificationEmail } from "../utils/verification.js";
+import validation, { createFieldValidator } from "../validator/user.validator.js";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/** Same limits for a new name as the signup form */
+const namaValidator = createFieldValidator({ fieldName: "nama", minLength: 2, maxLength: 50 });
+
+/**
+ * Loads the signed-in user's document.
+ *
+ * @param {import("express").Request} req
+ * @param {string} [select] - Extra fields, e.g. "+passwordHistory"
+ * @returns {Promise<Object|null>}
+ */
+const currentUser = (req, select) => {
+  const query = LogInCollection.findById(req.session.user.id);
+  return select ? query.select(select) : query;
+};
+
+/**
+ * Flashes the first validation error and goes back to the account page.
+ */
+const rejectForm = (req, res, text, status = 400) => {
+  req.flash("message", ["error", req.t("flash.error"), text]);
+  return res.status(status).redirect("/account");
+};
+
+/**
+ * Confirms the current password before a sensitive change. Goes through
+ * the login throttle, so a hijacked session cannot guess the password:
+ * wrong answers count towards the same lockout as failed logins.
+ * Answers the request itself when the password is not confirmed.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Object} user - User document
+ * @param {string} password - Password typed in the form
+ * @param {string} event - Audit event of the change, recorded on failure
+ * @returns {Promise<boolean>} - false once the response is sent
+ */
+const confirmPassword = async (req, res, user, password, event) => {
+  const lockout = await beginAttempt(user.email, req.ip);
+
+  if (lockout.locked) {
+    res.set("Retry-After", String(Math.ceil(lockout.retryAfterMs / 1000)));
+    rejectForm(req, res, req.t("login.tooManyAttempts"), 429);
+    return false;
+  }
+
+  if (!(await compare(password ?? "", user.password).catch(() => false))) {
+    await recordLoginFailure(req, user.email, "wrong_password", event);
+    rejectForm(req, res, req.t("account.wrongCurrentPassword"));
+    return false;
+  }
+
+  await clearFailures(user.email, req.ip);
+  return true;
+};
+
+// -----------------------------------------------------------------------------
+// Handlers
+// -----------------------------------------------------------------------------
+
+const accountView = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    const flashMsg = req.flash("message");
+
+    res.render("account", {
+      title: req.t("titles.account"),
+      layout: "layout/main-layout",
+      message: flashMsg?.[0],
+      user,
+      providers: OIDC_PROVIDERS,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const updateProfile = async (req, res, next) => {
+  try {
+    const hasil = validation(req.body, ["nama"], {
+      t: req.t,
+      validatePassword: false,
+      validateEmail: false,
+      customValidators: { nama: namaValidator },
+    });
+
+    // Validasi gagal
+    if (!hasil.isValid) {
+      return rejectForm(req, res, hasil.messages[0]);
+    }
+
+    await LogInCollection.updateOne({ _id: req.session.user.id }, { $set: { nama: hasil.data.nama } });
+    req.session.user.nama = hasil.data.nama;
+
+    auditRequest(req, "account.profile_update", { details: { fields: ["nama"] } });
+    req.flash("message", ["success", req.t("flash.success"), req.t("account.nameUpdated")]);
+    return res.redirect("/account");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const changeEmail = async (req, res, next) => {
+  try {
+    const hasil = validation(req.body, ["email", "currentPassword"], {
+      t: req.t,
+      validatePassword: false,
+    });
+
+    // Validasi gagal
+    if (!hasil.isValid) {
+      return rejectForm(req, res, hasil.messages[0]);
+    }
+
+    const user = await currentUser(req);
+    const email = hasil.data.email.toLowerCase();
+
+    if (!(await confirmPassword(req, res, user, hasil.data.currentPassword, "account.email_change_requested"))) {
+      return;
+    }
+
+    if (email === user.email) {
+      return rejectForm(req, res, req.t("account.sameEmail"));
+    }
+
+    if (await LogInCollection.exists({ email })) {
+      return rejectForm(req, res, req.t("signup.emailExists"));
+    }
+
+    // The address only changes once the link sent to it is opened
+    user.pendingEmail = email;
+    await sendVerificationEmail(req, user);
+
+    auditRequest(req, "account.email_change_requested", {
+      target: { id: user.id, email: user.email },
+      details: { newEmail: email },
+    });
+    req.flash("message", [
+      "success",
+      req.t("flash.success"),
+      req.t("account.emailConfirmationSent", { email }),
+    ]);
+    return res.redirect("/account");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const changePassword = async (req, res, next) => {
+  try {
+    const user = await currentUser(req, "+passwordHistory");
+    const hasil = validation(req.body, ["currentPassword", "password", "confirmPassword"], {
+      t: req.t,
+      validateEmail: false,
+      passwordMatchField: "confirmPassword",
+      user,
+    });
+
+    // Validasi gagal
+    if (!hasil.isValid) {
+      return rejectForm(req, res, hasil.messages[0]);
+    }
+
+    if (!(await confirmPassword(req, res, user, hasil.data.currentPassword, "auth.password_change"))) {
+      return;
+    }
+
+    if (await user.isPasswordReused(hasil.data.password)) {
+      return rejectForm(req, res, req.t("password.reused"));
+    }
+
+    const hashedPass = await encrypt(hasil.data.password);
+    await LogInCollection.updateOne({ _id: user._id }, user.passwordUpdate(hashedPass));
+
+    // Other devices and API clients have to log in again with the new password, "Remember me" included
+    const count = await signOutEverywhere(user.id, req.sessionID);
+    await revokeUserRememberTokens(user.id);
+    clearRememberCookie(res);
+
+    auditRequest(req, "auth.password_change", {
+      target: { id: user.id, email: user.email },
+      details: { method: "account", revokedSessions: count },
+    });
+    req.flash("message", [
+      "success",
+      req.t("flash.success"),
+      req.t("account.passwordUpdated"),
+    ]);
+    return res.redirect("/account");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { accountView, updateProfile, changeEmail, changePassword };
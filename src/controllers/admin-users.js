@@ -0,0 +1,166 @@
+import { AppError } from "../errors/index.js";
+import { requestContext } from "../services/audit.js";
+import { EXPIRY_CHOICES_DAYS, MAX_NAME_LENGTH, scopesFor } from "../services/api-tokens.js";
+import {
+  createUserApiToken,
+  deleteUser,
+  forcePasswordReset,
+  getUser,
+  listUsers,
+  pepperUsage,
+  revokeUserApiToken,
+  revokeUserSessions,
+  setUserDisabled,
+} from "../services/admin-users.js";
+
+/**
+ * Acting admin from the session, with request details for the audit log.
+ */
+const actorOf = (req) => {
+  const { actor, ...context } = requestContext(req);
+  return { ...actor, ...context };
+};
+
+/**
+ * Runs an admin action and redirects back with a flash message.
+ *
+ * @param {string} successKey - Catalog key of the message shown on success
+ * @param {(req: import("express").Request) => Promise<unknown>} action
+ * @param {(req: import("express").Request) => string} [redirectTo]
+ * @returns {import("express").RequestHandler}
+ */
+const adminAction = (successKey, action, redirectTo) => async (req, res, next) => {
+  const back = redirectTo ? redirectTo(req) : `/admin/users/${req.params.id}`;
+
+  try {
+    await action(req);
+    req.flash("message", ["success", req.t("flash.success"), req.t(successKey)]);
+  } catch (error) {
+    // Refusals (unknown user, acting on oneself) go back to the page; bugs do not
+    if (!(error instanceof AppError)) {
+      return next(error);
+    }
+
+    req.flash("message", ["error", req.t("flash.error"), req.t(error.message, error.params)]);
+  }
+
+  return res.redirect(back);
+};
+
+const adminUsersView = async (req, res, next) => {
+  try {
+    const result = await listUsers(req.query);
+    const flashMsg = req.flash("message");
+
+    res.render("admin/users", {
+      title: req.t("titles.users"),
+      layout: "layout/main-layout",
+      message: flashMsg?.[0],
+      ...result,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const adminPeppersView = async (req, res, next) => {
+  try {
+    const usage = await pepperUsage();
+
+    res.render("admin/peppers", {
+      title: req.t("titles.peppers"),
+      layout: "layout/main-layout",
+      ...usage,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const adminUserDetailView = async (req, res, next) => {
+  try {
+    const { user, actions, apiTokens } = await getUser(req.params.id);
+    const flashMsg = req.flash("message");
+
+    res.render("admin/user-detail", {
+      title: req.t("titles.user", { email: user.email }),
+      layout: "layout/main-layout",
+      message: flashMsg?.[0],
+      user,
+      actions,
+      apiTokens,
+      scopes: scopesFor(user.role),
+      expiryChoices: EXPIRY_CHOICES_DAYS,
+      maxNameLength: MAX_NAME_LENGTH,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const adminDisableUser = adminAction("admin.disabled", (req) =>
+  setUserDisabled(req.params.id, true, actorOf(req))
+);
+
+const adminEnableUser = adminAction("admin.enabled", (req) =>
+  setUserDisabled(req.params.id, false, actorOf(req))
+);
+
+const adminForcePasswordReset = adminAction("admin.passwordResetRequired", (req) =>
+  forcePasswordReset(req.params.id, actorOf(req), req)
+);
+
+const adminRevokeSessions = adminAction("admin.sessionsRevoked", (req) =>
+  revokeUserSessions(req.params.id, actorOf(req))
+);
+
+// Not an adminAction: the new token is shown once instead of redirecting
+const adminCreateApiToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays, rateLimit } = req.body;
+    const { user, token, secret } = await createUserApiToken(
+      req.params.id,
+      { name, scopes, expiresInDays, rateLimit },
+      actorOf(req)
+    );
+
+    res.set("Cache-Control", "no-store");
+    return res.render("api-token-created", {
+      title: req.t("titles.user", { email: user.email }),
+      layout: "layout/main-layout",
+      token,
+      secret,
+      back: `/admin/users/${user.id}`,
+    });
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      return next(error);
+    }
+
+    req.flash("message", ["error", req.t("flash.error"), req.t(error.message, error.params)]);
+    return res.redirect(`/admin/users/${req.params.id}`);
+  }
+};
+
+const adminRevokeApiToken = adminAction("apiTokens.revoked", (req) =>
+  revokeUserApiToken(req.params.id, req.params.tokenId, actorOf(req))
+);
+
+const adminDeleteUser = adminAction(
+  "admin.deleted",
+  (req) => deleteUser(req.params.id, actorOf(req)),
+  () => "/admin/users"
+);
+
+export {
+  adminUsersView,
+  adminUserDetailView,
+  adminPeppersView,
+  adminDisableUser,
+  adminEnableUser,
+  adminForcePasswordReset,
+  adminRevokeSessions,
+  adminCreateApiToken,
+  adminRevokeApiToken,
+  adminDeleteUser,
+};
@@ -0,0 +1,92 @@
+import { requestContext } from "../services/audit.js";
+import {
+  deleteUser,
+  forcePasswordReset,
+  getUser,
+  listUsers,
+  pepperUsage,
+  revokeUserSessions,
+  setUserDisabled,
+} from "../services/admin-users.js";
+import { publicUser } from "./api-auth.js";
+
+/**
+ * Acting admin from the bearer token, with request details for the audit log.
+ */
+const actorOf = (req) => {
+  const { actor, ...context } = requestContext(req);
+  return { ...actor, ...context };
+};
+
+/**
+ * Wraps an endpoint so rejected promises reach the error handler.
+ *
+ * @param {import("express").RequestHandler} handler
+ * @returns {import("express").RequestHandler}
+ */
+const handle = (handler) => async (req, res, next) => {
+  try {
+    return await handler(req, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Admin view of a user: the public fields plus account state.
+ */
+const adminUser = (user) => ({
+  ...publicUser({ ...user, id: String(user._id) }),
+  disabled: Boolean(user.disabled),
+  disabledAt: user.disabledAt,
+  mustResetPassword: Boolean(user.mustResetPassword),
+  updatedAt: user.updatedAt,
+});
+
+const apiListUsers = handle(async (req, res) => {
+  const { users, ...page } = await listUsers(req.query);
+  return res.json({ users: users.map(adminUser), ...page });
+});
+
+const apiPepperUsage = handle(async (req, res) => res.json(await pepperUsage()));
+
+const apiGetUser = handle(async (req, res) => {
+  const { user, actions } = await getUser(req.params.id);
+  return res.json({ user: adminUser(user), actions });
+});
+
+const apiDisableUser = handle(async (req, res) => {
+  const user = await setUserDisabled(req.params.id, true, actorOf(req));
+  return res.json({ user: adminUser(user.toObject()) });
+});
+
+const apiEnableUser = handle(async (req, res) => {
+  const user = await setUserDisabled(req.params.id, false, actorOf(req));
+  return res.json({ user: adminUser(user.toObject()) });
+});
+
+const apiForcePasswordReset = handle(async (req, res) => {
+  const user = await forcePasswordReset(req.params.id, actorOf(req), req);
+  return res.json({ user: adminUser(user.toObject()) });
+});
+
+const apiRevokeSessions = handle(async (req, res) => {
+  const revoked = await revokeUserSessions(req.params.id, actorOf(req));
+  return res.json({ revoked });
+});
+
+const apiDeleteUser = handle(async (req, res) => {
+  await deleteUser(req.params.id, actorOf(req));
+  return res.status(204).end();
+});
+
+export {
+  apiListUsers,
+  apiPepperUsage,
+  apiGetUser,
+  apiDisableUser,
+  apiEnableUser,
+  apiForcePasswordReset,
+  apiRevokeSessions,
+  apiDeleteUser,
+};
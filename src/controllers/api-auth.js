@@ -0,0 +1,268 @@
+import {
+  AuthenticationError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  ValidationError,
+} from "../errors/index.js";
+import LogInCollection from "../models/users.js";
+import { auditRequest } from "../services/audit.js";
+import { encrypt } from "../utils/bcript.js";
+import { ACCESS_TOKEN_TTL, signAccessToken } from "../utils/jwt.js";
+import { beginAttempt, clearFailures, recordLoginFailure, releaseAttempt } from "../utils/login-throttle.js";
+import { sendPasswordResetEmail } from "../utils/password-reset.js";
+import {
+  issueRefreshToken,
+  revokeRefreshToken,
+  rotateRefreshToken,
+} from "../utils/refresh-tokens.js";
+import { sendVerificationEmail, verificationAccess } from "../utils/verification.js";
+import validation from "../validator/user.validator.js";
+import { verifySecondFactor } from "./two-factor.js";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Fields of a user that are safe to return to clients.
+ *
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+const publicUser = (user) => ({
+  id: user.id,
+  nama: user.nama,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  createdAt: user.createdAt,
+});
+
+/**
+ * Audits an API login refused after the password check.
+ */
+const auditRefused = (req, user, reason) =>
+  auditRequest(req, "auth.login", {
+    outcome: "failure",
+    reason,
+    target: { id: user.id, email: user.email },
+    details: { channel: "api" },
+  });
+
+/**
+ * Builds the token response for a user.
+ *
+ * @param {Object} user - User document
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Object}
+ */
+const tokenResponse = (user, refreshToken) => ({
+  tokenType: "Bearer",
+  accessToken: signAccessToken(user),
+  expiresIn: ACCESS_TOKEN_TTL,
+  refreshToken,
+});
+
+// -----------------------------------------------------------------------------
+// Endpoints
+// -----------------------------------------------------------------------------
+
+const apiRegister = async (req, res, next) => {
+  try {
+    const hasil = validation(req.body, ["nama", "email", "password"], { t: req.t });
+
+    if (!hasil.isValid) {
+      throw new ValidationError("errors.validation", { errors: hasil.errors });
+    }
+
+    const existingUser = await LogInCollection.findOne({ email: hasil.data.email });
+
+    if (existingUser) {
+      throw new ConflictError("signup.emailExists", {
+        code: "email_taken",
+        errors: [{ field: "email", message: req.t("signup.emailExists") }],
+      });
+    }
+
+    const user = await LogInCollection.create({
+      nama: hasil.data.nama.trim(),
+      email: hasil.data.email.trim(),
+      password: await encrypt(hasil.data.password),
+    });
+
+    auditRequest(req, "auth.signup", {
+      target: { id: user.id, email: user.email },
+      details: { channel: "api" },
+    });
+
+    await sendVerificationEmail(req, user);
+
+    return res.status(201).json({ user: publicUser(user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const apiLogin = async (req, res, next) => {
+  try {
+    const hasil = validation(req.body, ["email", "password"], {
+      t: req.t,
+      validatePassword: false,
+    });
+
+    if (!hasil.isValid) {
+      throw new ValidationError("errors.validation", { errors: hasil.errors });
+    }
+
+    const { email, password, code } = req.body;
+    const lockout = await beginAttempt(email, req.ip);
+
+    if (lockout.locked) {
+      auditRequest(req, "auth.login", {
+        outcome: "failure",
+        reason: "locked",
+        target: { email: String(email).toLowerCase() },
+        details: { channel: "api" },
+      });
+      throw new TooManyRequestsError("login.tooManyAttempts", {
+        code: "too_many_attempts",
+        headers: { "Retry-After": String(Math.ceil(lockout.retryAfterMs / 1000)) },
+      });
+    }
+
+    const user = await LogInCollection.findOne({ email });
+    const isMatch = user ? await user.comparePassword(password) : false;
+
+    // One answer for unknown email and wrong password
+    if (!isMatch) {
+      await recordLoginFailure(req, email, user ? "wrong_password" : "unknown_email");
+      throw new AuthenticationError("errors.invalidCredentials", { code: "invalid_credentials" });
+    }
+
+    if (user.disabled) {
+      auditRefused(req, user, "account_disabled");
+      throw new ForbiddenError("login.accountDisabled", { code: "account_disabled" });
+    }
+
+    if (user.mustResetPassword) {
+      auditRefused(req, user, "password_reset_required");
+      throw new ForbiddenError("errors.mustResetPassword", { code: "password_reset_required" });
+    }
+
+    if (user.isPasswordExpired()) {
+      auditRefused(req, user, "password_expired");
+      await sendPasswordResetEmail(req, user);
+      throw new ForbiddenError("errors.passwordExpired", { code: "password_expired" });
+    }
+
+    if (verificationAccess(user) === "block") {
+      auditRefused(req, user, "email_not_verified");
+      throw new ForbiddenError("auth.verifyEmailFirst", { code: "email_not_verified" });
+    }
+
+    if (user.twoFactor?.enabled) {
+      // A right password without the code yet: the retry with it is counted instead
+      if (!code) {
+        await releaseAttempt(email, req.ip);
+        throw new AuthenticationError("errors.codeRequired", {
+          code: "two_factor_required",
+          errors: [{ field: "code", message: req.t("errors.codeRequired") }],
+        });
+      }
+
+      if (!(await verifySecondFactor(user, code))) {
+        await recordLoginFailure(req, email, "invalid_code");
+        throw new AuthenticationError("twoFactor.invalidCode", {
+          code: "invalid_code",
+          errors: [{ field: "code", message: req.t("twoFactor.invalidCode") }],
+        });
+      }
+    }
+
+    // Only after the second factor: a right password must not reset the code count
+    await clearFailures(email, req.ip);
+
+    const { token } = await issueRefreshToken(user, req);
+
+    auditRequest(req, "auth.login", {
+      actor: { id: user.id, email: user.email },
+      target: { id: user.id, email: user.email },
+      details: { method: user.twoFactor?.enabled ? "password+2fa" : "password", channel: "api" },
+    });
+
+    return res.json({ ...tokenResponse(user, token), user: publicUser(user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const apiRefresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body ?? {};
+
+    if (!refreshToken) {
+      throw new ValidationError("errors.validation", {
+        errors: [{ field: "refreshToken", message: req.t("errors.refreshTokenRequired") }],
+      });
+    }
+
+    const rotated = await rotateRefreshToken(String(refreshToken), req);
+
+    if (rotated?.reused) {
+      auditRequest(req, "auth.refresh_token_reuse", { outcome: "failure", reason: "reused" });
+    }
+
+    if (!rotated || rotated.reused) {
+      throw new AuthenticationError("errors.invalidGrant", { code: "invalid_grant" });
+    }
+
+    const user = await LogInCollection.findById(rotated.userId);
+
+    if (!user || user.disabled) {
+      throw new AuthenticationError("errors.invalidGrant", { code: "invalid_grant" });
+    }
+
+    // Same rule as login: no new tokens until the password is reset
+    if (user.mustResetPassword) {
+      await revokeRefreshToken(rotated.token);
+      throw new ForbiddenError("errors.mustResetPassword", { code: "password_reset_required" });
+    }
+
+    return res.json(tokenResponse(user, rotated.token));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const apiLogout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body ?? {};
+
+    if (refreshToken && (await revokeRefreshToken(String(refreshToken)))) {
+      auditRequest(req, "auth.logout", { details: { channel: "api" } });
+    }
+
+    return res.status(204).end();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const apiMe = async (req, res, next) => {
+  try {
+    const user = await LogInCollection.findById(req.user.id);
+
+    if (!user) {
+      throw new NotFoundError("admin.userNotFound");
+    }
+
+    return res.json({ user: publicUser(user) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { apiRegister, apiLogin, apiRefresh, apiLogout, apiMe, publicUser };
@@ -0,0 +1,81 @@
+import { AppError } from "../errors/index.js";
+import LogInCollection from "../models/users.js";
+import {
+  EXPIRY_CHOICES_DAYS,
+  MAX_NAME_LENGTH,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  scopesFor,
+} from "../services/api-tokens.js";
+import { auditRequest } from "../services/audit.js";
+
+const apiTokensView = async (req, res, next) => {
+  try {
+    const user = await LogInCollection.findById(req.session.user.id);
+    const tokens = await listApiTokens(user._id);
+    const flashMsg = req.flash("message");
+
+    res.render("api-tokens", {
+      title: req.t("titles.apiTokens"),
+      layout: "layout/main-layout",
+      message: flashMsg?.[0],
+      tokens,
+      scopes: scopesFor(user.role),
+      expiryChoices: EXPIRY_CHOICES_DAYS,
+      maxNameLength: MAX_NAME_LENGTH,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const createApiTokenHandler = async (req, res, next) => {
+  try {
+    const user = await LogInCollection.findById(req.session.user.id);
+    // Rate limits are set by admins only
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, secret } = await createApiToken(user, { name, scopes, expiresInDays });
+
+    auditRequest(req, "api_token.create", {
+      details: { tokenId: token.id, name: token.name, scopes: token.scopes, expiresAt: token.expiresAt },
+    });
+
+    // Shown once; keep it out of caches
+    res.set("Cache-Control", "no-store");
+    return res.render("api-token-created", {
+      title: req.t("titles.apiTokens"),
+      layout: "layout/main-layout",
+      token,
+      secret,
+      back: "/account/api-tokens",
+    });
+  } catch (error) {
+    // Form mistakes go back to the page; bugs do not
+    if (!(error instanceof AppError)) {
+      return next(error);
+    }
+
+    req.flash("message", ["error", req.t("flash.error"), req.t(error.message, error.params)]);
+    return res.status(error.statusCode).redirect("/account/api-tokens");
+  }
+};
+
+const revokeApiTokenHandler = async (req, res, next) => {
+  try {
+    const token = await revokeApiToken(req.session.user.id, req.params.id);
+
+    auditRequest(req, "api_token.revoke", { details: { tokenId: token.id, name: token.name } });
+    req.flash("message", ["success", req.t("flash.success"), req.t("apiTokens.revoked")]);
+    return res.redirect("/account/api-tokens");
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      return next(error);
+    }
+
+    req.flash("message", ["error", req.t("flash.error"), req.t(error.message, error.params)]);
+    return res.status(error.statusCode).redirect("/account/api-tokens");
+  }
+};
+
+export { apiTokensView, createApiTokenHandler, revokeApiTokenHandler };
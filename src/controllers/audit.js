@@ -0,0 +1,52 @@
+import { logger } from "../logs/pino.js";
+import { exportAudit, queryAudit } from "../services/audit.js";
+
+/** Query-string filters understood by the audit views */
+const FILTER_FIELDS = ["event", "outcome", "user", "ip", "requestId", "from", "to"];
+
+/**
+ * Keeps only known filters from the query string.
+ *
+ * @param {Object} query - req.query
+ * @returns {Object}
+ */
+const filtersFrom = (query) =>
+  Object.fromEntries(
+    FILTER_FIELDS.filter((field) => query[field]).map((field) => [field, String(query[field])])
+  );
+
+const auditView = async (req, res, next) => {
+  try {
+    const filters = filtersFrom(req.query);
+    const result = await queryAudit({ ...filters, page: req.query.page, limit: req.query.limit });
+
+    res.render("admin/audit", {
+      title: req.t("titles.audit"),
+      layout: "layout/main-layout",
+      filters,
+      ...result,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const auditExport = async (req, res) => {
+  const format = req.query.format === "json" ? "json" : "csv";
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.set({
+    "Content-Type": format === "json" ? "application/json" : "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="audit-${stamp}.${format}"`,
+  });
+
+  try {
+    await exportAudit(filtersFrom(req.query), format, res);
+  } catch (error) {
+    logger.error(error);
+    // Headers are gone once streaming started; cutting the response is all that is left
+    res.destroy(error);
+  }
+};
+
+export { auditView, auditExport };
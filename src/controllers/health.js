@@ -0,0 +1,21 @@
+import { checkReadiness } from "../utils/health.js";
+
+// Liveness: the process answers; dependencies are not checked
+const liveView = (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "UP", timestamp: new Date() });
+};
+
+// Readiness: 503 when a critical probe fails or the process is draining
+const readyView = async (req, res, next) => {
+  try {
+    const report = await checkReadiness();
+
+    res.set("Cache-Control", "no-store");
+    res.status(report.ready ? 200 : 503).json(report);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { liveView, readyView };
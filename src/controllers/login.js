@@ -1,66 +1,284 @@
+import { OIDC_PROVIDERS } from "../config/oidc.js";
+import { AuthenticationError, ForbiddenError } from "../errors/index.js";
+import { logger } from "../logs/pino.js";
 import LogInCollection from "../models/users.js";
-import { compare } from "../utils/bcript.js";
+import { auditRequest } from "../services/audit.js";
+import { forgetSession } from "../services/sessions.js";
+import { beginAttempt, clearFailures, recordLoginFailure, releaseAttempt } from "../utils/login-throttle.js";
+import { sendPasswordResetEmail } from "../utils/password-reset.js";
+import {
+  clearRememberCookie,
+  rememberCookieOf,
+  rememberUser,
+  revokeRememberToken,
+} from "../utils/remember-tokens.js";
+import { createUserSession } from "../utils/session.js";
+import { verificationAccess } from "../utils/verification.js";
+import {
+  WebAuthnError,
+  assertionCredentialId,
+  authenticationOptions,
+  cancelCeremony,
+  verifyAuthentication,
+} from "../utils/webauthn.js";
 import validation from "../validator/user.validator.js";
+import { startTwoFactorChallenge } from "./two-factor.js";
 
 const loginView = (req, res) => {
   const flashMsg = req.flash("message");
   const flashData = req.flash("data");
 
   res.render("login", {
-    title: "Login",
+    title: req.t("titles.login"),
     layout: "layout/main-layout",
     message: flashMsg?.[0],
     data: flashData?.[0],
+    providers: OIDC_PROVIDERS,
   });
 };
 
-const login = async (req, res) => {
+/**
+ * Audits a login refused after the password check.
+ */
+const auditRefused = (req, user, reason) =>
+  auditRequest(req, "auth.login", {
+    outcome: "failure",
+    reason,
+    target: { id: user.id, email: user.email },
+  });
+
+const login = async (req, res, next) => {
   try {
-    const hasil = await validation(req.body);
+    // Only the format is checked here: existing passwords stay valid when the policy changes
+    const hasil = await validation(req.body, ["email", "password"], {
+      t: req.t,
+      validatePassword: false,
+    });
 
     // Validasi gagal
-    if (hasil.message.length > 0) {
-      req.flash("message", ["error", "Error!", hasil.message[0]]);
+    if (!hasil.isValid) {
+      auditRequest(req, "auth.login", {
+        outcome: "failure",
+        reason: "validation_error",
+        target: { email: hasil.data.email },
+      });
+      req.flash("message", ["error", req.t("flash.error"), hasil.messages[0]]);
       req.flash("data", hasil.data);
       return res.status(400).redirect("/login");
     }
 
+    // Hitung percobaan (email & IP) sebelum menyentuh akun; ditolak selama lockout atau jeda
+    const lockout = await beginAttempt(req.body.email, req.ip);
+
+    if (lockout.locked) {
+      auditRequest(req, "auth.login", {
+        outcome: "failure",
+        reason: "locked",
+        target: { email: hasil.data.email },
+      });
+      res.set("Retry-After", String(Math.ceil(lockout.retryAfterMs / 1000)));
+      req.flash("message", [
+        "error",
+        req.t("flash.error"),
+        req.t("login.tooManyAttempts"),
+      ]);
+      req.flash("data", hasil.data);
+      return res.status(429).redirect("/login");
+    }
+
     // Cari user
     const user = await LogInCollection.findOne({ email: req.body.email });
 
     if (!user) {
-      req.flash("message", ["error", "Error!", "Email tidak ditemukan"]);
+      await recordLoginFailure(req, req.body.email, "unknown_email");
+      req.flash("message", ["error", req.t("flash.error"), req.t("login.emailNotFound")]);
       req.flash("data", hasil.data);
       return res.status(400).redirect("/login");
     }
 
     // Cek password
-    const isMatch = await compare(req.body.password, user.password);
+    const isMatch = await user.comparePassword(req.body.password);
 
     if (!isMatch) {
-      req.flash("message", ["error", "Error!", "Password salah"]);
+      await recordLoginFailure(req, req.body.email, "wrong_password");
+      req.flash("message", ["error", req.t("flash.error"), req.t("login.wrongPassword")]);
       req.flash("data", hasil.data);
       return res.status(400).redirect("/login");
     }
 
-    // Login success
-    req.session.user = {
-      nama: user.nama,
-      email: user.email,
-    };
+    const remember = Boolean(req.body.remember);
+
+    // Akun dinonaktifkan admin
+    if (user.disabled) {
+      auditRefused(req, user, "account_disabled");
+      req.flash("message", ["error", req.t("flash.error"), req.t("login.accountDisabled")]);
+      req.flash("data", hasil.data);
+      return res.status(403).redirect("/login");
+    }
+
+    // Admin meminta reset password
+    if (user.mustResetPassword) {
+      auditRefused(req, user, "password_reset_required");
+      req.flash("message", [
+        "error",
+        req.t("flash.error"),
+        req.t("login.mustResetPassword"),
+      ]);
+      return res.status(403).redirect("/forgot-password");
+    }
+
+    // Password lebih tua dari batas umur
+    if (user.isPasswordExpired()) {
+      auditRefused(req, user, "password_expired");
+      await sendPasswordResetEmail(req, user);
+      req.flash("message", [
+        "error",
+        req.t("flash.error"),
+        req.t("login.passwordExpired"),
+      ]);
+      return res.status(403).redirect("/login");
+    }
+
+    // Cek verifikasi email
+    if (verificationAccess(user) === "block") {
+      auditRefused(req, user, "email_not_verified");
+      req.flash("message", [
+        "error",
+        req.t("flash.error"),
+        req.t("login.verifyEmailFirst"),
+      ]);
+      req.flash("data", { email: user.email });
+      return res.status(403).redirect("/verify-email/resend");
+    }
+
+    // Second factor required; the code is counted as its own attempt
+    if (user.twoFactor?.enabled) {
+      await releaseAttempt(req.body.email, req.ip);
+      return startTwoFactorChallenge(req, res, user, "password", { remember });
+    }
+
+    // Login success; with 2FA the counter is cleared once the code is right
+    await clearFailures(req.body.email, req.ip);
+    await createUserSession(req, user);
+
+    if (remember) {
+      await rememberUser(req, res, user);
+    }
+
+    auditRequest(req, "auth.login", {
+      target: { id: user.id, email: user.email },
+      details: { method: "password", remember },
+    });
 
     return res.redirect("/protected-page");
   } catch (error) {
-    console.error(error);
-    req.flash("message", ["error", "Error!", "Terjadi kesalahan"]);
-    return res.status(500).redirect("/login");
+    return next(error);
+  }
+};
+
+// Called by public/js/script.js before navigator.credentials.get
+const passkeyLoginOptions = (req, res) => res.json(authenticationOptions(req));
+
+/**
+ * Signs in with a passkey. The passkey proves possession and user
+ * verification in one step, so there is no second factor to ask for.
+ * Answers JSON; the script follows `redirect`.
+ */
+const passkeyLogin = async (req, res, next) => {
+  let user;
+
+  try {
+    const credentialId = assertionCredentialId(req.body);
+    user = await LogInCollection.findOne({ "passkeys.credentialId": credentialId });
+    const passkey = user?.passkeys.find((item) => item.credentialId === credentialId);
+
+    if (!passkey) {
+      cancelCeremony(req);
+      auditRequest(req, "auth.login", {
+        outcome: "failure",
+        reason: "unknown_passkey",
+        details: { method: "passkey", credentialId },
+      });
+      throw new AuthenticationError("passkeys.unknown", { code: "unknown_passkey" });
+    }
+
+    const { signCount, backedUp } = verifyAuthentication(req, req.body, passkey, user.id);
+
+    // Conditional on the old counter: two requests racing with one response cannot both win
+    const result = await LogInCollection.updateOne(
+      { _id: user._id, passkeys: { $elemMatch: { credentialId, signCount: passkey.signCount } } },
+      {
+        $set: {
+          "passkeys.$.signCount": signCount,
+          "passkeys.$.backedUp": backedUp,
+          "passkeys.$.lastUsedAt": new Date(),
+        },
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      throw new WebAuthnError("passkeys.cloned", "sign_count_regression");
+    }
+
+    if (user.disabled) {
+      auditRefused(req, user, "account_disabled");
+      throw new ForbiddenError("login.accountDisabled", { code: "account_disabled" });
+    }
+
+    if (user.mustResetPassword) {
+      auditRefused(req, user, "password_reset_required");
+      throw new ForbiddenError("login.mustResetPassword", { code: "password_reset_required" });
+    }
+
+    if (verificationAccess(user) === "block") {
+      auditRefused(req, user, "email_not_verified");
+      throw new ForbiddenError("login.verifyEmailFirst", { code: "email_not_verified" });
+    }
+
+    await createUserSession(req, user);
+
+    auditRequest(req, "auth.login", {
+      target: { id: user.id, email: user.email },
+      details: { method: "passkey", credentialId },
+    });
+
+    return res.json({ redirect: "/protected-page" });
+  } catch (error) {
+    if (error instanceof WebAuthnError) {
+      if (error.reason === "sign_count_regression") {
+        logger.warn({ userId: user?.id, ip: req.ip }, "Passkey sign count went backwards, possible clone");
+      }
+
+      auditRequest(req, "auth.login", {
+        outcome: "failure",
+        reason: error.reason,
+        target: user ? { id: user.id, email: user.email } : undefined,
+        details: { method: "passkey" },
+      });
+      return next(new AuthenticationError(error.message, { code: error.reason }));
+    }
+
+    return next(error);
   }
 };
 
-const logout = (req, res) => {
+const logout = async (req, res) => {
+  if (req.session?.user) {
+    auditRequest(req, "auth.logout", { target: { id: req.session.user.id, email: req.session.user.email } });
+  }
+
+  await forgetSession(req.sessionID).catch((error) => logger.error(error));
+
+  const remembered = rememberCookieOf(req);
+
+  if (remembered) {
+    await revokeRememberToken(remembered).catch((error) => logger.error(error));
+    clearRememberCookie(res);
+  }
+
   req.session.destroy(() => {
     res.redirect("/login");
   });
 };
 
-export { loginView, login, logout };
+export { loginView, login, passkeyLoginOptions, passkeyLogin, logout };
@@ -0,0 +1,95 @@
+import { TooManyRequestsError } from "../errors/index.js";
+import { logger } from "../logs/pino.js";
+import { LEVELS, exportLogs, searchLogs, tailLogs } from "../services/app-logs.js";
+import { onDrain } from "../utils/health.js";
+
+/** Query-string filters understood by the log views */
+const FILTER_FIELDS = ["level", "from", "to", "requestId", "q"];
+
+/** Comment line sent while idle so proxies keep the stream open */
+const HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Keeps only known filters from the query string.
+ *
+ * @param {Object} query - req.query
+ * @returns {Object}
+ */
+const filtersFrom = (query) =>
+  Object.fromEntries(
+    FILTER_FIELDS.filter((field) => query[field]).map((field) => [field, String(query[field])])
+  );
+
+const logsView = async (req, res, next) => {
+  try {
+    const filters = filtersFrom(req.query);
+    const result = await searchLogs({ ...filters, limit: req.query.limit });
+
+    res.render("admin/logs", {
+      title: req.t("titles.logs"),
+      layout: "layout/main-layout",
+      filters,
+      levels: LEVELS,
+      ...result,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// JSON: every match, oldest first, streamed as it is read
+const logEntries = async (req, res) => {
+  res.type("application/json");
+
+  try {
+    await exportLogs(filtersFrom(req.query), res);
+  } catch (error) {
+    logger.error(error);
+    // Headers are gone once streaming started; cutting the response is all that is left
+    res.destroy(error);
+  }
+};
+
+// Server-Sent Events: new entries of the live file, one "entry" event each
+const logStream = (req, res, next) => {
+  // compression() buffers; flush pushes each event out
+  const send = (text) => {
+    res.write(text);
+    res.flush?.();
+  };
+
+  const stop = tailLogs(filtersFrom(req.query), (entry) => {
+    send(`event: entry\ndata: ${JSON.stringify(entry)}\n\n`);
+  });
+
+  if (!stop) {
+    return next(
+      new TooManyRequestsError("errors.tooManyRequests", {
+        code: "too_many_log_streams",
+        headers: { "Retry-After": String(HEARTBEAT_MS / 1000) },
+      })
+    );
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: do not buffer the stream
+  });
+  res.flushHeaders();
+
+  send("retry: 5000\n\n");
+
+  const heartbeat = setInterval(() => send(": keep-alive\n\n"), HEARTBEAT_MS);
+  // Shutting down: end the stream so the server can close; the browser reconnects elsewhere
+  const offDrain = onDrain(() => res.end());
+
+  res.on("close", () => {
+    stop();
+    clearInterval(heartbeat);
+    offDrain();
+  });
+};
+
+export { logsView, logEntries, logStream };
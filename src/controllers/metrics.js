@@ -0,0 +1,15 @@
+import { registry } from "../utils/metrics.js";
+
+// Prometheus text format; collect() callbacks run here, once per scrape
+const metricsView = async (req, res, next) => {
+  try {
+    const body = await registry.metrics();
+
+    res.set("Cache-Control", "no-store");
+    res.type(registry.contentType).send(body);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { metricsView };
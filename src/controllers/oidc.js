@@ -0,0 +1,195 @@
+import mongoose from "../utils/db.js";
+import { logger } from "../logs/pino.js";
+import { findProvider } from "../config/oidc.js";
+import { auditRequest } from "../services/audit.js";
+import {
+  IdentityError,
+  linkIdentity,
+  resolveOidcLogin,
+  unlinkIdentity,
+} from "../services/identities.js";
+import { finishOidc, startOidc } from "../utils/oidc.js";
+import { createUserSession } from "../utils/session.js";
+import { sendVerificationEmail, verificationAccess } from "../utils/verification.js";
+import { startTwoFactorChallenge } from "./two-factor.js";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Flashes an error and redirects, for the failed paths of the callback.
+ */
+const refuse = (req, res, text, to = "/login") => {
+  req.flash("message", ["error", req.t("flash.error"), text]);
+  return res.status(400).redirect(to);
+};
+
+/**
+ * Callback leg while linking: attaches the identity to the signed-in user.
+ */
+const finishLink = async (req, res, provider, identity) => {
+  await linkIdentity(req.session.user.id, identity);
+
+  auditRequest(req, "account.identity_link", {
+    details: { provider: provider.id, subject: identity.subject },
+  });
+  req.flash("message", [
+    "success",
+    req.t("flash.success"),
+    req.t("oidc.linked", { provider: provider.label }),
+  ]);
+  return res.redirect("/account");
+};
+
+/**
+ * Callback leg while logging in: same account checks as the password login.
+ */
+const finishLogin = async (req, res, provider, identity) => {
+  const { user, linked, created } = await resolveOidcLogin(provider, identity);
+  const target = { id: user.id, email: user.email };
+
+  if (created) {
+    auditRequest(req, "auth.signup", { target, details: { method: "oidc", provider: provider.id } });
+  }
+
+  if (linked) {
+    auditRequest(req, "account.identity_link", {
+      target,
+      details: { provider: provider.id, subject: identity.subject, matchedBy: "email" },
+    });
+  }
+
+  // Akun dinonaktifkan admin
+  if (user.disabled) {
+    auditRequest(req, "auth.login", { outcome: "failure", reason: "account_disabled", target });
+    return refuse(req, res, req.t("login.accountDisabled"));
+  }
+
+  // Cek verifikasi email
+  if (verificationAccess(user) === "block") {
+    auditRequest(req, "auth.login", { outcome: "failure", reason: "email_not_verified", target });
+
+    if (created) {
+      await sendVerificationEmail(req, user);
+    }
+
+    req.flash("data", { email: user.email });
+    return refuse(
+      req,
+      res,
+      req.t("login.verifyEmailFirst"),
+      "/verify-email/resend"
+    );
+  }
+
+  // Second factor required
+  if (user.twoFactor?.enabled) {
+    return startTwoFactorChallenge(req, res, user, "oidc");
+  }
+
+  await createUserSession(req, user);
+  auditRequest(req, "auth.login", {
+    target,
+    details: { method: "oidc", provider: provider.id },
+  });
+
+  return res.redirect("/protected-page");
+};
+
+// -----------------------------------------------------------------------------
+// Handlers
+// -----------------------------------------------------------------------------
+
+const oidcStart = async (req, res, next) => {
+  const provider = findProvider(req.params.provider);
+
+  if (!provider) {
+    return refuse(req, res, req.t("oidc.unknownProvider"));
+  }
+
+  try {
+    return await startOidc(req, res, next, provider);
+  } catch (error) {
+    logger.error(error, `OIDC discovery failed for ${provider.id}`);
+    return refuse(req, res, req.t("oidc.unreachable", { provider: provider.label }));
+  }
+};
+
+const oidcCallback = async (req, res, next) => {
+  const provider = findProvider(req.params.provider);
+
+  // Linking was started from the account page by this session
+  const linking = Boolean(req.session?.user) && req.session.oidcLink === provider?.id;
+  delete req.session?.oidcLink;
+  const back = linking ? "/account" : "/login";
+
+  // Only authorization responses; anything else would start a new login
+  if (!provider || (!req.query.code && !req.query.error)) {
+    return refuse(req, res, req.t("oidc.invalidResponse"), back);
+  }
+
+  try {
+    const identity = await finishOidc(req, res, provider);
+
+    if (!identity) {
+      auditRequest(req, "auth.login", {
+        outcome: "failure",
+        reason: "oidc_rejected",
+        details: { provider: provider.id },
+      });
+      return refuse(req, res, req.t("oidc.failed", { provider: provider.label }), back);
+    }
+
+    return linking
+      ? await finishLink(req, res, provider, identity)
+      : await finishLogin(req, res, provider, identity);
+  } catch (error) {
+    if (error instanceof IdentityError) {
+      auditRequest(req, linking ? "account.identity_link" : "auth.login", {
+        outcome: "failure",
+        reason: error.reason,
+        details: { provider: provider.id },
+      });
+      return refuse(req, res, req.t(error.message, { provider: provider.label }), back);
+    }
+
+    return next(error);
+  }
+};
+
+const linkIdentityStart = (req, res) => {
+  const provider = findProvider(req.params.provider);
+
+  if (!provider) {
+    return refuse(req, res, req.t("oidc.unknownProvider"), "/account");
+  }
+
+  // Read back by the callback to link instead of logging in
+  req.session.oidcLink = provider.id;
+  return res.redirect(`/auth/oidc/${provider.id}`);
+};
+
+const unlinkIdentityHandler = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return refuse(req, res, req.t("oidc.identityNotFound"), "/account");
+    }
+
+    const identity = await unlinkIdentity(req.session.user.id, req.params.id);
+
+    auditRequest(req, "account.identity_unlink", {
+      details: { provider: identity.provider, subject: identity.subject },
+    });
+    req.flash("message", ["success", req.t("flash.success"), req.t("oidc.unlinked")]);
+    return res.redirect("/account");
+  } catch (error) {
+    if (error instanceof IdentityError) {
+      return refuse(req, res, req.t(error.message), "/account");
+    }
+
+    return next(error);
+  }
+};
+
+export { oidcStart, oidcCallback, linkIdentityStart, unlinkIdentityHandler };
@@ -0,0 +1,105 @@
+import { ConflictError, ValidationError } from "../errors/index.js";
+import LogInCollection from "../models/users.js";
+import { auditRequest } from "../services/audit.js";
+import { describeDevice } from "../services/sessions.js";
+import { WebAuthnError, registrationOptions, verifyRegistration } from "../utils/webauthn.js";
+
+const currentUser = (req) => LogInCollection.findById(req.session.user.id);
+
+const passkeysView = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    const flashMsg = req.flash("message");
+
+    res.render("passkeys", {
+      title: req.t("titles.passkeys"),
+      layout: "layout/main-layout",
+      message: flashMsg?.[0],
+      passkeys: user.passkeys ?? [],
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Called by public/js/script.js before navigator.credentials.create
+const passkeyRegistrationOptions = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    return res.json(registrationOptions(req, user));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const registerPasskey = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    const passkey = verifyRegistration(req, req.body);
+
+    if (user.passkeys?.some((item) => item.credentialId === passkey.credentialId)) {
+      throw new ConflictError("passkeys.alreadyRegistered", { code: "passkey_exists" });
+    }
+
+    try {
+      await LogInCollection.updateOne(
+        { _id: user._id },
+        { $push: { passkeys: { ...passkey, name: describeDevice(req.get("user-agent") ?? "") } } }
+      );
+    } catch (error) {
+      // Unique index: the credential is registered to another account
+      if (error.code === 11000) {
+        throw new ConflictError("passkeys.alreadyRegistered", { code: "passkey_exists" });
+      }
+
+      throw error;
+    }
+
+    auditRequest(req, "account.passkey_add", {
+      details: {
+        credentialId: passkey.credentialId,
+        attestation: passkey.attestationFormat,
+        aaguid: passkey.aaguid,
+      },
+    });
+    req.flash("message", ["success", req.t("flash.success"), req.t("passkeys.added")]);
+    return res.status(201).json({ redirect: "/account/passkeys" });
+  } catch (error) {
+    if (error instanceof WebAuthnError) {
+      auditRequest(req, "account.passkey_add", { outcome: "failure", reason: error.reason });
+      return next(new ValidationError(error.message, { code: error.reason }));
+    }
+
+    return next(error);
+  }
+};
+
+const removePasskey = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    const passkey = user.passkeys?.find((item) => String(item._id) === req.params.id);
+
+    if (!passkey) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("passkeys.notFound")]);
+      return res.status(404).redirect("/account/passkeys");
+    }
+
+    // Accounts from SSO may have no password; keep one way to log in
+    if (!user.password && !user.identities?.length && user.passkeys.length === 1) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("passkeys.lastLoginMethod")]);
+      return res.status(409).redirect("/account/passkeys");
+    }
+
+    await LogInCollection.updateOne({ _id: user._id }, { $pull: { passkeys: { _id: passkey._id } } });
+
+    auditRequest(req, "account.passkey_remove", {
+      details: { credentialId: passkey.credentialId, name: passkey.name },
+    });
+    req.flash("message", ["success", req.t("flash.success"), req.t("passkeys.removed")]);
+    return res.redirect("/account/passkeys");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { passkeysView, passkeyRegistrationOptions, registerPasskey, removePasskey };
@@ -0,0 +1,157 @@
+import { logger } from "../logs/pino.js";
+import LogInCollection from "../models/users.js";
+import { auditRequest } from "../services/audit.js";
+import { signOutEverywhere } from "../services/sessions.js";
+import { encrypt, hashToken } from "../utils/bcript.js";
+import { sendPasswordResetEmail } from "../utils/password-reset.js";
+import { clearRememberCookie, revokeUserRememberTokens } from "../utils/remember-tokens.js";
+import validation from "../validator/user.validator.js";
+
+/**
+ * Finds the user owning a reset token that has not expired yet.
+ *
+ * @param {string} token - Plain token from the reset link
+ * @returns {Promise<Object|null>}
+ */
+const findByResetToken = (token) =>
+  LogInCollection.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+const forgotPasswordView = (req, res) => {
+  const flashMsg = req.flash("message");
+  const flashData = req.flash("data");
+
+  res.render("forgot-password", {
+    title: req.t("titles.forgotPassword"),
+    layout: "layout/main-layout",
+    message: flashMsg?.[0],
+    data: flashData?.[0],
+  });
+};
+
+const forgotPassword = async (req, res, next) => {
+  try {
+    const hasil = validation(req.body, ["email"], { t: req.t, validatePassword: false });
+
+    // Validasi gagal
+    if (!hasil.isValid) {
+      req.flash("message", ["error", req.t("flash.error"), hasil.messages[0]]);
+      req.flash("data", hasil.data);
+      return res.status(400).redirect("/forgot-password");
+    }
+
+    const user = await LogInCollection.findOne({ email: hasil.data.email.toLowerCase() });
+
+    // Same answer whether or not the email exists
+    if (user) {
+      await sendPasswordResetEmail(req, user);
+      auditRequest(req, "auth.password_reset_requested", {
+        target: { id: user.id, email: user.email },
+      });
+    }
+
+    req.flash("message", [
+      "success",
+      req.t("flash.success"),
+      req.t("passwordReset.linkSent"),
+    ]);
+    return res.redirect("/login");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const resetPasswordView = async (req, res, next) => {
+  try {
+    const user = await findByResetToken(req.params.token);
+
+    if (!user) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("passwordReset.invalidLink")]);
+      return res.redirect("/forgot-password");
+    }
+
+    const flashMsg = req.flash("message");
+
+    res.render("reset-password", {
+      title: req.t("titles.resetPassword"),
+      layout: "layout/main-layout",
+      message: flashMsg?.[0],
+      token: req.params.token,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const resetPassword = async (req, res, next) => {
+  const { token } = req.params;
+
+  try {
+    const owner = await findByResetToken(token).select("+passwordHistory");
+
+    if (!owner) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("passwordReset.invalidLink")]);
+      return res.status(400).redirect("/forgot-password");
+    }
+
+    const hasil = validation(req.body, ["password", "confirmPassword"], {
+      t: req.t,
+      validateEmail: false,
+      passwordMatchField: "confirmPassword",
+      user: owner,
+    });
+
+    // Validasi gagal
+    if (!hasil.isValid) {
+      req.flash("message", ["error", req.t("flash.error"), hasil.messages[0]]);
+      return res.status(400).redirect(`/reset-password/${token}`);
+    }
+
+    if (await owner.isPasswordReused(hasil.data.password)) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("password.reused")]);
+      return res.status(400).redirect(`/reset-password/${token}`);
+    }
+
+    const hashedPass = await encrypt(hasil.data.password);
+    const update = owner.passwordUpdate(hashedPass);
+
+    // Consume the token and set the password in one atomic update,
+    // so the same link cannot be used twice.
+    const user = await LogInCollection.findOneAndUpdate(
+      {
+        _id: owner._id,
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      {
+        ...update,
+        $set: { ...update.$set, mustResetPassword: false },
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1 },
+      }
+    );
+
+    if (!user) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("passwordReset.invalidLink")]);
+      return res.status(400).redirect("/forgot-password");
+    }
+
+    // A new password ends every other session, stolen cookies, "Remember me" and API refresh tokens included
+    await signOutEverywhere(user.id, req.sessionID);
+    await revokeUserRememberTokens(user.id);
+    clearRememberCookie(res);
+
+    logger.info({ userId: user.id }, "Password reset");
+    auditRequest(req, "auth.password_change", {
+      target: { id: user.id, email: user.email },
+      details: { method: "reset_link" },
+    });
+    req.flash("message", ["success", req.t("flash.success"), req.t("passwordReset.updated")]);
+    return res.redirect("/login");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { forgotPasswordView, forgotPassword, resetPasswordView, resetPassword };
@@ -1,32 +1,34 @@
-import { logger } from "../logs/pino.js";
+import { AuthenticationError } from "../errors/index.js";
 import LogInCollection from "../models/users.js";
-import { encript } from "../utils/bcript.js";
+import { auditRequest } from "../services/audit.js";
+import { encrypt } from "../utils/bcript.js";
+import { createUserSession } from "../utils/session.js";
+import { sendVerificationEmail, verificationAccess } from "../utils/verification.js";
 import validation from "../validator/user.validator.js";
 
-const viewSignup = (req, res) => {
+const viewSignup = (req, res, next) => {
   try {
     const flashMsg = req.flash("message");
     const flashData = req.flash("data");
 
     res.render("signup", {
-      title: "Sign Up",
+      title: req.t("titles.signup"),
       layout: "layout/main-layout",
       message: flashMsg?.[0],
       data: flashData?.[0],
     });
   } catch (error) {
-    logger.error(error);
-    res.redirect("/signup");
+    return next(error);
   }
 };
 
-const signup = async (req, res) => {
+const signup = async (req, res, next) => {
   try {
-    const hasil = await validation(req.body);
+    const hasil = await validation(req.body, [], { t: req.t });
 
     // Validasi gagal
-    if (hasil.message.length > 0) {
-      req.flash("message", ["error", "Error!", hasil.message[0]]);
+    if (!hasil.isValid) {
+      req.flash("message", ["error", req.t("flash.error"), hasil.messages[0]]);
       req.flash("data", hasil.data);
       return res.status(400).redirect("/signup");
     }
@@ -35,56 +37,64 @@ const signup = async (req, res) => {
     const existingUser = await LogInCollection.findOne({ email: hasil.data.email });
 
     if (existingUser) {
-      req.flash("message", ["error", "Error!", "Email already exists"]);
+      req.flash("message", ["error", req.t("flash.error"), req.t("signup.emailExists")]);
       req.flash("data", hasil.data);
       return res.status(400).redirect("/signup");
     }
 
     // Enkripsi password
-    const hashedPass = await encript(hasil.data.password);
+    const hashedPass = await encrypt(hasil.data.password);
 
-    const newUser = {
+    const newUser = await LogInCollection.create({
       nama: hasil.data.nama.trim(),
       email: hasil.data.email.trim(),
       password: hashedPass,
-    };
+    });
+
+    auditRequest(req, "auth.signup", { target: { id: newUser.id, email: newUser.email } });
 
-    await LogInCollection.insertOne(newUser);
+    // Akun baru belum terverifikasi
+    await sendVerificationEmail(req, newUser);
+
+    if (verificationAccess(newUser) === "block") {
+      req.flash("message", [
+        "success",
+        req.t("flash.success"),
+        req.t("signup.checkEmail"),
+      ]);
+      return res.redirect("/login");
+    }
 
-    req.session.user = {
-      nama: newUser.nama,
-      email: newUser.email,
-    };
+    await createUserSession(req, newUser);
 
     return res.redirect("/protected-page");
   } catch (error) {
-    logger.error(error);
-    req.flash("message", ["error", "Error!", error.message || "Signup Error"]);
-    req.flash("data", req.body);
-    return res.status(500).redirect("/signup");
+    return next(error);
   }
 };
 
 const protectedPage = (req, res) => {
   res.render("protected-page", {
-    title: "Protected Page",
+    title: req.t("titles.protectedPage"),
     layout: "layout/main-layout",
-    message: `Welcome ${req.session?.user?.nama || ""}`,
+    message: req.t("protectedPage.welcome", { nama: req.session?.user?.nama || "" }),
+    isAdmin: req.session?.user?.role === "admin",
   });
 };
 
 const isLoggedIn = (req, res, next) => {
-  if (req.session?.user) {
-    return next();
+  if (!req.session?.user) {
+    return next(new AuthenticationError("auth.notLoggedIn"));
+  }
+
+  const access = verificationAccess(req.session.user);
+
+  if (access === "block") {
+    return next(new AuthenticationError("auth.verifyEmailFirst"));
   }
-  const err = new Error("Anda belum login!");
-  next(err);
-};
 
-const errorHandling = (err, req, res) => {
-  logger.error(err, "Request Error");
-  req.flash("message", ["error", "Error!", err.message]);
-  res.redirect("/login");
+  res.locals.verificationBanner = access === "banner";
+  return next();
 };
 
-export { viewSignup, signup, protectedPage, isLoggedIn, errorHandling };
+export { viewSignup, signup, protectedPage, isLoggedIn };
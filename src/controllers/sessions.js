@@ -0,0 +1,56 @@
+import mongoose from "../utils/db.js";
+import { auditRequest } from "../services/audit.js";
+import { listSessions, revokeOtherSessions, revokeSession } from "../services/sessions.js";
+
+const sessionsView = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.session.user.id, req.sessionID);
+    const flashMsg = req.flash("message");
+
+    res.render("sessions", {
+      title: req.t("titles.sessions"),
+      layout: "layout/main-layout",
+      message: flashMsg?.[0],
+      sessions,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const revokeSessionHandler = async (req, res, next) => {
+  try {
+    const revoked =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await revokeSession(req.session.user.id, req.params.id));
+
+    if (!revoked) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("sessions.notFound")]);
+      return res.status(404).redirect("/account/sessions");
+    }
+
+    auditRequest(req, "session.revoke", { details: { sessionId: req.params.id } });
+    req.flash("message", ["success", req.t("flash.success"), req.t("sessions.revoked")]);
+    return res.redirect("/account/sessions");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const revokeOtherSessionsHandler = async (req, res, next) => {
+  try {
+    const count = await revokeOtherSessions(req.session.user.id, req.sessionID);
+
+    auditRequest(req, "session.revoke_others", { details: { count } });
+    req.flash("message", [
+      "success",
+      req.t("flash.success"),
+      req.t("sessions.othersRevoked", { count }),
+    ]);
+    return res.redirect("/account/sessions");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { sessionsView, revokeSessionHandler, revokeOtherSessionsHandler };
@@ -0,0 +1,367 @@
+import { logger } from "../logs/pino.js";
+import LogInCollection from "../models/users.js";
+import { auditRequest } from "../services/audit.js";
+import { compare, generateToken, hashToken } from "../utils/bcript.js";
+import { beginAttempt, clearFailures, recordLoginFailure } from "../utils/login-throttle.js";
+import { rememberUser } from "../utils/remember-tokens.js";
+import { createUserSession } from "../utils/session.js";
+import { generateSecret, otpauthUri, verifyTotp } from "../utils/totp.js";
+
+/** How long the "second factor pending" state lasts after the password step */
+export const TWO_FACTOR_PENDING_MINUTES = 5;
+
+/** Wrong codes allowed before the pending state is dropped */
+const MAX_CODE_ATTEMPTS = 5;
+
+/** Number of recovery codes handed out at once */
+const RECOVERY_CODE_COUNT = 10;
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Recovery codes look like "3f9a1-c07be"; dashes and case are ignored.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code ?? "").toLowerCase().replace(/[^0-9a-f]/g, "");
+
+/**
+ * Creates a fresh set of recovery codes.
+ *
+ * @returns {{ codes: string[], hashes: string[] }} - Plain codes and their hashes
+ */
+const createRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Checks a TOTP code for the user and records the step,
+ * so a code cannot be used twice. The update is conditional on the
+ * stored step to stay safe under concurrent requests.
+ *
+ * @param {Object} user - User document with 2FA enabled
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<boolean>}
+ */
+const consumeTotp = async (user, code) => {
+  const step = verifyTotp(user.twoFactor.secret, code);
+
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+    return false;
+  }
+
+  const result = await LogInCollection.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": { $exists: false } },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Removes a matching recovery code from the user.
+ *
+ * @param {Object} user - User document with 2FA enabled
+ * @param {string} code - Recovery code typed by the user
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (user, code) => {
+  const normalized = normalizeRecoveryCode(code);
+
+  if (!normalized) {
+    return false;
+  }
+
+  const hash = hashToken(normalized);
+  const result = await LogInCollection.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Accepts either a TOTP code or a recovery code.
+ *
+ * @param {Object} user - User document with 2FA enabled
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, code) =>
+  (await consumeTotp(user, code)) || (await consumeRecoveryCode(user, code));
+
+const currentUser = (req) => LogInCollection.findById(req.session.user.id);
+
+// -----------------------------------------------------------------------------
+// Enrollment (authenticated)
+// -----------------------------------------------------------------------------
+
+const twoFactorView = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    const flashMsg = req.flash("message");
+
+    // Keep the same pending secret across reloads until it is confirmed
+    if (!user.twoFactor?.enabled && !user.twoFactor?.pendingSecret) {
+      user.set("twoFactor.pendingSecret", generateSecret());
+      await user.save();
+    }
+
+    res.render("two-factor", {
+      title: req.t("titles.twoFactor"),
+      layout: "layout/main-layout",
+      message: flashMsg?.[0],
+      enabled: Boolean(user.twoFactor?.enabled),
+      secret: user.twoFactor?.pendingSecret,
+      uri: user.twoFactor?.pendingSecret
+        ? otpauthUri(user.twoFactor.pendingSecret, user.email)
+        : null,
+      remainingCodes: user.twoFactor?.recoveryCodes?.length ?? 0,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+    const secret = user.twoFactor?.pendingSecret;
+
+    if (user.twoFactor?.enabled || !secret) {
+      return res.redirect("/account/2fa");
+    }
+
+    const step = verifyTotp(secret, req.body.code);
+
+    if (step === null) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("twoFactor.invalidSetupCode")]);
+      return res.status(400).redirect("/account/2fa");
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+
+    user.set("twoFactor", {
+      enabled: true,
+      secret,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+    });
+    await user.save();
+
+    logger.info({ userId: user.id }, "Two-factor authentication enabled");
+    auditRequest(req, "auth.2fa_enabled", { target: { id: user.id, email: user.email } });
+
+    // Recovery codes are shown exactly once
+    return res.render("two-factor-recovery-codes", {
+      title: req.t("titles.recoveryCodes"),
+      layout: "layout/main-layout",
+      codes,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+
+    if (!user.twoFactor?.enabled || !(await consumeTotp(user, req.body.code))) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("twoFactor.invalidSetupCode")]);
+      return res.status(400).redirect("/account/2fa");
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+
+    await LogInCollection.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.recoveryCodes": hashes } }
+    );
+
+    logger.info({ userId: user.id }, "Recovery codes regenerated");
+
+    return res.render("two-factor-recovery-codes", {
+      title: req.t("titles.recoveryCodes"),
+      layout: "layout/main-layout",
+      codes,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await currentUser(req);
+
+    if (!user.twoFactor?.enabled) {
+      return res.redirect("/account/2fa");
+    }
+
+    // Guesses count towards the login lockout, as on the account page
+    const lockout = await beginAttempt(user.email, req.ip);
+
+    if (lockout.locked) {
+      res.set("Retry-After", String(Math.ceil(lockout.retryAfterMs / 1000)));
+      req.flash("message", ["error", req.t("flash.error"), req.t("login.tooManyAttempts")]);
+      return res.status(429).redirect("/account/2fa");
+    }
+
+    const passwordOk = await compare(req.body.password ?? "", user.password).catch(() => false);
+
+    if (!passwordOk || !(await verifySecondFactor(user, req.body.code))) {
+      await recordLoginFailure(req, user.email, passwordOk ? "invalid_code" : "wrong_password", "auth.2fa_disabled");
+      req.flash("message", ["error", req.t("flash.error"), req.t("twoFactor.wrongPasswordOrCode")]);
+      return res.status(400).redirect("/account/2fa");
+    }
+
+    await clearFailures(user.email, req.ip);
+
+    await LogInCollection.updateOne({ _id: user._id }, { $unset: { twoFactor: 1 } });
+
+    logger.info({ userId: user.id }, "Two-factor authentication disabled");
+    auditRequest(req, "auth.2fa_disabled", { target: { id: user.id, email: user.email } });
+    req.flash("message", ["success", req.t("flash.success"), req.t("twoFactor.disabled")]);
+    return res.redirect("/account/2fa");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Login challenge (second step of login)
+// -----------------------------------------------------------------------------
+
+/**
+ * Remembers who passed the first login step, nothing more, and sends them
+ * to the code prompt.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Object} user - User document
+ * @param {string} method - First factor, for the audit log ("password", "oidc")
+ * @param {Object} [options]
+ * @param {boolean} [options.remember] - "Remember me" was ticked on the login form
+ */
+const startTwoFactorChallenge = (req, res, user, method, { remember = false } = {}) => {
+  req.session.pendingTwoFactor = {
+    userId: user.id,
+    method,
+    remember,
+    expiresAt: Date.now() + TWO_FACTOR_PENDING_MINUTES * 60 * 1000,
+    attempts: 0,
+  };
+  return res.redirect("/login/2fa");
+};
+
+/**
+ * Returns the pending second-factor state if it is still valid.
+ *
+ * @param {import("express").Request} req
+ * @returns {Object|null}
+ */
+const pendingState = (req) => {
+  const pending = req.session?.pendingTwoFactor;
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session?.pendingTwoFactor;
+    return null;
+  }
+
+  return pending;
+};
+
+const twoFactorChallengeView = (req, res) => {
+  if (!pendingState(req)) {
+    req.flash("message", ["error", req.t("flash.error"), req.t("twoFactor.loginAgain")]);
+    return res.redirect("/login");
+  }
+
+  const flashMsg = req.flash("message");
+
+  return res.render("two-factor-challenge", {
+    title: req.t("titles.twoFactor"),
+    layout: "layout/main-layout",
+    message: flashMsg?.[0],
+  });
+};
+
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const pending = pendingState(req);
+
+    if (!pending) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("twoFactor.loginAgain")]);
+      return res.redirect("/login");
+    }
+
+    const user = await LogInCollection.findById(pending.userId);
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockout = await beginAttempt(user?.email ?? "", req.ip);
+
+    if (lockout.locked) {
+      delete req.session.pendingTwoFactor;
+      res.set("Retry-After", String(Math.ceil(lockout.retryAfterMs / 1000)));
+      req.flash("message", ["error", req.t("flash.error"), req.t("login.tooManyAttempts")]);
+      return res.status(429).redirect("/login");
+    }
+
+    if (user?.twoFactor?.enabled && (await verifySecondFactor(user, req.body.code))) {
+      await clearFailures(user.email, req.ip);
+      await createUserSession(req, user);
+
+      if (pending.remember) {
+        await rememberUser(req, res, user);
+      }
+
+      auditRequest(req, "auth.login", {
+        target: { id: user.id, email: user.email },
+        details: { method: `${pending.method ?? "password"}+2fa`, remember: Boolean(pending.remember) },
+      });
+      return res.redirect("/protected-page");
+    }
+
+    await recordLoginFailure(req, user?.email, "invalid_code");
+    pending.attempts += 1;
+
+    if (pending.attempts >= MAX_CODE_ATTEMPTS) {
+      delete req.session.pendingTwoFactor;
+      req.flash("message", ["error", req.t("flash.error"), req.t("twoFactor.tooManyCodes")]);
+      return res.status(401).redirect("/login");
+    }
+
+    req.flash("message", ["error", req.t("flash.error"), req.t("twoFactor.invalidCode")]);
+    return res.status(401).redirect("/login/2fa");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export {
+  twoFactorView,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  twoFactorChallengeView,
+  verifyTwoFactor,
+  verifySecondFactor,
+  startTwoFactorChallenge,
+};
@@ -0,0 +1,109 @@
+import { logger } from "../logs/pino.js";
+import LogInCollection from "../models/users.js";
+import { auditRequest } from "../services/audit.js";
+import { hashToken } from "../utils/bcript.js";
+import { mailLocale, sendMail } from "../utils/mailer.js";
+import { sendVerificationEmail } from "../utils/verification.js";
+import validation from "../validator/user.validator.js";
+
+const verifyEmail = async (req, res, next) => {
+  try {
+    // Consume the token; a pending address from the account page becomes the email
+    const user = await LogInCollection.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      [
+        { $set: { email: { $ifNull: ["$pendingEmail", "$email"] }, emailVerified: true } },
+        { $unset: ["pendingEmail", "emailVerificationToken", "emailVerificationExpires"] },
+      ]
+    );
+
+    if (!user) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("verification.invalidLink")]);
+      return res.redirect("/verify-email/resend");
+    }
+
+    const email = user.pendingEmail || user.email;
+
+    // Lift the banner and show the new address right away for the logged-in owner
+    if (req.session?.user?.id === user.id) {
+      req.session.user.email = email;
+      req.session.user.emailVerified = true;
+    }
+
+    if (user.pendingEmail) {
+      // Tell the old address, in case the change was not made by its owner
+      await sendMail({
+        to: user.email,
+        subject: "emails.emailChanged.subject",
+        template: "email-changed",
+        data: { nama: user.nama, newEmail: user.pendingEmail },
+        locale: mailLocale(req, user),
+      });
+      auditRequest(req, "account.email_change", {
+        target: { id: user.id, email: user.email },
+        details: { newEmail: user.pendingEmail },
+      });
+    }
+
+    logger.info({ userId: user.id }, "Email verified");
+    req.flash("message", ["success", req.t("flash.success"), req.t("verification.verified")]);
+    return res.redirect(req.session?.user ? "/protected-page" : "/login");
+  } catch (error) {
+    // The new address was taken by another account meanwhile
+    if (error.code === 11000) {
+      req.flash("message", ["error", req.t("flash.error"), req.t("signup.emailExists")]);
+      return res.status(409).redirect(req.session?.user ? "/account" : "/login");
+    }
+
+    return next(error);
+  }
+};
+
+const resendVerificationView = (req, res) => {
+  const flashMsg = req.flash("message");
+  const flashData = req.flash("data");
+
+  res.render("resend-verification", {
+    title: req.t("titles.resendVerification"),
+    layout: "layout/main-layout",
+    message: flashMsg?.[0],
+    data: flashData?.[0] ?? { email: req.session?.user?.email },
+  });
+};
+
+const resendVerification = async (req, res, next) => {
+  try {
+    const hasil = validation(req.body, ["email"], { t: req.t, validatePassword: false });
+
+    // Validasi gagal
+    if (!hasil.isValid) {
+      req.flash("message", ["error", req.t("flash.error"), hasil.messages[0]]);
+      req.flash("data", hasil.data);
+      return res.status(400).redirect("/verify-email/resend");
+    }
+
+    const user = await LogInCollection.findOne({
+      email: hasil.data.email.toLowerCase(),
+      emailVerified: { $ne: true },
+    });
+
+    // Same answer whether or not the email exists
+    if (user) {
+      await sendVerificationEmail(req, user);
+    }
+
+    req.flash("message", [
+      "success",
+      req.t("flash.success"),
+      req.t("verification.resent"),
+    ]);
+    return res.redirect(req.session?.user ? "/protected-page" : "/login");
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { verifyEmail, resendVerificationView, resendVerification };
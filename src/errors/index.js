@@ -0,0 +1,109 @@
+/**
+ * Application errors.
+ *
+ * Throw (or pass to `next`) one of these when a request cannot go through;
+ * the error handler (middleware/error-handler.js) turns it into a
+ * problem+json body for API and XHR clients, or a page for browsers.
+ *
+ * The message is a catalog key, translated for the visitor when the
+ * response is built ("{name}" placeholders come from `params`). `code` is
+ * the stable, machine-readable name clients can rely on; each class has a
+ * default that a more specific one can replace ("invalid_credentials").
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} field
+ * @property {string} message - Already translated
+ */
+
+/**
+ * @typedef {Object} AppErrorOptions
+ * @property {string} [code] - Replaces the class default
+ * @property {Object} [params] - Placeholder values for the message
+ * @property {FieldError[]} [errors] - Per-field problems, for forms and API clients
+ * @property {Record<string, string>} [headers] - Response headers (WWW-Authenticate, Retry-After)
+ * @property {Error} [cause] - Underlying error, logged but never shown
+ */
+
+export class AppError extends Error {
+  /** HTTP status of the response */
+  static statusCode = 500;
+
+  /** Default machine-readable code */
+  static code = "server_error";
+
+  /**
+   * @param {string} [message] - Catalog key
+   * @param {AppErrorOptions} [options]
+   */
+  constructor(message = "errors.server", { code, params, errors, headers, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.statusCode = new.target.statusCode;
+    this.code = code ?? new.target.code;
+    this.params = params ?? {};
+    this.errors = errors;
+    this.headers = headers;
+  }
+}
+
+/** Input that does not pass validation */
+export class ValidationError extends AppError {
+  static statusCode = 400;
+  static code = "validation_error";
+
+  constructor(message = "errors.validation", options) {
+    super(message, options);
+  }
+}
+
+/** No, or no valid, credentials */
+export class AuthenticationError extends AppError {
+  static statusCode = 401;
+  static code = "unauthorized";
+
+  constructor(message = "auth.required", options) {
+    super(message, options);
+  }
+}
+
+/** Signed in, but not allowed */
+export class ForbiddenError extends AppError {
+  static statusCode = 403;
+  static code = "forbidden";
+
+  constructor(message = "auth.forbidden", options) {
+    super(message, options);
+  }
+}
+
+/** The page or resource does not exist */
+export class NotFoundError extends AppError {
+  static statusCode = 404;
+  static code = "not_found";
+
+  constructor(message = "errors.notFound", options) {
+    super(message, options);
+  }
+}
+
+/** The request clashes with the current state (duplicate email, acting on oneself) */
+export class ConflictError extends AppError {
+  static statusCode = 409;
+  static code = "conflict";
+
+  constructor(message = "errors.conflict", options) {
+    super(message, options);
+  }
+}
+
+/** Throttled; set a Retry-After header when the wait is known */
+export class TooManyRequestsError extends AppError {
+  static statusCode = 429;
+  static code = "too_many_requests";
+
+  constructor(message = "errors.tooManyRequests", options) {
+    super(message, options);
+  }
+}
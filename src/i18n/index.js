@@ -0,0 +1,146 @@
+import fs from "fs";
+import path from "path";
+import url from "url";
+import { config } from "../config/index.js";
+import { CATALOGS, SUPPORTED_LOCALES } from "./locales/index.js";
+
+/**
+ * Message catalogs and translation.
+ *
+ * Keys are dotted paths into the catalogs ("login.wrongPassword");
+ * "{name}" placeholders are replaced by the matching parameter.
+ * A key missing from a catalog falls back to the default locale, then to
+ * the key itself, so a gap shows up on the page instead of breaking it.
+ */
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+export { SUPPORTED_LOCALES };
+
+/** Locale used when nothing else applies */
+export const DEFAULT_LOCALE = config.i18n.defaultLocale;
+
+// -----------------------------------------------------------------------------
+// Translation
+// -----------------------------------------------------------------------------
+
+/**
+ * Reads a dotted key from a catalog.
+ *
+ * @param {Object} catalog
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+const lookup = (catalog, key) => {
+  const value = key.split(".").reduce((node, part) => node?.[part], catalog);
+  return typeof value === "string" ? value : undefined;
+};
+
+/**
+ * Translates a key.
+ *
+ * @param {string} locale - Locale code; unsupported codes use DEFAULT_LOCALE
+ * @param {string} key - Dotted catalog key
+ * @param {Object} [params] - Values for "{name}" placeholders
+ * @returns {string}
+ */
+const translate = (locale, key, params = {}) => {
+  const message =
+    lookup(CATALOGS[locale] ?? {}, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key) ?? key;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+};
+
+/**
+ * Returns a translate function bound to one locale, as used by views,
+ * emails and the validator: `t("login.wrongPassword")`.
+ *
+ * @param {string} locale
+ * @returns {(key: string, params?: Object) => string}
+ */
+const translator = (locale) => (key, params) => translate(locale, key, params);
+
+/**
+ * Picks a supported locale from candidates, in order of preference.
+ *
+ * @param {...(string|undefined|null)} candidates
+ * @returns {string}
+ */
+const pickLocale = (...candidates) =>
+  candidates.find((candidate) => SUPPORTED_LOCALES.includes(candidate)) ?? DEFAULT_LOCALE;
+
+// -----------------------------------------------------------------------------
+// Startup check
+// -----------------------------------------------------------------------------
+
+/**
+ * Lists every key of a catalog.
+ *
+ * @param {Object} node
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+const keysOf = (node, prefix = "") =>
+  Object.entries(node).flatMap(([name, value]) =>
+    typeof value === "string" ? [prefix + name] : keysOf(value, `${prefix}${name}.`)
+  );
+
+/**
+ * Lists the source files that may call `t(...)`.
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+const sourceFiles = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      return entry.name === "i18n" ? [] : sourceFiles(file);
+    }
+
+    return /\.(js|ejs)$/.test(entry.name) ? [file] : [];
+  });
+
+/**
+ * Finds missing translations: keys one catalog has and another lacks, and
+ * literal keys used in the code or views (`t("...")`) that no catalog has.
+ * Keys built at runtime cannot be seen here.
+ *
+ * @returns {string[]} - One line per problem
+ */
+const findMissingKeys = () => {
+  const known = Object.fromEntries(
+    SUPPORTED_LOCALES.map((locale) => [locale, new Set(keysOf(CATALOGS[locale]))])
+  );
+  const allKeys = new Set(Object.values(known).flatMap((keys) => [...keys]));
+  const problems = [];
+
+  SUPPORTED_LOCALES.forEach((locale) => {
+    [...allKeys]
+      .filter((key) => !known[locale].has(key))
+      .forEach((key) => problems.push(`${locale}: missing "${key}"`));
+  });
+
+  const usage = /\bt\(\s*["'`]([\w-]+(?:\.[\w-]+)+)["'`]/g;
+
+  sourceFiles(path.join(__dirname, "..")).forEach((file) => {
+    const source = fs.readFileSync(file, "utf8");
+
+    for (const [, key] of source.matchAll(usage)) {
+      if (!allKeys.has(key)) {
+        problems.push(`${path.relative(path.join(__dirname, ".."), file)}: unknown key "${key}"`);
+      }
+    }
+  });
+
+  return [...new Set(problems)];
+};
+
+export { translate, translator, pickLocale, findMissingKeys };
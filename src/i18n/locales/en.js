@@ -0,0 +1,381 @@
+/**
+ * English messages. Keys must match the other catalogs; see ../index.js.
+ */
+export default {
+  flash: {
+    error: "Error!",
+    success: "Success!",
+  },
+  titles: {
+    account: "Your Account",
+    apiTokens: "API Tokens",
+    audit: "Audit Log",
+    forgotPassword: "Forgot Password",
+    login: "Login",
+    logs: "Application Logs",
+    passkeys: "Passkeys",
+    peppers: "Password Peppers",
+    protectedPage: "Protected Page",
+    recoveryCodes: "Recovery Codes",
+    resendVerification: "Resend Verification",
+    resetPassword: "Reset Password",
+    sessions: "Your Sessions",
+    signup: "Sign Up",
+    twoFactor: "Two-Factor Authentication",
+    user: "User {email}",
+    users: "Users",
+  },
+  fields: {
+    appCode: "Code from the app",
+    authenticatorCode: "Authenticator code",
+    code: "Code",
+    codeOrRecoveryCode: "Code or recovery code",
+    confirmPassword: "Confirm password",
+    currentPassword: "Current password",
+    email: "Email",
+    nama: "Name",
+    newEmail: "New email",
+    newPassword: "New password",
+    password: "Password",
+  },
+  common: {
+    back: "Back",
+    backToLogin: "Back to login",
+    done: "Done",
+    logout: "Logout",
+    next: "Next",
+    no: "No",
+    off: "Off",
+    on: "On",
+    pageOf: "Page {page} of {pages}",
+    previous: "Previous",
+    yes: "Yes",
+  },
+  layout: {
+    language: "Language",
+    resendVerification: "Resend verification link",
+    unverified: "Your email address is not verified yet.",
+  },
+  validation: {
+    emailDomain: "Email must use one of the following domains: {domains}",
+    invalid: "{field} is invalid",
+    invalidEmail: "Invalid email format",
+    maxLength: "{field} cannot exceed {max} characters",
+    minLength: "{field} must be at least {min} characters",
+    passwordMismatch: "Password confirmation does not match",
+    required: "{field} is required",
+  },
+  password: {
+    breached: "Password has appeared in a data breach, please choose another one",
+    common: "Password is too common",
+    digits: "Password must include a number",
+    lowercase: "Password must include a lowercase letter",
+    max: "Password cannot exceed {max} characters",
+    min: "Password must be at least {min} characters",
+    personalInfo: "Password cannot contain your name or email",
+    reused: "Password was used recently, please choose another one",
+    spaces: "Password cannot contain spaces",
+    symbols: "Password must include a symbol",
+    uppercase: "Password must include an uppercase letter",
+  },
+  login: {
+    accountDisabled: "Your account has been disabled",
+    emailNotFound: "Email not found",
+    forgotPassword: "Forgot your password?",
+    heading: "Login",
+    mustResetPassword: "You must reset your password. Use the link sent to your email",
+    noAccount: "Don't have an account?",
+    passwordExpired:
+      "Your password has expired. A link to choose a new one has been sent to your email",
+    rememberMe: "Remember me",
+    signInWith: "Sign in with {provider}",
+    signupLink: "Sign up",
+    submit: "Login",
+    tooManyAttempts: "Too many failed login attempts. Please try again later",
+    verifyEmailFirst: "Please verify your email address first. You can request a new link below",
+    wrongPassword: "Wrong password",
+  },
+  signup: {
+    checkEmail: "Account created. Check your email to verify your address before logging in",
+    emailExists: "Email already exists",
+    heading: "Register User",
+    loginLink: "login",
+    namaLabel: "User name",
+    submit: "Register",
+  },
+  auth: {
+    forbidden: "You do not have access to this page",
+    notLoggedIn: "You are not logged in!",
+    required: "Authentication required",
+    verifyEmailFirst: "Please verify your email address first",
+  },
+  verification: {
+    alreadyVerified: "Already verified?",
+    invalidLink: "Verification link is invalid or has expired",
+    resendIntro: "Enter your email and we will send you a new verification link.",
+    resendSubmit: "Send link",
+    resent: "If the account still needs verification, a new link has been sent",
+    verified: "Your email has been verified",
+  },
+  passwordReset: {
+    invalidLink: "Reset link is invalid or has expired",
+    linkSent: "If the email is registered, a reset link has been sent to it",
+    submit: "Save password",
+    updated: "Password updated, please log in",
+  },
+  twoFactor: {
+    challengeIntro: "Enter the code from your authenticator app, or one of your recovery codes.",
+    disabled: "Two-factor authentication disabled",
+    invalidCode: "Invalid authentication code",
+    invalidSetupCode: "Invalid code, check your authenticator app",
+    isOn: "Two-factor authentication is on.",
+    loginAgain: "Please log in again",
+    newRecoveryCodes: "New recovery codes",
+    openInApp: "Open in authenticator app",
+    recoveryCodesIntro:
+      "Keep these codes somewhere safe. Each one can be used once to log in if you lose your authenticator. They will not be shown again.",
+    remainingCodes: "Unused recovery codes left: {count}",
+    secret: "Secret:",
+    setupIntro:
+      "Add this account to your authenticator app by opening the link below, or by entering the secret by hand.",
+    tooManyCodes: "Too many invalid codes, please log in again",
+    turnOff: "Turn off 2FA",
+    turnOn: "Turn on 2FA",
+    verify: "Verify",
+    wrongPasswordOrCode: "Password or code is incorrect",
+  },
+  account: {
+    changeEmail: "Change email",
+    changePassword: "Change password",
+    currentAddress: "Current address:",
+    emailConfirmationSent:
+      "A confirmation link has been sent to {email}. Your email changes once you open it",
+    link: "Link {provider}",
+    linkedLogins: "Linked logins",
+    nameUpdated: "Your name has been updated",
+    noPassword:
+      "This account has no password. Use \"Forgot password\" on the login page to set one.",
+    notVerified: "not verified",
+    passwordUpdated: "Password updated. Your other sessions have been signed out",
+    pendingEmail: "Waiting for confirmation of",
+    pendingEmailHint: "Open the link sent to it.",
+    profile: "Profile",
+    sameEmail: "This is already your email address",
+    saveName: "Save name",
+    unlink: "Unlink",
+    wrongCurrentPassword: "Current password is incorrect",
+  },
+  sessions: {
+    device: "Device",
+    lastSeen: "Last seen",
+    notFound: "Session not found",
+    othersRevoked: "{count} other session(s) signed out",
+    revoked: "Session signed out",
+    signOut: "Sign out",
+    signOutOthers: "Sign out all other sessions",
+    signedIn: "Signed in",
+    thisDevice: "This device",
+  },
+  passkeys: {
+    add: "Add a passkey",
+    added: "Passkey added. You can now sign in with it",
+    alreadyRegistered: "This passkey is already registered",
+    cloned: "This passkey was rejected because it may have been copied. Sign in another way and remove it",
+    created: "Added",
+    expired: "The passkey request expired. Please try again",
+    intro:
+      "Passkeys let you sign in with your fingerprint, face, screen lock or security key instead of a password.",
+    invalid: "The passkey could not be verified",
+    lastLoginMethod: "You cannot remove your only way to sign in. Set a password first",
+    lastUsed: "Last used",
+    name: "Device",
+    none: "You have no passkeys yet.",
+    notFound: "Passkey not found",
+    remove: "Remove",
+    removed: "Passkey removed",
+    signIn: "Sign in with a passkey",
+    synced: "Synced",
+    unknown: "This passkey is not registered to any account",
+    unsupported: "This browser does not support passkeys.",
+    userVerificationRequired: "Your device must verify you (PIN, fingerprint or face) to use a passkey",
+  },
+  apiTokens: {
+    copyNow: "Copy this token now. It will not be shown again.",
+    create: "Create token",
+    created: "Created",
+    createdHeading: "Token \"{name}\" created",
+    days: "{days} days",
+    defaultRateLimit: "Default",
+    expires: "Expires",
+    intro:
+      "Personal access tokens let scripts call the API as you, limited to the scopes you pick. Treat them like passwords.",
+    invalidExpiry: "Choose one of the offered expiry periods",
+    invalidName: "Token name is required and cannot exceed {max} characters",
+    invalidRateLimit: "Rate limit must be a whole number of at least 1",
+    invalidScopes: "Choose at least one scope you have",
+    lastUsed: "Last used",
+    name: "Name",
+    never: "Never",
+    noExpiry: "No expiry",
+    none: "No tokens yet.",
+    notFound: "Token not found or already revoked",
+    rateLimit: "Rate limit (requests per window)",
+    revoke: "Revoke",
+    revoked: "Token revoked",
+    revokedOn: "Revoked {date}",
+    scopes: "Scopes",
+    tooMany: "An account can have at most {max} active tokens. Revoke one first",
+    usage: "Send it with each API request:",
+  },
+  oidc: {
+    emailExists:
+      "An account with this email already exists. Log in to it and link {provider} from your account page",
+    failed: "Login with {provider} failed",
+    identityNotFound: "Linked login not found",
+    invalidResponse: "Invalid login response",
+    lastLoginMethod:
+      "Set a password with \"Forgot password\" before removing your only login method",
+    linked: "{provider} login linked",
+    linkedElsewhere: "This login is already linked to another account",
+    noEmail: "{provider} did not share an email address",
+    notLinked: "No account is linked to this {provider} login",
+    unknownProvider: "Unknown login provider",
+    unlinked: "Login unlinked",
+    unreachable: "{provider} is not reachable right now, please try again later",
+  },
+  protectedPage: {
+    welcome: "Welcome {nama}",
+    welcomeTitle: "Welcome!",
+  },
+  admin: {
+    backToUsers: "Back to users",
+    confirmDelete: "Delete this user permanently?",
+    created: "Created",
+    deleteUser: "Delete user",
+    deleted: "User deleted",
+    disableAccount: "Disable account",
+    disabled: "Account disabled",
+    disabledSince: "Disabled since {date}",
+    emailVerified: "Email verified",
+    enableAccount: "Enable account",
+    enabled: "Account enabled",
+    forceReset: "Force password reset",
+    manageUsers: "Manage users",
+    mustResetPassword: "Must reset password",
+    noEvents: "No audit events recorded.",
+    notOnSelf: "You cannot do this to your own account",
+    passwordResetRequired: "Password reset required, user signed out and link sent",
+    recentActivity: "Recent activity",
+    revokeSessions: "Sign out all sessions",
+    role: "Role",
+    search: "Search",
+    searchPlaceholder: "Search name or email",
+    sessionsRevoked: "All sessions signed out",
+    status: "Status",
+    statusActive: "Active",
+    statusDisabled: "Disabled",
+    twoFactor: "Two-factor",
+    unverified: "unverified",
+    updated: "Updated",
+    userCount: "{count} user(s)",
+    userNotFound: "User not found",
+  },
+  peppers: {
+    active: "Active",
+    activeKey: "New passwords are hashed with",
+    key: "Key",
+    migration: "Other hashes move to it the next time their user logs in.",
+    missing: "Missing — these users cannot log in",
+    retiring: "Retiring",
+    unused: "Unused, safe to remove",
+  },
+  audit: {
+    actor: "Actor",
+    any: "Any",
+    by: "By",
+    event: "Event",
+    eventCount: "{count} event(s)",
+    exportCsv: "Export CSV",
+    exportJson: "Export JSON",
+    failure: "Failure",
+    filter: "Filter",
+    fromTo: "From / to",
+    outcome: "Outcome",
+    requestId: "Request id",
+    success: "Success",
+    target: "Target",
+    time: "Time",
+    user: "User (id or email)",
+    when: "When",
+  },
+  logs: {
+    files: "Files: {files}",
+    level: "Level",
+    message: "Message",
+    minLevel: "Minimum level",
+    noFiles: "No log files found.",
+    search: "Text",
+    showing: "Latest {count} matching entries (at most {limit}).",
+    startTail: "Follow live",
+    stopTail: "Stop following",
+  },
+  errors: {
+    title: {
+      badRequest: "Bad Request",
+      unauthorized: "Not Signed In",
+      forbidden: "Forbidden",
+      notFound: "Page Not Found",
+      conflict: "Conflict",
+      tooManyRequests: "Too Many Requests",
+      server: "Something Went Wrong",
+    },
+    badRequest: "The request could not be understood",
+    codeRequired: "Authentication code is required",
+    conflict: "The request conflicts with the current state",
+    csrf: "This form has expired or did not come from this site. Go back, reload the page and try again",
+    invalidCredentials: "Email or password is incorrect",
+    invalidGrant: "Refresh token is invalid or has been revoked",
+    invalidToken: "Invalid access token",
+    malformedBody: "The request body is not valid JSON",
+    missingToken: "Missing bearer token",
+    mustResetPassword: "You must reset your password",
+    notFound: "The page you are looking for does not exist",
+    passwordExpired: "Your password has expired, a reset link was emailed",
+    refreshTokenRequired: "Refresh token is required",
+    requestId: "Request id:",
+    server: "Something went wrong on our side. Please try again later",
+    tokenExpired: "Access token expired",
+    tooManyRequests: "Too many requests, please try again later",
+    validation: "Invalid input",
+  },
+  languages: {
+    en: "English",
+    id: "Bahasa Indonesia",
+  },
+  forgotPassword: {
+    intro: "Enter your email and we will send you a link to reset your password.",
+    remembered: "Remembered it?",
+    submit: "Send reset link",
+  },
+  emails: {
+    emailChanged: {
+      intro: "The email address of your account has been changed to",
+      subject: "Your email address was changed",
+      warning: "If you did not make this change, reset your password right away and contact us.",
+    },
+    greeting: "Hello {nama},",
+    resetPassword: {
+      expiry:
+        "The link expires in {minutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.",
+      intro:
+        "We received a request to reset the password of your account. Click the link below to choose a new password:",
+      subject: "Reset your password",
+    },
+    verifyEmail: {
+      expiry:
+        "The link expires in {hours} hours. If you did not create an account, you can ignore this email.",
+      intro: "Please confirm that this is your email address by opening the link below:",
+      subject: "Verify your email address",
+    },
+  },
+};
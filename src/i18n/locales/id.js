@@ -0,0 +1,384 @@
+/**
+ * Pesan bahasa Indonesia (default). Keys must match the other catalogs;
+ * see ../index.js.
+ */
+export default {
+  flash: {
+    error: "Gagal!",
+    success: "Berhasil!",
+  },
+  titles: {
+    account: "Akun Anda",
+    apiTokens: "Token API",
+    audit: "Log Audit",
+    forgotPassword: "Lupa Password",
+    login: "Login",
+    logs: "Log Aplikasi",
+    passkeys: "Passkey",
+    peppers: "Pepper Password",
+    protectedPage: "Halaman Terproteksi",
+    recoveryCodes: "Kode Pemulihan",
+    resendVerification: "Kirim Ulang Verifikasi",
+    resetPassword: "Reset Password",
+    sessions: "Sesi Anda",
+    signup: "Daftar",
+    twoFactor: "Autentikasi Dua Faktor",
+    user: "Pengguna {email}",
+    users: "Pengguna",
+  },
+  fields: {
+    appCode: "Kode dari aplikasi",
+    authenticatorCode: "Kode autentikator",
+    code: "Kode",
+    codeOrRecoveryCode: "Kode atau kode pemulihan",
+    confirmPassword: "Konfirmasi password",
+    currentPassword: "Password saat ini",
+    email: "Email",
+    nama: "Nama",
+    newEmail: "Email baru",
+    newPassword: "Password baru",
+    password: "Password",
+  },
+  common: {
+    back: "Kembali",
+    backToLogin: "Kembali ke login",
+    done: "Selesai",
+    logout: "Logout",
+    next: "Berikutnya",
+    no: "Tidak",
+    off: "Mati",
+    on: "Aktif",
+    pageOf: "Halaman {page} dari {pages}",
+    previous: "Sebelumnya",
+    yes: "Ya",
+  },
+  layout: {
+    language: "Bahasa",
+    resendVerification: "Kirim ulang link verifikasi",
+    unverified: "Alamat email Anda belum diverifikasi.",
+  },
+  validation: {
+    emailDomain: "Email harus menggunakan salah satu domain berikut: {domains}",
+    invalid: "{field} tidak valid",
+    invalidEmail: "Format email tidak valid",
+    maxLength: "{field} tidak boleh lebih dari {max} karakter",
+    minLength: "{field} minimal {min} karakter",
+    passwordMismatch: "Konfirmasi password tidak cocok",
+    required: "{field} wajib diisi",
+  },
+  password: {
+    breached: "Password pernah muncul dalam kebocoran data, silakan pilih yang lain",
+    common: "Password terlalu umum",
+    digits: "Password harus mengandung angka",
+    lowercase: "Password harus mengandung huruf kecil",
+    max: "Password tidak boleh lebih dari {max} karakter",
+    min: "Password minimal {min} karakter",
+    personalInfo: "Password tidak boleh mengandung nama atau email Anda",
+    reused: "Password baru saja digunakan, silakan pilih yang lain",
+    spaces: "Password tidak boleh mengandung spasi",
+    symbols: "Password harus mengandung simbol",
+    uppercase: "Password harus mengandung huruf besar",
+  },
+  login: {
+    accountDisabled: "Akun Anda telah dinonaktifkan",
+    emailNotFound: "Email tidak ditemukan",
+    forgotPassword: "Lupa password?",
+    heading: "Login",
+    mustResetPassword: "Anda harus mereset password. Gunakan link yang dikirim ke email Anda",
+    noAccount: "Belum punya akun?",
+    passwordExpired:
+      "Password Anda sudah kedaluwarsa. Link untuk memilih password baru telah dikirim ke email Anda",
+    rememberMe: "Ingat saya",
+    signInWith: "Masuk dengan {provider}",
+    signupLink: "Daftar",
+    submit: "Login",
+    tooManyAttempts: "Terlalu banyak percobaan login yang gagal. Silakan coba lagi nanti",
+    verifyEmailFirst:
+      "Silakan verifikasi alamat email Anda terlebih dahulu. Anda dapat meminta link baru di bawah",
+    wrongPassword: "Password salah",
+  },
+  signup: {
+    checkEmail: "Akun dibuat. Periksa email Anda untuk memverifikasi alamat sebelum login",
+    emailExists: "Email sudah terdaftar",
+    heading: "Daftar Pengguna",
+    loginLink: "login",
+    namaLabel: "Nama pengguna",
+    submit: "Daftar",
+  },
+  auth: {
+    forbidden: "Anda tidak punya akses ke halaman ini",
+    notLoggedIn: "Anda belum login!",
+    required: "Harus login",
+    verifyEmailFirst: "Silakan verifikasi alamat email Anda terlebih dahulu",
+  },
+  verification: {
+    alreadyVerified: "Sudah diverifikasi?",
+    invalidLink: "Link verifikasi tidak valid atau sudah kedaluwarsa",
+    resendIntro: "Masukkan email Anda dan kami akan mengirim link verifikasi baru.",
+    resendSubmit: "Kirim link",
+    resent: "Jika akun masih perlu diverifikasi, link baru telah dikirim",
+    verified: "Email Anda telah diverifikasi",
+  },
+  passwordReset: {
+    invalidLink: "Link reset tidak valid atau sudah kedaluwarsa",
+    linkSent: "Jika email terdaftar, link reset telah dikirim ke alamat tersebut",
+    submit: "Simpan password",
+    updated: "Password diperbarui, silakan login",
+  },
+  twoFactor: {
+    challengeIntro:
+      "Masukkan kode dari aplikasi autentikator Anda, atau salah satu kode pemulihan.",
+    disabled: "Autentikasi dua faktor dinonaktifkan",
+    invalidCode: "Kode autentikasi tidak valid",
+    invalidSetupCode: "Kode tidak valid, periksa aplikasi autentikator Anda",
+    isOn: "Autentikasi dua faktor aktif.",
+    loginAgain: "Silakan login kembali",
+    newRecoveryCodes: "Kode pemulihan baru",
+    openInApp: "Buka di aplikasi autentikator",
+    recoveryCodesIntro:
+      "Simpan kode ini di tempat aman. Setiap kode dapat dipakai sekali untuk login jika Anda kehilangan autentikator. Kode tidak akan ditampilkan lagi.",
+    remainingCodes: "Sisa kode pemulihan: {count}",
+    secret: "Secret:",
+    setupIntro:
+      "Tambahkan akun ini ke aplikasi autentikator dengan membuka link di bawah, atau dengan memasukkan secret secara manual.",
+    tooManyCodes: "Terlalu banyak kode salah, silakan login kembali",
+    turnOff: "Matikan 2FA",
+    turnOn: "Aktifkan 2FA",
+    verify: "Verifikasi",
+    wrongPasswordOrCode: "Password atau kode salah",
+  },
+  account: {
+    changeEmail: "Ubah email",
+    changePassword: "Ubah password",
+    currentAddress: "Alamat saat ini:",
+    emailConfirmationSent:
+      "Link konfirmasi telah dikirim ke {email}. Email Anda berubah setelah link dibuka",
+    link: "Tautkan {provider}",
+    linkedLogins: "Login tertaut",
+    nameUpdated: "Nama Anda telah diperbarui",
+    noPassword:
+      "Akun ini belum punya password. Gunakan \"Lupa password\" di halaman login untuk membuatnya.",
+    notVerified: "belum diverifikasi",
+    passwordUpdated: "Password diperbarui. Sesi Anda yang lain telah dikeluarkan",
+    pendingEmail: "Menunggu konfirmasi untuk",
+    pendingEmailHint: "Buka link yang dikirim ke alamat tersebut.",
+    profile: "Profil",
+    sameEmail: "Ini sudah alamat email Anda",
+    saveName: "Simpan nama",
+    unlink: "Lepas tautan",
+    wrongCurrentPassword: "Password saat ini salah",
+  },
+  sessions: {
+    device: "Perangkat",
+    lastSeen: "Terakhir aktif",
+    notFound: "Sesi tidak ditemukan",
+    othersRevoked: "{count} sesi lain telah dikeluarkan",
+    revoked: "Sesi telah dikeluarkan",
+    signOut: "Keluarkan",
+    signOutOthers: "Keluarkan semua sesi lain",
+    signedIn: "Login sejak",
+    thisDevice: "Perangkat ini",
+  },
+  passkeys: {
+    add: "Tambah passkey",
+    added: "Passkey ditambahkan. Sekarang Anda bisa login dengannya",
+    alreadyRegistered: "Passkey ini sudah terdaftar",
+    cloned: "Passkey ini ditolak karena mungkin telah disalin. Login dengan cara lain lalu hapus passkey ini",
+    created: "Ditambahkan",
+    expired: "Permintaan passkey kedaluwarsa. Silakan coba lagi",
+    intro:
+      "Dengan passkey Anda bisa login memakai sidik jari, wajah, kunci layar atau kunci keamanan, tanpa password.",
+    invalid: "Passkey tidak dapat diverifikasi",
+    lastLoginMethod: "Anda tidak bisa menghapus satu-satunya cara login. Buat password terlebih dahulu",
+    lastUsed: "Terakhir dipakai",
+    name: "Perangkat",
+    none: "Anda belum memiliki passkey.",
+    notFound: "Passkey tidak ditemukan",
+    remove: "Hapus",
+    removed: "Passkey dihapus",
+    signIn: "Login dengan passkey",
+    synced: "Tersinkron",
+    unknown: "Passkey ini tidak terdaftar pada akun mana pun",
+    unsupported: "Browser ini tidak mendukung passkey.",
+    userVerificationRequired: "Perangkat Anda harus memverifikasi Anda (PIN, sidik jari atau wajah) untuk memakai passkey",
+  },
+  apiTokens: {
+    copyNow: "Salin token ini sekarang. Token tidak akan ditampilkan lagi.",
+    create: "Buat token",
+    created: "Dibuat",
+    createdHeading: "Token \"{name}\" dibuat",
+    days: "{days} hari",
+    defaultRateLimit: "Bawaan",
+    expires: "Kedaluwarsa",
+    intro:
+      "Token akses pribadi memungkinkan skrip memanggil API atas nama Anda, terbatas pada cakupan yang Anda pilih. Perlakukan seperti password.",
+    invalidExpiry: "Pilih salah satu masa berlaku yang tersedia",
+    invalidName: "Nama token wajib diisi dan tidak boleh lebih dari {max} karakter",
+    invalidRateLimit: "Batas permintaan harus bilangan bulat minimal 1",
+    invalidScopes: "Pilih minimal satu cakupan yang Anda miliki",
+    lastUsed: "Terakhir dipakai",
+    name: "Nama",
+    never: "Tidak pernah",
+    noExpiry: "Tanpa kedaluwarsa",
+    none: "Belum ada token.",
+    notFound: "Token tidak ditemukan atau sudah dicabut",
+    rateLimit: "Batas permintaan (per jendela waktu)",
+    revoke: "Cabut",
+    revoked: "Token dicabut",
+    revokedOn: "Dicabut {date}",
+    scopes: "Cakupan",
+    tooMany: "Satu akun maksimal memiliki {max} token aktif. Cabut salah satu terlebih dahulu",
+    usage: "Kirimkan pada setiap permintaan API:",
+  },
+  oidc: {
+    emailExists:
+      "Akun dengan email ini sudah ada. Login ke akun tersebut lalu tautkan {provider} dari halaman akun",
+    failed: "Login dengan {provider} gagal",
+    identityNotFound: "Login tertaut tidak ditemukan",
+    invalidResponse: "Respons login tidak valid",
+    lastLoginMethod:
+      "Buat password dengan \"Lupa password\" sebelum menghapus satu-satunya cara login Anda",
+    linked: "Login {provider} telah ditautkan",
+    linkedElsewhere: "Login ini sudah ditautkan ke akun lain",
+    noEmail: "{provider} tidak membagikan alamat email",
+    notLinked: "Tidak ada akun yang ditautkan ke login {provider} ini",
+    unknownProvider: "Penyedia login tidak dikenal",
+    unlinked: "Tautan login dilepas",
+    unreachable: "{provider} sedang tidak dapat dihubungi, silakan coba lagi nanti",
+  },
+  protectedPage: {
+    welcome: "Selamat datang {nama}",
+    welcomeTitle: "Selamat datang!",
+  },
+  admin: {
+    backToUsers: "Kembali ke daftar pengguna",
+    confirmDelete: "Hapus pengguna ini secara permanen?",
+    created: "Dibuat",
+    deleteUser: "Hapus pengguna",
+    deleted: "Pengguna dihapus",
+    disableAccount: "Nonaktifkan akun",
+    disabled: "Akun dinonaktifkan",
+    disabledSince: "Nonaktif sejak {date}",
+    emailVerified: "Email terverifikasi",
+    enableAccount: "Aktifkan akun",
+    enabled: "Akun diaktifkan",
+    forceReset: "Wajibkan reset password",
+    manageUsers: "Kelola pengguna",
+    mustResetPassword: "Wajib reset password",
+    noEvents: "Belum ada kejadian yang tercatat.",
+    notOnSelf: "Anda tidak dapat melakukan ini pada akun sendiri",
+    passwordResetRequired: "Reset password diwajibkan, pengguna dikeluarkan dan link telah dikirim",
+    recentActivity: "Aktivitas terbaru",
+    revokeSessions: "Keluarkan semua sesi",
+    role: "Peran",
+    search: "Cari",
+    searchPlaceholder: "Cari nama atau email",
+    sessionsRevoked: "Semua sesi telah dikeluarkan",
+    status: "Status",
+    statusActive: "Aktif",
+    statusDisabled: "Nonaktif",
+    twoFactor: "Dua faktor",
+    unverified: "belum diverifikasi",
+    updated: "Diperbarui",
+    userCount: "{count} pengguna",
+    userNotFound: "Pengguna tidak ditemukan",
+  },
+  peppers: {
+    active: "Aktif",
+    activeKey: "Password baru di-hash dengan",
+    key: "Kunci",
+    migration: "Hash lain berpindah ke kunci ini saat penggunanya login berikutnya.",
+    missing: "Hilang — pengguna ini tidak dapat login",
+    retiring: "Sedang dipensiunkan",
+    unused: "Tidak dipakai, aman dihapus",
+  },
+  audit: {
+    actor: "Pelaku",
+    any: "Semua",
+    by: "Oleh",
+    event: "Kejadian",
+    eventCount: "{count} kejadian",
+    exportCsv: "Ekspor CSV",
+    exportJson: "Ekspor JSON",
+    failure: "Gagal",
+    filter: "Saring",
+    fromTo: "Dari / sampai",
+    outcome: "Hasil",
+    requestId: "Id request",
+    success: "Berhasil",
+    target: "Sasaran",
+    time: "Waktu",
+    user: "Pengguna (id atau email)",
+    when: "Kapan",
+  },
+  logs: {
+    files: "Berkas: {files}",
+    level: "Level",
+    message: "Pesan",
+    minLevel: "Level minimum",
+    noFiles: "Tidak ada berkas log.",
+    search: "Teks",
+    showing: "{count} entri terbaru yang cocok (maksimal {limit}).",
+    startTail: "Ikuti langsung",
+    stopTail: "Berhenti mengikuti",
+  },
+  errors: {
+    title: {
+      badRequest: "Permintaan Tidak Valid",
+      unauthorized: "Belum Login",
+      forbidden: "Akses Ditolak",
+      notFound: "Halaman Tidak Ditemukan",
+      conflict: "Konflik",
+      tooManyRequests: "Terlalu Banyak Permintaan",
+      server: "Terjadi Kesalahan",
+    },
+    badRequest: "Permintaan tidak dapat dipahami",
+    codeRequired: "Kode autentikasi wajib diisi",
+    conflict: "Permintaan bertentangan dengan keadaan saat ini",
+    csrf: "Formulir ini sudah kedaluwarsa atau tidak berasal dari situs ini. Kembali, muat ulang halaman dan coba lagi",
+    invalidCredentials: "Email atau password salah",
+    invalidGrant: "Refresh token tidak valid atau sudah dicabut",
+    invalidToken: "Access token tidak valid",
+    malformedBody: "Isi permintaan bukan JSON yang valid",
+    missingToken: "Bearer token tidak ada",
+    mustResetPassword: "Anda harus mereset password",
+    notFound: "Halaman yang Anda cari tidak ada",
+    passwordExpired: "Password Anda sudah kedaluwarsa, link reset telah dikirim ke email",
+    refreshTokenRequired: "Refresh token wajib diisi",
+    requestId: "Id permintaan:",
+    server: "Terjadi kesalahan di sisi kami. Silakan coba lagi nanti",
+    tokenExpired: "Access token sudah kedaluwarsa",
+    tooManyRequests: "Terlalu banyak permintaan, silakan coba lagi nanti",
+    validation: "Input tidak valid",
+  },
+  languages: {
+    en: "English",
+    id: "Bahasa Indonesia",
+  },
+  forgotPassword: {
+    intro: "Masukkan email Anda dan kami akan mengirim link untuk mereset password.",
+    remembered: "Sudah ingat?",
+    submit: "Kirim link reset",
+  },
+  emails: {
+    emailChanged: {
+      intro: "Alamat email akun Anda telah diubah menjadi",
+      subject: "Alamat email Anda telah diubah",
+      warning:
+        "Jika Anda tidak melakukan perubahan ini, segera reset password Anda dan hubungi kami.",
+    },
+    greeting: "Halo {nama},",
+    resetPassword: {
+      expiry:
+        "Link berlaku selama {minutes} menit dan hanya dapat digunakan sekali. Jika Anda tidak meminta reset, abaikan email ini.",
+      intro:
+        "Kami menerima permintaan untuk mereset password akun Anda. Klik link di bawah untuk memilih password baru:",
+      subject: "Reset password Anda",
+    },
+    verifyEmail: {
+      expiry: "Link berlaku selama {hours} jam. Jika Anda tidak membuat akun, abaikan email ini.",
+      intro: "Silakan konfirmasi bahwa ini alamat email Anda dengan membuka link di bawah:",
+      subject: "Verifikasi alamat email Anda",
+    },
+  },
+};
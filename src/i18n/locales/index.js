@@ -0,0 +1,8 @@
+import en from "./en.js";
+import id from "./id.js";
+
+/** Catalogs by locale code */
+export const CATALOGS = { id, en };
+
+/** Locales users can pick */
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
@@ -1,13 +1,10 @@
 import express from "express";
-import "dotenv/config";
 import helmet from "helmet";
 import compression from "compression";
 import cors from "cors";
-import morgan from "morgan";
 import rateLimit from "express-rate-limit";
 import cookieParser from "cookie-parser";
 import session from "express-session";
-import MongoStore from "connect-mongo";
 import passport from "passport";
 import { Strategy as LocalStrategy } from "passport-local";
 import mongoose from "mongoose";
@@ -17,32 +14,22 @@ import fs from "fs";
 import https from "https";
 import swaggerUi from "swagger-ui-express";
 import swaggerJsDoc from "swagger-jsdoc";
-import winston from "winston";
 
 import routes from "./routes/index.js";
 import appMiddleware from "./middleware/index.js";
-import User from "./models/User.js";
-
-// ───────────────────────────────────────────────────────────
-// Logger
-// ───────────────────────────────────────────────────────────
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL ?? "info",
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: "error.log", level: "error" }),
-    new winston.transports.File({ filename: "combined.log" }),
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    })
-  ]
-});
+import { errorHandler, notFoundHandler } from "./middleware/error-handler.js";
+import { identifyApiToken } from "./middleware/api-auth.js";
+import { requestLogger } from "./middleware/request-logger.js";
+import { httpMetrics, metricsAccess } from "./middleware/metrics.js";
+import { metricsView } from "./controllers/metrics.js";
+import { liveView, readyView } from "./controllers/health.js";
+import { isDraining, startDraining } from "./utils/health.js";
+import { flushAudit } from "./services/audit.js";
+import sessionStore, { SESSION_TTL_SECONDS } from "./utils/session-store.js";
+import User from "./models/users.js";
+import { config } from "./config/index.js";
+import { logger } from "./logs/pino.js";
+import "./models/app-logs.js"; // TTL index of the MongoDB log transport
 
 // ───────────────────────────────────────────────────────────
 // Paths
@@ -53,16 +40,20 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // App setup
 // ───────────────────────────────────────────────────────────
 const app = express();
-const port = process.env.PORT || 3000;
-const isProduction = process.env.NODE_ENV === "production";
+const port = config.app.port;
+const isProduction = config.isProduction;
+
+// Behind a proxy, req.ip (login throttle, audit, metrics allowlist) and
+// req.protocol come from X-Forwarded-* headers sent by the trusted hops only
+app.set("trust proxy", config.app.trustProxy);
 
 // ───────────────────────────────────────────────────────────
 // MongoDB
 // ───────────────────────────────────────────────────────────
 mongoose
-  .connect(process.env.MONGODB_URI)
+  .connect(config.mongo.uri)
   .then(() => logger.info("✅ MongoDB connected"))
-  .catch((err) => logger.error("❌ MongoDB error:", err));
+  .catch((err) => logger.error({ err }, "❌ MongoDB error"));
 
 // ───────────────────────────────────────────────────────────
 // Swagger
@@ -90,6 +81,27 @@ app.set("view engine", "ejs");
 // ───────────────────────────────────────────────────────────
 // Middleware
 // ───────────────────────────────────────────────────────────
+// Access log and request id → first, so every log line of the request carries it
+app.use(requestLogger);
+
+// Prometheus: timing starts here; the endpoint answers before sessions and rate limits
+if (config.metrics.enabled) {
+  app.use(httpMetrics);
+  app.get(config.metrics.path, metricsAccess, metricsView);
+}
+
+// Health: liveness and readiness probes, also before sessions and rate limits
+app.get(["/health", "/health/live"], liveView);
+app.get("/health/ready", readyView);
+
+// While draining, keep-alive clients are told to reconnect elsewhere
+app.use((req, res, next) => {
+  if (isDraining()) {
+    res.set("Connection", "close");
+  }
+  next();
+});
+
 app.use(
   helmet({
     contentSecurityPolicy: isProduction
@@ -98,7 +110,7 @@ app.use(
 
 app.use(
   cors({
-    origin: process.env.ALLOWED_ORIGINS?.split(",") || "*",
+    origin: config.app.allowedOrigins.length > 0 ? config.app.allowedOrigins : "*",
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
     credentials: true
   })
@@ -106,37 +118,24 @@ app.use(
 
 app.use(compression());
 
-// Logging
-if (isProduction) {
-  const accessLogStream = fs.createWriteStream(
-    path.join(__dirname, "access.log"),
-    { flags: "a" }
-  );
-  app.use(morgan("combined", { stream: accessLogStream }));
-} else {
-  app.use(morgan("dev"));
-}
-
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
-app.use(cookieParser(process.env.COOKIE_SECRET));
+app.use(cookieParser(config.cookie.secret));
 
 // ───────────────────────────────────────────────────────────
 // Session
 // ───────────────────────────────────────────────────────────
 app.use(
   session({
-    secret: process.env.SESSION_SECRET,
+    secret: config.session.secret,
     resave: false,
     saveUninitialized: false,
-    store: MongoStore.create({
-      mongoUrl: process.env.MONGODB_URI,
-      ttl: 14 * 24 * 60 * 60
-    }),
+    rolling: true, // idle timeout; "Remember me" restores ended sessions
+    store: sessionStore,
     cookie: {
       secure: isProduction,
       httpOnly: true,
-      maxAge: 14 * 24 * 60 * 60 * 1000
+      maxAge: SESSION_TTL_SECONDS * 1000
     }
   })
 );
@@ -181,12 +180,15 @@ passport.deserializeUser(async (id, done) => {
 // ───────────────────────────────────────────────────────────
 app.use(
   "/api",
+  identifyApiToken,
   rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 100,
     standardHeaders: true,
     legacyHeaders: false,
-    message: "Too many requests, try again later."
+    message: "Too many requests, try again later.",
+    // Authenticated personal access tokens have their own limit (middleware/api-auth.js)
+    skip: (req) => Boolean(req.apiToken)
   })
 );
 
@@ -201,41 +203,25 @@ app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 // Custom middleware
 app.use(appMiddleware);
 
-// Health check
-app.get("/health", (req, res) => {
-  res.status(200).json({ status: "UP", timestamp: new Date() });
-});
-
 // Routes
 app.use(routes);
 
 // ───────────────────────────────────────────────────────────
 // Error handling
 // ───────────────────────────────────────────────────────────
-app.use((err, req, res, next) => {
-  logger.error(`Error: ${err.message}`, { stack: err.stack });
-
-  res.status(err.statusCode ?? 500).render("error", {
-    title: "Error",
-    message: err.message,
-    error: isProduction ? {} : err
-  });
-});
-
-// 404
-app.use((req, res) => {
-  res.status(404).render("404", { title: "Page Not Found" });
-});
+// Nothing matched: 404, then every error becomes a page or problem+json
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // ───────────────────────────────────────────────────────────
 // HTTPS (optional)
 // ───────────────────────────────────────────────────────────
 let server =
-  isProduction && process.env.USE_HTTPS === "true"
+  isProduction && config.app.useHttps
     ? https.createServer(
         {
-          key: fs.readFileSync(process.env.SSL_KEY_PATH),
-          cert: fs.readFileSync(process.env.SSL_CERT_PATH)
+          key: fs.readFileSync(config.app.sslKeyPath),
+          cert: fs.readFileSync(config.app.sslCertPath)
         },
         app
       )
@@ -244,8 +230,8 @@ let server =
 // ───────────────────────────────────────────────────────────
 // Start
 // ───────────────────────────────────────────────────────────
-server.listen(port, () => {
-  logger.info(`✅ Server running in ${process.env.NODE_ENV || "development"}`);
+const httpServer = server.listen(port, () => {
+  logger.info(`✅ Server running in ${config.env}`);
   logger.info(
     `🔗 Listening at http${isProduction ? "s" : ""}://localhost:${port}`
   );
@@ -257,14 +243,34 @@ server.listen(port, () => {
 // ───────────────────────────────────────────────────────────
 // Graceful shutdown
 // ───────────────────────────────────────────────────────────
+// Readiness fails first so load balancers stop routing here, then the
+// server stops accepting connections and exits once open ones finish.
+const { drainSeconds, shutdownTimeoutSeconds } = config.health;
+let shuttingDown = false;
+
 process.on("SIGTERM", () => {
-  logger.info("SIGTERM received, shutting down...");
-  server.close(() => {
-    mongoose.connection.close(false, () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  logger.info(`SIGTERM received, not ready; draining for ${drainSeconds}s...`);
+  startDraining();
+
+  setTimeout(() => {
+    // Connections that never finish do not hold the process forever
+    setTimeout(() => {
+      logger.error("Connections still open, exiting anyway");
+      process.exit(1);
+    }, shutdownTimeoutSeconds * 1000).unref();
+
+    httpServer.close(async () => {
+      await flushAudit();
+      await sessionStore.close();
+      await mongoose.connection.close(false);
       logger.info("MongoDB closed");
       process.exit(0);
     });
-  });
+    httpServer.closeIdleConnections?.();
+  }, drainSeconds * 1000);
 });
 
 export default app;
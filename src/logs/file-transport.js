@@ -0,0 +1,24 @@
+import path from "path";
+import { createStream } from "rotating-file-stream";
+
+/**
+ * pino transport, loaded by ./pino.js in pino's worker thread: JSON lines
+ * appended to one file, rotated by size and age like logrotate does. The
+ * newest archive is app.log.1.gz and only `maxFiles` archives are kept;
+ * services/app-logs.js relies on this naming.
+ *
+ * @param {Object} options
+ * @param {string} options.file - Live file
+ * @param {string} options.size - e.g. "10M"
+ * @param {string} options.interval - e.g. "1d"
+ * @param {number} options.maxFiles
+ * @returns {import("stream").Writable}
+ */
+export default ({ file, size, interval, maxFiles }) =>
+  createStream(path.basename(file), {
+    path: path.dirname(path.resolve(file)),
+    size,
+    interval,
+    rotate: maxFiles,
+    compress: "gzip",
+  });
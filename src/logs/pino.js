@@ -1,28 +1,104 @@
-export const logger = pino({
-  enabled: process.env.LOG_ENABLED === "true",
-  level: process.env.LOG_LEVEL || "info",
-  transport: {
-    targets: [
-      {
+import { AsyncLocalStorage } from "async_hooks";
+import { fileURLToPath } from "url";
+import pino from "pino";
+import { config } from "../config/index.js";
+
+/**
+ * The application logger; every module logs through it. Output goes to
+ * stdout (JSON in production, pino-pretty in development), to a rotated
+ * JSON file read by the admin log viewer and, when enabled, to MongoDB.
+ * The security audit trail is separate, see services/audit.js.
+ *
+ * Lines logged while a request is handled carry its id (`reqId`) and any
+ * other bindings added with `addLogContext`, through AsyncLocalStorage, so
+ * plain `logger.info()` calls in services and controllers are correlated
+ * without passing `req.log` around.
+ */
+
+/** Always censored; LOG_REDACT adds more */
+export const REDACTED_PATHS = [
+  // Form and JSON bodies, logged as they are or one or two levels down
+  ...["password", "currentPassword", "confirmPassword", "newPassword", "token", "refreshToken", "secret"].flatMap((key) => [
+    key,
+    `*.${key}`,
+    `*.*.${key}`,
+  ]),
+  "req.headers.authorization",
+  "req.headers.cookie",
+  'req.headers["x-csrf-token"]',
+  'res.headers["set-cookie"]',
+  "headers.authorization",
+  "headers.cookie",
+];
+
+const context = new AsyncLocalStorage();
+
+const pretty = config.log.format === "pretty" || (config.log.format === "auto" && !config.isProduction);
+
+// LOG_ENABLED=false still lets errors through to the console
+const level = config.log.enabled ? config.log.level : "error";
+
+const targets = [
+  pretty
+    ? {
         target: "pino-pretty",
-        level: "info",
         options: {
           colorize: true,
           translateTime: "SYS:yyyy-mm-dd HH:MM:ss.l",
           ignore: "pid,hostname",
         },
-      },
-      {
-        target: "pino-pretty",
-        level: "info",
-        options: {
-          destination: "./logs/file/app.log",
-          mkdir: true,
-          colorize: false,
-          translateTime: "SYS:yyyy-mm-dd HH:MM:ss.l",
-          ignore: "pid,hostname",
-        },
-      },
-    ],
-  },
+      }
+    : { target: "pino/file", options: { destination: 1 } },
+];
+
+if (config.log.enabled && config.log.file.enabled) {
+  targets.push({
+    target: fileURLToPath(new URL("./file-transport.js", import.meta.url)),
+    options: {
+      file: config.log.file.path,
+      size: config.log.file.maxSize,
+      interval: config.log.file.interval,
+      maxFiles: config.log.file.maxFiles,
+    },
+  });
+}
+
+// Retention is handled by the TTL index declared in models/app-logs.js
+if (config.log.enabled && config.log.mongo.enabled) {
+  targets.push({
+    target: "pino-mongodb",
+    options: {
+      uri: config.mongo.uri,
+      collection: config.log.mongo.collection,
+    },
+  });
+}
+
+export const logger = pino({
+  level,
+  timestamp: pino.stdTimeFunctions.isoTime,
+  redact: { paths: [...REDACTED_PATHS, ...config.log.redact], censor: "[Redacted]" },
+  // A copy: pino merges the line's own properties into what mixin returns
+  mixin: () => ({ ...context.getStore() }),
+  transport: { targets: targets.map((target) => ({ level, ...target })) },
 });
+
+/**
+ * Runs `fn` with `bindings` added to every line logged meanwhile, including
+ * from callbacks and promises started inside it.
+ *
+ * @param {Object} bindings - e.g. { reqId }
+ * @param {Function} fn
+ * @returns {*} - What `fn` returns
+ */
+export const runWithLogContext = (bindings, fn) => context.run({ ...context.getStore(), ...bindings }, fn);
+
+/**
+ * Adds bindings to the current context, e.g. once a request is tied to a
+ * user. Does nothing outside `runWithLogContext`.
+ *
+ * @param {Object} bindings
+ */
+export const addLogContext = (bindings) => {
+  Object.assign(context.getStore() ?? {}, bindings);
+};
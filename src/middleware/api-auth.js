@@ -0,0 +1,139 @@
+import { permissionsFor } from "../config/roles.js";
+import { AuthenticationError, TooManyRequestsError } from "../errors/index.js";
+import { addLogContext, logger } from "../logs/pino.js";
+import { authenticateApiToken, isApiToken, recordApiTokenUse } from "../services/api-tokens.js";
+import { verifyAccessToken } from "../utils/jwt.js";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Credential from the Authorization header, if it uses the Bearer scheme.
+ *
+ * @param {import("express").Request} req
+ * @returns {string|undefined}
+ */
+const bearerTokenOf = (req) => {
+  const [scheme, token] = (req.get("authorization") ?? "").split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token : undefined;
+};
+
+const invalidToken = (message = "errors.invalidToken") =>
+  new AuthenticationError(message, {
+    code: "invalid_token",
+    headers: { "WWW-Authenticate": 'Bearer realm="api", error="invalid_token"' },
+  });
+
+/**
+ * Personal access token branch of `authenticateBearer`: checks the token,
+ * applies its rate limit and ties the request to it in logs and audit events.
+ */
+const authenticateWithApiToken = async (req, res, next, secret) => {
+  try {
+    const found = await authenticateApiToken(secret);
+
+    if (!found) {
+      throw invalidToken();
+    }
+
+    const { token, user, permissions } = found;
+    const usage = await recordApiTokenUse(token, req);
+    const resetSeconds = Math.max(Math.ceil((usage.resetAt - Date.now()) / 1000), 0);
+
+    res.set({
+      "RateLimit-Limit": String(usage.limit),
+      "RateLimit-Remaining": String(usage.remaining),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (usage.limited) {
+      logger.warn({ apiTokenId: token.id, userId: user.id, limit: usage.limit }, "API token rate limit reached");
+      throw new TooManyRequestsError("errors.tooManyRequests", {
+        code: "rate_limited",
+        headers: { "Retry-After": String(resetSeconds) },
+      });
+    }
+
+    req.apiToken = { id: token.id, name: token.name };
+    addLogContext({ apiTokenId: token.id });
+    req.user = {
+      id: user.id,
+      email: user.email,
+      nama: user.nama,
+      role: user.role,
+      permissions,
+    };
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Middleware
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks a personal access token before the IP rate limiter, which skips
+ * the request only once `req.apiToken` is set: the token's own limit
+ * applies instead. An unknown or revoked token is refused here; requests
+ * without one pass through untouched.
+ */
+const identifyApiToken = (req, res, next) => {
+  const token = bearerTokenOf(req);
+
+  if (!isApiToken(token)) {
+    return next();
+  }
+
+  return authenticateWithApiToken(req, res, next, token);
+};
+
+/**
+ * Protects API routes with a bearer access token or personal access token,
+ * the way `isLoggedIn` protects pages with the session.
+ * On success the user is available as `req.user`; for personal access
+ * tokens the permissions are the token's scopes and `req.apiToken` names it.
+ */
+const authenticateBearer = (req, res, next) => {
+  // Already checked by identifyApiToken
+  if (req.apiToken) {
+    return next();
+  }
+
+  const token = bearerTokenOf(req);
+
+  if (!token) {
+    return next(
+      new AuthenticationError("errors.missingToken", {
+        headers: { "WWW-Authenticate": 'Bearer realm="api"' },
+      })
+    );
+  }
+
+  if (isApiToken(token)) {
+    return authenticateWithApiToken(req, res, next, token);
+  }
+
+  try {
+    const claims = verifyAccessToken(token);
+
+    req.user = {
+      id: claims.sub,
+      email: claims.email,
+      nama: claims.nama,
+      role: claims.role,
+      permissions: permissionsFor(claims.role),
+    };
+
+    return next();
+  } catch (error) {
+    return next(
+      invalidToken(error.name === "TokenExpiredError" ? "errors.tokenExpired" : "errors.invalidToken")
+    );
+  }
+};
+
+export { bearerTokenOf, identifyApiToken, authenticateBearer };
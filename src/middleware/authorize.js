@@ -0,0 +1,66 @@
+import { hasPermission } from "../config/roles.js";
+import { AuthenticationError, ForbiddenError } from "../errors/index.js";
+import { logger } from "../logs/pino.js";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * The authenticated principal: bearer token user for the API,
+ * session user for pages.
+ *
+ * @param {import("express").Request} req
+ * @returns {{ id?: string, role?: string, permissions?: string[] }|undefined}
+ */
+const principalOf = (req) => req.user ?? req.session?.user;
+
+// -----------------------------------------------------------------------------
+// Middleware factories
+// -----------------------------------------------------------------------------
+
+/**
+ * Allows the request when the user has one of the given roles.
+ *
+ * @param {...string} roles - Accepted role names
+ * @returns {import("express").RequestHandler}
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  const principal = principalOf(req);
+
+  if (!principal) {
+    return next(new AuthenticationError());
+  }
+
+  if (!roles.includes(principal.role)) {
+    logger.warn({ userId: principal.id, role: principal.role, roles, url: req.originalUrl }, "Role denied");
+    return next(new ForbiddenError());
+  }
+
+  return next();
+};
+
+/**
+ * Allows the request when the user holds every given permission.
+ *
+ * @param {...string} permissions - Required permission names
+ * @returns {import("express").RequestHandler}
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const principal = principalOf(req);
+
+  if (!principal) {
+    return next(new AuthenticationError());
+  }
+
+  const missing = permissions.filter((p) => !hasPermission(principal.permissions, p));
+
+  if (missing.length > 0) {
+    logger.warn({ userId: principal.id, missing, url: req.originalUrl }, "Permission denied");
+    return next(new ForbiddenError());
+  }
+
+  return next();
+};
+
+export { requireRole, requirePermission };
@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import { config } from "../config/index.js";
+import { ForbiddenError } from "../errors/index.js";
+import { logger } from "../logs/pino.js";
+
+// -----------------------------------------------------------------------------
+// Constants
+// -----------------------------------------------------------------------------
+
+/** Methods that never change state and are not checked */
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/** Form field the views submit the token in */
+const CSRF_FIELD = "_csrf";
+
+/** Header for XHR and API clients */
+const CSRF_HEADER = "X-CSRF-Token";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const newToken = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Constant-time comparison of two tokens.
+ *
+ * @param {unknown} expected
+ * @param {unknown} actual
+ * @returns {boolean}
+ */
+const tokensMatch = (expected, actual) => {
+  if (typeof expected !== "string" || typeof actual !== "string") {
+    return false;
+  }
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Token sent with the request: form field first, then the header.
+ *
+ * @param {import("express").Request} req
+ * @returns {string|undefined}
+ */
+const submittedToken = (req) => req.body?.[CSRF_FIELD] ?? req.get(CSRF_HEADER);
+
+/**
+ * Bearer tokens are not sent by the browser on its own, so such requests
+ * cannot be forged cross-site.
+ */
+const hasBearer = (req) => /^bearer\s/i.test(req.get("Authorization") ?? "");
+
+/**
+ * Logs the rejection and hands a 403 to the error handler.
+ */
+const reject = (req, next, reason) => {
+  (req.log ?? logger).warn(
+    { reason, method: req.method, url: req.originalUrl, userId: req.session?.user?.id, ip: req.ip },
+    "CSRF check failed"
+  );
+  return next(new ForbiddenError("errors.csrf", { code: "csrf_invalid" }));
+};
+
+// -----------------------------------------------------------------------------
+// Middleware
+// -----------------------------------------------------------------------------
+
+/**
+ * Synchronizer token for the pages: one random token per session, sent back
+ * in every form (`<%- csrfField() %>`) and checked on every request that is
+ * not GET, HEAD or OPTIONS. The session is new after login, so is the token.
+ *
+ * Sets `req.csrfToken()` and, for the views, `csrfToken` and `csrfField()`.
+ * /api is left to `doubleSubmitCsrf`.
+ */
+const csrfProtection = (req, res, next) => {
+  if (req.originalUrl.startsWith("/api")) {
+    return next();
+  }
+
+  if (!req.session) {
+    return reject(req, next, "no_session");
+  }
+
+  const token = () => {
+    req.session.csrfToken ??= newToken();
+    return req.session.csrfToken;
+  };
+
+  req.csrfToken = token;
+  res.locals.csrfToken = token;
+  res.locals.csrfField = () => `<input type="hidden" name="${CSRF_FIELD}" value="${token()}">`;
+
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (!req.session.csrfToken) {
+    return reject(req, next, "no_token_in_session");
+  }
+
+  if (!tokensMatch(req.session.csrfToken, submittedToken(req))) {
+    return reject(req, next, "token_mismatch");
+  }
+
+  return next();
+};
+
+/**
+ * Double-submit cookie for API clients that rely on cookies (an SPA on the
+ * same site): the token is set in a cookie scripts on the site can read,
+ * and unsafe requests must echo it in the X-CSRF-Token header. A cross-site
+ * page can make the browser send the cookie but cannot read it.
+ *
+ * Requests with a bearer token are not checked. Enabled by
+ * CSRF_API_DOUBLE_SUBMIT.
+ */
+const doubleSubmitCsrf = (req, res, next) => {
+  const { cookieName } = config.csrf;
+
+  if (!req.cookies?.[cookieName]) {
+    res.cookie(cookieName, newToken(), {
+      sameSite: "strict",
+      secure: config.isProduction,
+      path: "/",
+    });
+  }
+
+  if (SAFE_METHODS.includes(req.method) || hasBearer(req)) {
+    return next();
+  }
+
+  if (!tokensMatch(req.cookies?.[cookieName], req.get(CSRF_HEADER))) {
+    return reject(req, next, "double_submit_mismatch");
+  }
+
+  return next();
+};
+
+export { CSRF_FIELD, CSRF_HEADER, csrfProtection, doubleSubmitCsrf };
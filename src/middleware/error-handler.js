@@ -0,0 +1,140 @@
+import http from "http";
+import { config } from "../config/index.js";
+import { AppError, AuthenticationError, NotFoundError, ValidationError } from "../errors/index.js";
+import { logger } from "../logs/pino.js";
+import { detectLocale } from "./locale.js";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/** Error page title by status; other statuses use the generic one */
+const TITLE_KEYS = {
+  400: "errors.title.badRequest",
+  401: "errors.title.unauthorized",
+  403: "errors.title.forbidden",
+  404: "errors.title.notFound",
+  409: "errors.title.conflict",
+  429: "errors.title.tooManyRequests",
+};
+
+/**
+ * API and XHR clients get JSON, browsers get a page.
+ *
+ * @param {import("express").Request} req
+ * @returns {boolean}
+ */
+const wantsJson = (req) =>
+  req.originalUrl.startsWith("/api") ||
+  req.xhr ||
+  req.accepts(["html", "json"]) === "json";
+
+/**
+ * Brings any thrown value to an AppError. Errors from Express and
+ * body-parser carry a 4xx `status` and keep it; anything else is a bug
+ * and becomes a 500 that shows nothing of the original error.
+ *
+ * @param {unknown} error
+ * @returns {AppError}
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const status = error?.status ?? error?.statusCode;
+
+  if (error?.type === "entity.parse.failed") {
+    return new ValidationError("errors.malformedBody", { code: "malformed_body", cause: error });
+  }
+
+  if (status >= 400 && status < 500) {
+    const wrapped = new AppError("errors.badRequest", { code: "bad_request", cause: error });
+    wrapped.statusCode = status;
+    return wrapped;
+  }
+
+  return new AppError("errors.server", { cause: error });
+};
+
+/**
+ * RFC 7807 problem details. `type` is about:blank, so `title` is the
+ * HTTP status text; `detail` is the translated message and `code` the
+ * stable error code clients should branch on.
+ *
+ * @param {import("express").Request} req
+ * @param {AppError} error
+ * @returns {Object}
+ */
+const problemOf = (req, error) => ({
+  type: "about:blank",
+  title: http.STATUS_CODES[error.statusCode],
+  status: error.statusCode,
+  detail: req.t(error.message, error.params),
+  instance: req.originalUrl,
+  code: error.code,
+  requestId: req.id ? String(req.id) : undefined,
+  ...(error.errors && { errors: error.errors }),
+});
+
+// -----------------------------------------------------------------------------
+// Middleware
+// -----------------------------------------------------------------------------
+
+/**
+ * Ends the route chain: nothing matched the URL.
+ */
+const notFoundHandler = (req, res, next) => next(new NotFoundError());
+
+/**
+ * The one place errors become responses. Mounted last.
+ *
+ * - API and XHR clients: problem+json with the error code and request id.
+ * - Browsers: 401 goes to the login page with a flash message; everything
+ *   else renders the error page, which shows the request id for support.
+ * 5xx errors are logged with their stack; 4xx only at debug level.
+ * Express recognises error handlers by their four parameters, hence `_next`.
+ */
+const errorHandler = (err, req, res, _next) => {
+  const error = toAppError(err);
+  const log = req.log ?? logger;
+
+  if (error.statusCode >= 500) {
+    log.error({ err: error.cause ?? err }, "Request failed");
+  } else {
+    log.debug({ code: error.code, status: error.statusCode }, error.message);
+  }
+
+  if (res.headersSent) {
+    // Too late for a proper answer; cut the response so the client sees the failure
+    return res.destroy(err);
+  }
+
+  // Errors raised before the locale middleware (e.g. a malformed body)
+  if (!req.t) {
+    detectLocale(req, res, () => {});
+  }
+
+  res.set(error.headers ?? {});
+
+  if (wantsJson(req)) {
+    return res.status(error.statusCode).type("application/problem+json").json(problemOf(req, error));
+  }
+
+  if (error instanceof AuthenticationError && req.flash) {
+    req.flash("message", ["error", req.t("flash.error"), req.t(error.message, error.params)]);
+    return res.redirect("/login");
+  }
+
+  return res.status(error.statusCode).render("error", {
+    title: req.t(TITLE_KEYS[error.statusCode] ?? "errors.title.server"),
+    layout: "layout/main-layout",
+    status: error.statusCode,
+    message: req.t(error.message, error.params),
+    errors: error.errors ?? [],
+    requestId: req.id ? String(req.id) : undefined,
+    stack: config.isProduction || error.statusCode < 500 ? undefined : err?.stack,
+  });
+};
+
+export { errorHandler, notFoundHandler, wantsJson };
@@ -8,19 +8,18 @@ import flash from "express-flash";
 import path from "path";
 import url from "url";
 import { logger } from "../logs/pino.js";
-import { pinoHttp } from "pino-http";
+import { trackSessionActivity } from "./session-activity.js";
+import { detectLocale } from "./locale.js";
+import { csrfProtection } from "./csrf.js";
+import { restoreRememberedSession } from "./remember-me.js";
+import { SESSION_TTL_SECONDS } from "../utils/session-store.js";
+import { findMissingKeys } from "../i18n/index.js";
+import { config } from "../config/index.js";
 
 const appMidleware = express();
 const upload = multer();
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
-// Logging request → first middleware
-appMidleware.use(
-  pinoHttp({
-    logger,
-  })
-);
-
 // EJS Layout
 appMidleware.use(expressEjsLayouts);
 
@@ -38,12 +37,13 @@ appMidleware.use(upload.none());
 appMidleware.use(cookieParser());
 appMidleware.use(
   session({
-    secret: process.env.SESSION_SECRET || "fallback-secret",
+    secret: config.session.secret,
     resave: false,
     saveUninitialized: false,
+    rolling: true,
     cookie: {
       httpOnly: true,
-      maxAge: 1000 * 60 * 60, // 1h
+      maxAge: SESSION_TTL_SECONDS * 1000, // SESSION_TTL_MINUTES
       secure: false, // set true if https
     },
   })
@@ -52,7 +52,22 @@ appMidleware.use(
 // Flash Message
 appMidleware.use(flash());
 
+// "Remember me": signs the user back in once the session has ended
+appMidleware.use(restoreRememberedSession);
+
+// Language: ?lang=, user preference, Accept-Language
+appMidleware.use(detectLocale);
+
+// CSRF token for every form; non-GET requests without it get a 403
+appMidleware.use(csrfProtection);
+
+// Last-seen bookkeeping for "Your sessions"
+appMidleware.use(trackSessionActivity);
+
 // contoh log (jalankan sekali di startup, bukan tiap request)
 logger.info("Middleware loaded successfully");
 
+// Translation gaps are reported once, at startup
+findMissingKeys().forEach((problem) => logger.warn(`[i18n] ${problem}`));
+
 export default appMidleware;
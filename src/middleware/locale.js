@@ -0,0 +1,46 @@
+import LogInCollection from "../models/users.js";
+import { logger } from "../logs/pino.js";
+import { SUPPORTED_LOCALES, pickLocale, translator } from "../i18n/index.js";
+
+/**
+ * Chooses the language of the response, in order of preference:
+ * 1. `?lang=` on the URL, which is also remembered (session and, when
+ *    signed in, the user's saved preference);
+ * 2. the signed-in user's preference, then the one remembered in the session;
+ * 3. the browser's Accept-Language header;
+ * 4. DEFAULT_LOCALE.
+ * Sets `req.locale` and `req.t`, and `locale`, `t` and `supportedLocales`
+ * for the views.
+ */
+const detectLocale = (req, res, next) => {
+  const requested = SUPPORTED_LOCALES.includes(req.query.lang) ? req.query.lang : null;
+
+  if (requested && req.session) {
+    req.session.locale = requested;
+
+    const user = req.session.user;
+
+    if (user && user.locale !== requested) {
+      user.locale = requested;
+      LogInCollection.updateOne({ _id: user.id }, { $set: { locale: requested } }).catch((error) =>
+        logger.error(error, "Saving locale preference failed")
+      );
+    }
+  }
+
+  req.locale = pickLocale(
+    requested,
+    req.session?.user?.locale,
+    req.session?.locale,
+    req.acceptsLanguages(...SUPPORTED_LOCALES) || null
+  );
+  req.t = translator(req.locale);
+
+  res.locals.locale = req.locale;
+  res.locals.t = req.t;
+  res.locals.supportedLocales = SUPPORTED_LOCALES;
+
+  return next();
+};
+
+export { detectLocale };
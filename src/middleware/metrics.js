@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import net from "net";
+import { ForbiddenError } from "../errors/index.js";
+import { logger } from "../logs/pino.js";
+import { httpRequestDuration, httpRequests } from "../utils/metrics.js";
+import { config } from "../config/index.js";
+import { bearerTokenOf } from "./api-auth.js";
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+/** Addresses that may scrape without the token (METRICS_ALLOWED_IPS) */
+const ALLOWED = new net.BlockList();
+
+config.metrics.allowedIps.forEach((entry) => {
+  const [address, bits] = entry.split("/");
+  const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+
+  if (bits === undefined) {
+    ALLOWED.addAddress(address, type);
+  } else {
+    ALLOWED.addSubnet(address, Number(bits), type);
+  }
+});
+
+/** Label of requests no route matched, so unknown paths do not add series */
+const UNMATCHED_ROUTE = "unmatched";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Route template of the handled request, e.g. "/admin/users/:id".
+ *
+ * @param {import("express").Request} req
+ * @returns {string}
+ */
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : UNMATCHED_ROUTE);
+
+/**
+ * @param {import("express").Request} req
+ * @returns {boolean}
+ */
+const isAllowedAddress = (req) => {
+  const address = req.ip ?? "";
+  // IPv4 clients of a dual-stack socket show up as ::ffff:a.b.c.d
+  const ipv4 = address.startsWith("::ffff:") ? address.slice(7) : null;
+
+  return ipv4 && net.isIPv4(ipv4)
+    ? ALLOWED.check(ipv4, "ipv4")
+    : net.isIP(address) > 0 && ALLOWED.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+/**
+ * Constant-time check of the bearer token against METRICS_TOKEN.
+ *
+ * @param {import("express").Request} req
+ * @returns {boolean}
+ */
+const hasMetricsToken = (req) => {
+  const token = bearerTokenOf(req);
+  return Boolean(config.metrics.token && token) && crypto.timingSafeEqual(sha256(token), sha256(config.metrics.token));
+};
+
+// -----------------------------------------------------------------------------
+// Middleware
+// -----------------------------------------------------------------------------
+
+/**
+ * Times every request and counts it by method, route template and status
+ * once the response is sent.
+ */
+const httpMetrics = (req, res, next) => {
+  const done = httpRequestDuration.startTimer();
+
+  res.on("finish", () => {
+    const labels = { method: req.method, route: routeOf(req), status: String(res.statusCode) };
+    done(labels);
+    httpRequests.inc(labels);
+  });
+
+  next();
+};
+
+/**
+ * Lets scrapers in: from an allowed address, or with METRICS_TOKEN as a
+ * bearer token. The address is `req.ip`: behind a reverse proxy, set
+ * TRUST_PROXY, or every request looks like it comes from the proxy.
+ */
+const metricsAccess = (req, res, next) => {
+  if (isAllowedAddress(req) || hasMetricsToken(req)) {
+    return next();
+  }
+
+  logger.warn({ ip: req.ip }, "Metrics scrape refused");
+  return next(new ForbiddenError());
+};
+
+export { httpMetrics, metricsAccess };
@@ -0,0 +1,87 @@
+import LogInCollection from "../models/users.js";
+import { auditRequest } from "../services/audit.js";
+import { revokeAllSessions } from "../services/sessions.js";
+import {
+  clearRememberCookie,
+  consumeRememberToken,
+  rememberCookieOf,
+  rememberUser,
+} from "../utils/remember-tokens.js";
+import { createUserSession } from "../utils/session.js";
+import { verificationAccess } from "../utils/verification.js";
+
+/**
+ * Whether the account may still be signed in without its password:
+ * the same checks as a password login, minus the second factor, which was
+ * passed when "Remember me" was chosen.
+ *
+ * @param {Object|null} user - User document
+ * @returns {boolean}
+ */
+const mayRestore = (user) =>
+  Boolean(user) &&
+  !user.disabled &&
+  !user.mustResetPassword &&
+  !user.isPasswordExpired() &&
+  verificationAccess(user) !== "block";
+
+/**
+ * Signs the visitor back in from the "Remember me" cookie when there is no
+ * signed-in session, and rotates the token. Pages only; the API has its own
+ * refresh tokens.
+ *
+ * A token used again after it was rotated means it was copied: every session
+ * and token of the user is revoked so that both holders must log in again.
+ */
+const restoreRememberedSession = async (req, res, next) => {
+  const cookie = rememberCookieOf(req);
+
+  if (!cookie || req.session?.user || req.originalUrl.startsWith("/api")) {
+    return next();
+  }
+
+  try {
+    const result = await consumeRememberToken(cookie, req);
+
+    if (result?.stale) {
+      return next();
+    }
+
+    if (!result) {
+      clearRememberCookie(res);
+      return next();
+    }
+
+    if (result.theft) {
+      auditRequest(req, "auth.remember_token_theft", {
+        outcome: "failure",
+        reason: "reused",
+        target: { id: result.userId },
+      });
+      await revokeAllSessions(result.userId);
+      clearRememberCookie(res);
+      return next();
+    }
+
+    const user = await LogInCollection.findById(result.userId);
+
+    // The token is used up already; the family simply ends here
+    if (!mayRestore(user)) {
+      clearRememberCookie(res);
+      return next();
+    }
+
+    await createUserSession(req, user);
+    await rememberUser(req, res, user, result.family);
+    auditRequest(req, "auth.login", {
+      target: { id: user.id, email: user.email },
+      details: { method: "remember_me" },
+    });
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { restoreRememberedSession };
@@ -0,0 +1,28 @@
+import crypto from "crypto";
+
+/** Header carrying the correlation id, in requests and responses */
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+/** Ids accepted from a proxy or client; anything else is replaced */
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,64}$/;
+
+/**
+ * Correlation id of a request, used by pino-http as `req.id`: the id sent
+ * by a proxy in X-Request-Id when it looks sane, else a new UUID. It is
+ * echoed in the response header, logged with every line of the request,
+ * stored with audit events and shown on error pages, so a user report can
+ * be matched with the logs.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {string}
+ */
+const requestId = (req, res) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = REQUEST_ID_PATTERN.test(incoming ?? "") ? incoming : crypto.randomUUID();
+
+  res.set(REQUEST_ID_HEADER, id);
+  return id;
+};
+
+export { requestId };
@@ -0,0 +1,31 @@
+import { pinoHttp } from "pino-http";
+import { logger, runWithLogContext } from "../logs/pino.js";
+import { requestId } from "./request-id.js";
+
+/**
+ * Access log: one "request completed" line per request, at warn for 4xx
+ * and error for 5xx. Sets `req.id` (see ./request-id.js) and `req.log`.
+ */
+const httpLogger = pinoHttp({
+  logger,
+  genReqId: requestId,
+  // Probes hit these every few seconds; failures are logged by utils/health.js
+  autoLogging: { ignore: (req) => req.path.startsWith("/health") },
+  customLogLevel: (req, res, error) => {
+    if (error || res.statusCode >= 500) {
+      return "error";
+    }
+    return res.statusCode >= 400 ? "warn" : "info";
+  },
+  // The line names the personal access token, if one was used
+  customProps: (req) => (req.apiToken ? { apiTokenId: req.apiToken.id } : {}),
+});
+
+/**
+ * Runs the rest of the request in a log context, so every line logged
+ * while handling it carries `reqId`, whichever logger is used.
+ */
+const logContext = (req, res, next) => runWithLogContext({ reqId: req.id }, next);
+
+/** Mounted first, before anything that may log */
+export const requestLogger = [httpLogger, logContext];
@@ -0,0 +1,22 @@
+import { logger } from "../logs/pino.js";
+import { TOUCH_INTERVAL_MS, recordSession } from "../services/sessions.js";
+
+/**
+ * Keeps "last seen" and IP of the signed-in session up to date.
+ * Writes at most once per TOUCH_INTERVAL_MS and never delays the request.
+ */
+const trackSessionActivity = (req, res, next) => {
+  const userId = req.session?.user?.id;
+  const now = Date.now();
+
+  if (!userId || now - (req.session.lastSeenAt ?? 0) < TOUCH_INTERVAL_MS) {
+    return next();
+  }
+
+  req.session.lastSeenAt = now;
+  recordSession(req, userId).catch((error) => logger.error(error, "Session tracking failed"));
+
+  return next();
+};
+
+export { trackSessionActivity };
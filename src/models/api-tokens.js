@@ -0,0 +1,65 @@
+import mongoose from "../utils/db.js";
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,          // Owner; requests made with the token act as this user
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,         // SHA-256 of the token, never the token itself
+    },
+    hint: {
+      type: String,         // Last characters, to tell tokens apart in the list
+    },
+    scopes: {
+      type: [String],       // Permission names (config/roles.js) the token may use
+      default: [],
+    },
+    rateLimit: {
+      type: Number,         // Requests per window; unset uses API_TOKEN_RATE_LIMIT
+      min: 1,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",          // Admin who created it for the owner, if not the owner
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    windowStartedAt: {
+      type: Date,           // Start of the current rate limit window
+    },
+    windowCount: {
+      type: Number,         // Requests made in the current window
+      default: 0,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      expires: 0,           // TTL index: MongoDB drops expired tokens itself; unset never expires
+    },
+  },
+  {
+    timestamps: true,       // Automatically adds createdAt & updatedAt
+    collection: "api_tokens",
+  }
+);
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+
+export default ApiToken;
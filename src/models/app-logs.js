@@ -0,0 +1,30 @@
+import mongoose from "../utils/db.js";
+import { config } from "../config/index.js";
+
+/** How long log lines are kept in MongoDB, in days */
+export const LOG_RETENTION_DAYS = config.log.mongo.retentionDays;
+
+/**
+ * Application log lines written by the pino-mongodb transport in
+ * logs/pino.js when LOG_MONGO_ENABLED is on. The model exists for its TTL
+ * index, the retention policy; the admin viewer reads the log files.
+ */
+const appLogSchema = new mongoose.Schema(
+  {
+    time: {
+      type: Date,
+      expires: LOG_RETENTION_DAYS * 24 * 60 * 60, // TTL index: retention policy
+    },
+    level: { type: Number },
+    msg: { type: String },
+    reqId: { type: String, index: true },
+  },
+  {
+    strict: false,          // Keep every property of the line
+    collection: config.log.mongo.collection,
+  }
+);
+
+const AppLog = mongoose.model("AppLog", appLogSchema);
+
+export default AppLog;
@@ -0,0 +1,41 @@
+import mongoose from "../utils/db.js";
+import { config } from "../config/index.js";
+
+/** How long audit events are kept, in days */
+export const AUDIT_RETENTION_DAYS = config.audit.retentionDays;
+
+/**
+ * The audit trail, written by services/audit.js.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    time: {
+      type: Date,
+      index: true,
+      expires: AUDIT_RETENTION_DAYS * 24 * 60 * 60, // TTL index: retention policy
+    },
+    event: { type: String, index: true },   // e.g. "auth.login", "admin.user.disable"
+    outcome: { type: String },              // "success" or "failure"
+    reason: { type: String },               // Why a failure happened
+    actor: {
+      id: { type: String, index: true },
+      email: { type: String },
+    },
+    target: {
+      id: { type: String, index: true },
+      email: { type: String },
+    },
+    ip: { type: String },
+    userAgent: { type: String },
+    requestId: { type: String },
+    apiTokenId: { type: String },           // Set when a personal access token made the request
+    details: { type: mongoose.Schema.Types.Mixed }, // Event-specific, e.g. { method: "passkey" }
+  },
+  {
+    collection: "audit_logs",
+  }
+);
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
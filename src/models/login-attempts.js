@@ -0,0 +1,34 @@
+import mongoose from "../utils/db.js";
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,         // "email:<address>" or "ip:<address>"
+    },
+    failures: {
+      type: Number,
+      default: 0,           // Attempts counted in the current window (failed or in progress)
+    },
+    lockedUntil: {
+      type: Date,           // Set while the key is locked out
+    },
+    retryAt: {
+      type: Date,           // Progressive delay: no attempt before this
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,           // TTL index: MongoDB drops stale counters itself
+    },
+  },
+  {
+    timestamps: true,       // Automatically adds createdAt & updatedAt
+    collection: "login_attempts",
+  }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,47 @@
+import mongoose from "../utils/db.js";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,         // SHA-256 of the token, never the token itself
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,          // Shared by every token rotated from one login
+    },
+    replacedBy: {
+      type: String,         // Hash of the token issued on rotation
+    },
+    revokedAt: {
+      type: Date,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,           // TTL index: MongoDB drops expired tokens itself
+    },
+  },
+  {
+    timestamps: true,       // Automatically adds createdAt & updatedAt
+    collection: "refresh_tokens",
+  }
+);
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,58 @@
+import mongoose from "../utils/db.js";
+
+const rememberTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    selector: {
+      type: String,
+      required: true,
+      unique: true,         // Looked up in plain; says nothing without the validator
+    },
+    validatorHash: {
+      type: String,
+      required: true,       // SHA-256 of the validator, never the validator itself
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,          // Shared by every token rotated from one "Remember me" login
+    },
+    sid: {
+      type: String,
+      index: true,          // Session the token was issued with, revoked together
+    },
+    rotatedAt: {
+      type: Date,           // Set when exchanged for a new token; using it again means theft
+    },
+    revokedAt: {
+      type: Date,
+    },
+    theftDetectedAt: {
+      type: Date,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,           // TTL index: MongoDB drops expired tokens itself
+    },
+  },
+  {
+    timestamps: true,       // Automatically adds createdAt & updatedAt
+    collection: "remember_tokens",
+  }
+);
+
+const RememberToken = mongoose.model("RememberToken", rememberTokenSchema);
+
+export default RememberToken;
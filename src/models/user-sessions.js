@@ -0,0 +1,43 @@
+import mongoose from "../utils/db.js";
+
+const userSessionSchema = new mongoose.Schema(
+  {
+    sid: {
+      type: String,
+      required: true,
+      unique: true,         // express-session id; never sent to the browser
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    device: {
+      type: String,         // Parsed from the user agent, e.g. "Firefox 120 on Windows 10"
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,           // TTL index: follows the session store lifetime
+    },
+  },
+  {
+    timestamps: true,       // createdAt = login time
+    collection: "user_sessions",
+  }
+);
+
+const UserSession = mongoose.model("UserSession", userSessionSchema);
+
+export default UserSession;
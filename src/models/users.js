@@ -1,4 +1,15 @@
 import mongoose from "../utils/db.js";
+import { compare, encrypt, generateToken, hashToken, needsRehash } from "../utils/bcript.js";
+import { PASSWORD_POLICY } from "../config/password-policy.js";
+import { DEFAULT_ROLE, ROLES } from "../config/roles.js";
+import { SUPPORTED_LOCALES } from "../i18n/index.js";
+import { config } from "../config/index.js";
+
+/** Lifetime of a password reset link, in minutes */
+const RESET_TOKEN_TTL_MINUTES = config.passwordReset.ttlMinutes;
+
+/** Lifetime of an email verification link, in hours */
+const VERIFICATION_TOKEN_TTL_HOURS = config.emailVerification.ttlHours;
 
 const logInSchema = new mongoose.Schema(
   {
@@ -16,9 +27,103 @@ const logInSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.identities?.length; // Accounts created by SSO may have none
+      },
       minlength: 6,         // Optional: minimum password length
     },
+    passwordChangedAt: {
+      type: Date,
+      default: Date.now,    // Start of the password's maximum age
+    },
+    passwordHistory: {
+      type: [String],       // Previous hashes, newest last (see isPasswordReused)
+      default: undefined,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: Object.keys(ROLES), // Permissions per role live in config/roles.js
+      default: DEFAULT_ROLE,
+    },
+    locale: {
+      type: String,
+      enum: SUPPORTED_LOCALES, // Preferred language; unset follows the browser
+    },
+    disabled: {
+      type: Boolean,
+      default: false,       // Disabled accounts cannot log in
+    },
+    disabledAt: {
+      type: Date,
+    },
+    mustResetPassword: {
+      type: Boolean,
+      default: false,       // Set by an admin; cleared by a password reset
+    },
+    passwordResetToken: {
+      type: String,
+      index: { sparse: true }, // SHA-256 of the token, never the token itself
+    },
+    passwordResetExpires: {
+      type: Date,
+    },
+    emailVerified: {
+      type: Boolean,
+      // New accounts start unverified; accounts saved before verification
+      // existed have no field and count as verified when loaded
+      default() {
+        return !this.isNew;
+      },
+    },
+    emailVerificationToken: {
+      type: String,
+      index: { sparse: true }, // SHA-256 of the token, never the token itself
+    },
+    emailVerificationExpires: {
+      type: Date,
+    },
+    pendingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,      // New address waiting for its verification link
+    },
+    identities: {
+      type: [
+        {
+          provider: { type: String, required: true }, // Id from config/oidc.js
+          subject: { type: String, required: true },  // "sub" claim at that provider
+          email: { type: String },                    // Address the provider reported
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: undefined,
+    },
+    passkeys: {
+      type: [
+        {
+          credentialId: { type: String, required: true }, // base64url, from the authenticator
+          publicKey: { type: String, required: true },    // COSE key, base64url
+          algorithm: { type: Number, required: true },    // COSE algorithm, e.g. -7 (ES256)
+          signCount: { type: Number, default: 0 },        // Must go up on every use; 0 = no counter
+          transports: { type: [String], default: undefined }, // "internal", "usb", "hybrid", ...
+          aaguid: { type: String },                       // Authenticator model; zeros when not attested
+          attestationFormat: { type: String },            // "none" or "packed"
+          backedUp: { type: Boolean, default: false },    // Synced to other devices
+          name: { type: String },                         // Device it was created on
+          createdAt: { type: Date, default: Date.now },
+          lastUsedAt: { type: Date },
+        },
+      ],
+      default: undefined,
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String },           // Base32 TOTP secret once enrolled
+      pendingSecret: { type: String },    // Secret shown during enrollment
+      recoveryCodes: { type: [String], default: undefined }, // SHA-256 hashes
+      lastUsedStep: { type: Number },     // Refuses replay of the same code
+    },
   },
   {
     timestamps: true,       // Automatically adds createdAt & updatedAt
@@ -26,7 +131,145 @@ const logInSchema = new mongoose.Schema(
   }
 );
 
+// One account per external identity
+logInSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
+// A passkey belongs to one account; also the lookup at passkey login
+logInSchema.index(
+  { "passkeys.credentialId": 1 },
+  { unique: true, partialFilterExpression: { "passkeys.credentialId": { $exists: true } } }
+);
+
+/**
+ * Checks a password against the stored hash. On success, a hash made with
+ * an older format or weaker settings is transparently replaced by one made
+ * with the current policy.
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} - True if match
+ */
+logInSchema.methods.comparePassword = async function (password) {
+  // SSO-only account
+  if (!this.password) {
+    return false;
+  }
+
+  const isMatch = await compare(password, this.password);
+
+  if (isMatch && (await needsRehash(this.password))) {
+    const upgraded = await encrypt(password);
+
+    // Only replace the hash we verified, never a password changed meanwhile
+    await this.constructor.updateOne(
+      { _id: this._id, password: this.password },
+      { $set: { password: upgraded } }
+    );
+    this.password = upgraded;
+  }
+
+  return isMatch;
+};
+
+/** Previous hashes kept besides the current one */
+const PREVIOUS_PASSWORDS_KEPT = Math.max(PASSWORD_POLICY.historySize - 1, 0);
+
+/**
+ * Checks a new password against the last PASSWORD_HISTORY_SIZE passwords,
+ * the current one included.
+ * The history must be loaded: `findOne(...).select("+passwordHistory")`.
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} - True if the password was used recently
+ */
+logInSchema.methods.isPasswordReused = async function (password) {
+  if (PASSWORD_POLICY.historySize === 0) {
+    return false;
+  }
+
+  const history = this.passwordHistory ?? [];
+  const recent = [this.password, ...history.slice(history.length - PREVIOUS_PASSWORDS_KEPT)].filter(
+    Boolean
+  );
+
+  for (const hash of recent) {
+    if (await compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Builds the update that replaces this user's password: the current hash
+ * moves to the history, trimmed to the configured size.
+ *
+ * @param {string} hashedPassword - Result of `encrypt`
+ * @returns {Object} - MongoDB update document
+ */
+logInSchema.methods.passwordUpdate = function (hashedPassword) {
+  const update = { $set: { password: hashedPassword, passwordChangedAt: new Date() } };
+
+  if (PREVIOUS_PASSWORDS_KEPT > 0 && this.password) {
+    update.$push = {
+      passwordHistory: { $each: [this.password], $slice: -PREVIOUS_PASSWORDS_KEPT },
+    };
+  }
+
+  return update;
+};
+
+/**
+ * Tells whether the password is older than the configured maximum age.
+ *
+ * @returns {boolean}
+ */
+logInSchema.methods.isPasswordExpired = function () {
+  if (PASSWORD_POLICY.maxAgeDays === 0) {
+    return false;
+  }
+
+  const changedAt = this.passwordChangedAt ?? this.createdAt;
+  return Date.now() - changedAt.getTime() > PASSWORD_POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Creates a new password reset token for this user.
+ * Only the hash is kept on the document; call `save()` afterwards.
+ *
+ * @returns {string} - Plain token to put in the reset link
+ */
+logInSchema.methods.createPasswordResetToken = function () {
+  const token = generateToken();
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  return token;
+};
+
+/**
+ * Creates a new email verification token for this user.
+ * Any previous link stops working; call `save()` afterwards.
+ *
+ * @returns {string} - Plain token to put in the verification link
+ */
+logInSchema.methods.createEmailVerificationToken = function () {
+  const token = generateToken();
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  return token;
+};
+
 // Create a User model based on the schema
 const LogInCollection = mongoose.model("User", logInSchema);
 
+export { RESET_TOKEN_TTL_MINUTES, VERIFICATION_TOKEN_TTL_HOURS };
 export default LogInCollection;
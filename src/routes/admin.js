@@ -0,0 +1,58 @@
+import express from "express";
+import {
+  adminCreateApiToken,
+  adminDeleteUser,
+  adminDisableUser,
+  adminEnableUser,
+  adminForcePasswordReset,
+  adminPeppersView,
+  adminRevokeApiToken,
+  adminRevokeSessions,
+  adminUserDetailView,
+  adminUsersView,
+} from "../controllers/admin-users.js";
+import { auditExport, auditView } from "../controllers/audit.js";
+import { logEntries, logStream, logsView } from "../controllers/logs.js";
+import { isLoggedIn } from "../controllers/register.js";
+import { requireRole } from "../middleware/authorize.js";
+
+const adminRoutes = express.Router();
+
+// Every admin page needs a session with the admin role
+adminRoutes.use(isLoggedIn, requireRole("admin"));
+
+/* ----------------------------- User Management ---------------------------- */
+// Paginated, searchable, sortable list
+adminRoutes.get("/users", adminUsersView);
+// Details and recent admin actions
+adminRoutes.get("/users/:id", adminUserDetailView);
+
+// Account actions
+adminRoutes.post("/users/:id/disable", adminDisableUser);
+adminRoutes.post("/users/:id/enable", adminEnableUser);
+adminRoutes.post("/users/:id/force-reset", adminForcePasswordReset);
+adminRoutes.post("/users/:id/revoke-sessions", adminRevokeSessions);
+adminRoutes.post("/users/:id/delete", adminDeleteUser);
+
+// Personal access tokens, e.g. for service accounts
+adminRoutes.post("/users/:id/api-tokens", adminCreateApiToken);
+adminRoutes.post("/users/:id/api-tokens/:tokenId/revoke", adminRevokeApiToken);
+
+// Users per password pepper key, to follow a key rotation
+adminRoutes.get("/peppers", adminPeppersView);
+
+/* -------------------------------- Audit Log ------------------------------- */
+// Filtered, paginated view
+adminRoutes.get("/audit", auditView);
+// Streaming CSV/JSON export with the same filters
+adminRoutes.get("/audit/export", auditExport);
+
+/* ---------------------------- Application Logs ---------------------------- */
+// Live file and rotated archives, filtered
+adminRoutes.get("/logs", logsView);
+// Same filters as JSON, streamed
+adminRoutes.get("/logs/entries", logEntries);
+// New entries as Server-Sent Events
+adminRoutes.get("/logs/stream", logStream);
+
+export default adminRoutes;
@@ -0,0 +1,168 @@
+import express from "express";
+import {
+  apiLogin,
+  apiLogout,
+  apiMe,
+  apiRefresh,
+  apiRegister,
+} from "../controllers/api-auth.js";
+import {
+  apiDeleteUser,
+  apiDisableUser,
+  apiEnableUser,
+  apiForcePasswordReset,
+  apiGetUser,
+  apiListUsers,
+  apiPepperUsage,
+  apiRevokeSessions,
+} from "../controllers/api-admin-users.js";
+import { authenticateBearer } from "../middleware/api-auth.js";
+import { requirePermission, requireRole } from "../middleware/authorize.js";
+import { doubleSubmitCsrf } from "../middleware/csrf.js";
+import { config } from "../config/index.js";
+
+const apiRoutes = express.Router();
+
+// Cookie-based API clients echo the CSRF cookie in a header; bearer calls are exempt
+if (config.csrf.apiDoubleSubmit) {
+  apiRoutes.use(doubleSubmitCsrf);
+}
+
+/* ---------------------------- Authentication API -------------------------- */
+/**
+ * @openapi
+ * /api/auth/register:
+ *   post:
+ *     summary: Create an account (starts unverified)
+ *     tags: [Auth]
+ */
+apiRoutes.post("/auth/register", apiRegister);
+
+/**
+ * @openapi
+ * /api/auth/login:
+ *   post:
+ *     summary: Exchange email and password (and 2FA code if enabled) for tokens
+ *     tags: [Auth]
+ */
+apiRoutes.post("/auth/login", apiLogin);
+
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rotate a refresh token and get a new access token
+ *     tags: [Auth]
+ */
+apiRoutes.post("/auth/refresh", apiRefresh);
+
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token and its rotations
+ *     tags: [Auth]
+ */
+apiRoutes.post("/auth/logout", apiLogout);
+
+/**
+ * @openapi
+ * /api/auth/me:
+ *   get:
+ *     summary: Current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ */
+apiRoutes.get("/auth/me", authenticateBearer, requirePermission("account:read"), apiMe);
+
+/* ----------------------------- Admin Users API ---------------------------- */
+// Personal access tokens also need the matching scope; admin sessions hold "*"
+const adminOnly = [authenticateBearer, requireRole("admin")];
+const canRead = [...adminOnly, requirePermission("users:read")];
+const canWrite = [...adminOnly, requirePermission("users:write")];
+
+/**
+ * @openapi
+ * /api/admin/users:
+ *   get:
+ *     summary: List users (query q, sort, page, limit)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+apiRoutes.get("/admin/users", canRead, apiListUsers);
+
+/**
+ * @openapi
+ * /api/admin/peppers:
+ *   get:
+ *     summary: Number of users whose password hash uses each pepper key
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+apiRoutes.get("/admin/peppers", canRead, apiPepperUsage);
+
+/**
+ * @openapi
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: User details and recent admin actions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Delete a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+apiRoutes.get("/admin/users/:id", canRead, apiGetUser);
+apiRoutes.delete("/admin/users/:id", canWrite, apiDeleteUser);
+
+/**
+ * @openapi
+ * /api/admin/users/{id}/disable:
+ *   post:
+ *     summary: Disable an account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+apiRoutes.post("/admin/users/:id/disable", canWrite, apiDisableUser);
+
+/**
+ * @openapi
+ * /api/admin/users/{id}/enable:
+ *   post:
+ *     summary: Enable an account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+apiRoutes.post("/admin/users/:id/enable", canWrite, apiEnableUser);
+
+/**
+ * @openapi
+ * /api/admin/users/{id}/force-reset:
+ *   post:
+ *     summary: Require a password reset and email the link
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+apiRoutes.post("/admin/users/:id/force-reset", canWrite, apiForcePasswordReset);
+
+/**
+ * @openapi
+ * /api/admin/users/{id}/revoke-sessions:
+ *   post:
+ *     summary: Sign the user out of every browser session
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+apiRoutes.post("/admin/users/:id/revoke-sessions", canWrite, apiRevokeSessions);
+
+export default apiRoutes;
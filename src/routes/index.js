@@ -1,12 +1,66 @@
 import express from "express";
 import {
-  errorHandling,
   isLoggedIn,
   protectedPage,
   signup,
   viewSignup,
 } from "../controllers/register.js";
-import { login, loginView, logout } from "../controllers/login.js";
+import {
+  login,
+  loginView,
+  logout,
+  passkeyLogin,
+  passkeyLoginOptions,
+} from "../controllers/login.js";
+import {
+  linkIdentityStart,
+  oidcCallback,
+  oidcStart,
+  unlinkIdentityHandler,
+} from "../controllers/oidc.js";
+import {
+  accountView,
+  changeEmail,
+  changePassword,
+  updateProfile,
+} from "../controllers/account.js";
+import {
+  apiTokensView,
+  createApiTokenHandler,
+  revokeApiTokenHandler,
+} from "../controllers/api-tokens.js";
+import adminRoutes from "./admin.js";
+import apiRoutes from "./api.js";
+import {
+  forgotPassword,
+  forgotPasswordView,
+  resetPassword,
+  resetPasswordView,
+} from "../controllers/password.js";
+import {
+  passkeyRegistrationOptions,
+  passkeysView,
+  registerPasskey,
+  removePasskey,
+} from "../controllers/passkeys.js";
+import {
+  revokeOtherSessionsHandler,
+  revokeSessionHandler,
+  sessionsView,
+} from "../controllers/sessions.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  twoFactorChallengeView,
+  twoFactorView,
+  verifyTwoFactor,
+} from "../controllers/two-factor.js";
+import {
+  resendVerification,
+  resendVerificationView,
+  verifyEmail,
+} from "../controllers/verification.js";
 
 const routes = express.Router();
 
@@ -26,15 +80,79 @@ routes.get("/login", loginView);
 // Handle login submission
 routes.post("/login", login);
 
+// Second factor, after a correct password
+routes.get("/login/2fa", twoFactorChallengeView);
+routes.post("/login/2fa", verifyTwoFactor);
+
+// Passkey login (WebAuthn); JSON, called from public/js/script.js
+routes.post("/login/passkey/options", passkeyLoginOptions);
+routes.post("/login/passkey", passkeyLogin);
+
+// OpenID Connect login (company SSO and social providers)
+routes.get("/auth/oidc/:provider", oidcStart);
+routes.get("/auth/oidc/:provider/callback", oidcCallback);
+
 // Logout
-routes.get("/logout", logout);
+routes.post("/logout", logout);
+
+/* ---------------------------- Password Reset Routes ----------------------- */
+// Ask for a reset link
+routes.get("/forgot-password", forgotPasswordView);
+routes.post("/forgot-password", forgotPassword);
+
+// Choose a new password from the emailed link
+routes.get("/reset-password/:token", resetPasswordView);
+routes.post("/reset-password/:token", resetPassword);
+
+/* -------------------------- Email Verification Routes --------------------- */
+// Request a new verification link (must come before /:token)
+routes.get("/verify-email/resend", resendVerificationView);
+routes.post("/verify-email/resend", resendVerification);
+
+// Confirm the address from the emailed link
+routes.get("/verify-email/:token", verifyEmail);
 
 /* ----------------------------- Protected Routes --------------------------- */
 // Protected page; only accessible when logged in
 routes.get("/protected-page", isLoggedIn, protectedPage);
 
-/* ----------------------------- Global Error Handler ----------------------- */
-// Error handling middleware (must come last)
-routes.use(errorHandling);
+// Profile: name, email (re-verified) and password
+routes.get("/account", isLoggedIn, accountView);
+routes.post("/account/profile", isLoggedIn, updateProfile);
+routes.post("/account/email", isLoggedIn, changeEmail);
+routes.post("/account/password", isLoggedIn, changePassword);
+
+// Linked OpenID Connect logins
+routes.post("/account/identities/:provider/link", isLoggedIn, linkIdentityStart);
+routes.post("/account/identities/:id/unlink", isLoggedIn, unlinkIdentityHandler);
+
+// Two-factor enrollment and management
+routes.get("/account/2fa", isLoggedIn, twoFactorView);
+routes.post("/account/2fa/enable", isLoggedIn, enableTwoFactor);
+routes.post("/account/2fa/recovery-codes", isLoggedIn, regenerateRecoveryCodes);
+routes.post("/account/2fa/disable", isLoggedIn, disableTwoFactor);
+
+// Passkeys (WebAuthn credentials)
+routes.get("/account/passkeys", isLoggedIn, passkeysView);
+routes.post("/account/passkeys/options", isLoggedIn, passkeyRegistrationOptions);
+routes.post("/account/passkeys", isLoggedIn, registerPasskey);
+routes.post("/account/passkeys/:id/delete", isLoggedIn, removePasskey);
+
+// Personal access tokens for scripts (Authorization: Bearer pat_...)
+routes.get("/account/api-tokens", isLoggedIn, apiTokensView);
+routes.post("/account/api-tokens", isLoggedIn, createApiTokenHandler);
+routes.post("/account/api-tokens/:id/revoke", isLoggedIn, revokeApiTokenHandler);
+
+// Active sessions and remote sign-out
+routes.get("/account/sessions", isLoggedIn, sessionsView);
+routes.post("/account/sessions/revoke-others", isLoggedIn, revokeOtherSessionsHandler);
+routes.post("/account/sessions/:id/revoke", isLoggedIn, revokeSessionHandler);
+
+/* ------------------------------- Admin Console ---------------------------- */
+routes.use("/admin", adminRoutes);
+
+/* -------------------------------- JSON API -------------------------------- */
+// Token-based API for mobile and SPA clients
+routes.use("/api", apiRoutes);
 
 export default routes;
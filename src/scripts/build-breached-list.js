@@ -0,0 +1,73 @@
+import crypto from "crypto";
+import fs from "fs";
+import readline from "readline";
+
+/**
+ * Builds the breached-password list read by utils/breached-passwords.js.
+ *
+ * Usage: npm run breached-list:build -- <input> <output>
+ *
+ * The input has one entry per line, either a plain password (wordlist) or
+ * a SHA-1 digest in hex with an optional ":count" suffix (Pwned Passwords
+ * dump). The output is the sorted, de-duplicated raw digests, 20 bytes each.
+ * All digests are held in memory while sorting: about 20 bytes per entry.
+ */
+
+const RECORD_SIZE = 20;
+const SHA1_LINE = /^([0-9a-f]{40})(:\d+)?$/i;
+
+const [input, output] = process.argv.slice(2);
+
+if (!input || !output) {
+  console.error("Usage: npm run breached-list:build -- <input> <output>");
+  process.exit(1);
+}
+
+const digests = [];
+const lines = readline.createInterface({
+  input: fs.createReadStream(input),
+  crlfDelay: Infinity,
+});
+
+for await (const line of lines) {
+  const entry = line.trim();
+
+  if (!entry) {
+    continue;
+  }
+
+  const match = SHA1_LINE.exec(entry);
+  digests.push(
+    match
+      ? Buffer.from(match[1], "hex")
+      : crypto.createHash("sha1").update(entry).digest()
+  );
+}
+
+digests.sort(Buffer.compare);
+
+// Written in chunks; one write per digest is very slow on large lists
+const CHUNK_RECORDS = 65536;
+const file = fs.openSync(output, "w");
+let chunk = [];
+let previous = null;
+let written = 0;
+
+for (const digest of digests) {
+  if (previous && previous.equals(digest)) {
+    continue;
+  }
+
+  chunk.push(digest);
+  previous = digest;
+  written += 1;
+
+  if (chunk.length === CHUNK_RECORDS) {
+    fs.writeSync(file, Buffer.concat(chunk));
+    chunk = [];
+  }
+}
+
+fs.writeSync(file, Buffer.concat(chunk));
+fs.closeSync(file);
+console.log(`Wrote ${written} entries (${written * RECORD_SIZE} bytes) to ${output}`);
@@ -0,0 +1,18 @@
+import "dotenv/config";
+import { formatReport, loadConfig } from "../config/schema.js";
+
+/**
+ * Checks the configuration without starting the app.
+ *
+ * Usage: npm run config:check [-- --verbose]
+ *
+ * Reads the environment (and .env) like the app does and prints the
+ * problems found; --verbose also lists every value, with secrets masked.
+ * Exits with 1 when the app would refuse to start, so it can gate a deploy.
+ */
+
+const result = loadConfig(process.env);
+
+console.log(formatReport(result, { verbose: process.argv.includes("--verbose") }));
+
+process.exit(result.errors.length > 0 ? 1 : 0);
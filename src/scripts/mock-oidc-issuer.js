@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import express from "express";
+
+/**
+ * Minimal OpenID Connect issuer for local development and manual testing.
+ *
+ * Usage: npm run oidc:mock
+ * Then configure a provider with OIDC_<ID>_ISSUER=http://localhost:4010
+ * (any client id and secret are accepted).
+ *
+ * The authorization endpoint approves at once and signs in as
+ * MOCK_OIDC_EMAIL, or as the `login_hint` of the request. It checks
+ * redirect, PKCE (S256) and one-time codes, and signs RS256 ID tokens that
+ * echo the nonce. Never run it anywhere reachable from outside.
+ */
+
+const port = Number(process.env.MOCK_OIDC_PORT) || 4010;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const defaultEmail = process.env.MOCK_OIDC_EMAIL || "user@example.com";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: "mock", alg: "RS256", use: "sig" };
+
+/** @type {Map<string, Object>} code → authorization request */
+const codes = new Map();
+/** @type {Map<string, Object>} access token → claims */
+const accessTokens = new Map();
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+/**
+ * Signs claims as a compact RS256 JWT.
+ */
+const signJwt = (claims) => {
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT", kid: jwk.kid }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${payload}`), privateKey);
+
+  return `${header}.${payload}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Claims of the fake user for an email address.
+ */
+const userClaims = (email) => ({
+  sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+  email,
+  email_verified: true,
+  name: email.split("@")[0],
+});
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+app.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } =
+    req.query;
+
+  if (!client_id || !redirect_uri || code_challenge_method !== "S256" || !code_challenge) {
+    return res.status(400).send("client_id, redirect_uri and an S256 code_challenge are required");
+  }
+
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    claims: userClaims(req.query.login_hint || defaultEmail),
+  });
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set("code", code);
+  if (state) target.searchParams.set("state", state);
+  target.searchParams.set("iss", issuer);
+
+  return res.redirect(target.toString());
+});
+
+app.post("/token", (req, res) => {
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const basic = req.get("authorization")?.replace(/^Basic /, "");
+  const clientId = basic
+    ? decodeURIComponent(Buffer.from(basic, "base64").toString().split(":")[0])
+    : req.body.client_id;
+  const verifierHash = crypto
+    .createHash("sha256")
+    .update(req.body.code_verifier ?? "")
+    .digest("base64url");
+
+  if (
+    !grant ||
+    grant.clientId !== clientId ||
+    grant.redirectUri !== req.body.redirect_uri ||
+    grant.codeChallenge !== verifierHash
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(16).toString("hex");
+  accessTokens.set(accessToken, grant.claims);
+
+  return res.json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: signJwt({
+      iss: issuer,
+      aud: grant.clientId,
+      iat: now,
+      exp: now + 300,
+      nonce: grant.nonce,
+      ...grant.claims,
+    }),
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const claims = accessTokens.get(req.get("authorization")?.replace(/^Bearer /, ""));
+  return claims ? res.json(claims) : res.status(401).json({ error: "invalid_token" });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC issuer at ${issuer} (signs in as ${defaultEmail})`);
+});
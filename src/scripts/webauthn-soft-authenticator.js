@@ -0,0 +1,268 @@
+import crypto from "crypto";
+import { config } from "../config/index.js";
+import {
+  ALGORITHMS,
+  authenticationOptions,
+  registrationOptions,
+  verifyAuthentication,
+  verifyRegistration,
+} from "../utils/webauthn.js";
+
+/**
+ * Software authenticator that runs both passkey ceremonies against
+ * utils/webauthn.js, without a browser or a database.
+ *
+ * Usage: npm run webauthn:check
+ * (MONGODB_URI must be set for the config to load; it is not used.)
+ *
+ * It registers an ES256 credential with "none" and "packed" self
+ * attestation, signs in with it, and checks that tampered or replayed
+ * responses are refused: missing user verification, replayed assertion,
+ * sign-count regression, wrong origin, wrong user handle and bad
+ * signature. Exits with 1 when a check does not go as expected.
+ */
+
+// -----------------------------------------------------------------------------
+// CBOR encoder (just what attestation objects and COSE keys use)
+// -----------------------------------------------------------------------------
+
+const header = (major, value) => {
+  if (value < 24) {
+    return Buffer.from([(major << 5) | value]);
+  }
+  if (value < 0x100) {
+    return Buffer.from([(major << 5) | 24, value]);
+  }
+  if (value < 0x10000) {
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(value, 1);
+    return buffer;
+  }
+
+  const buffer = Buffer.alloc(5);
+  buffer[0] = (major << 5) | 26;
+  buffer.writeUInt32BE(value, 1);
+  return buffer;
+};
+
+const encode = (value) => {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([header(2, value.length), value]);
+  }
+  if (typeof value === "number") {
+    return value >= 0 ? header(0, value) : header(1, -1 - value);
+  }
+  if (typeof value === "string") {
+    const text = Buffer.from(value, "utf8");
+    return Buffer.concat([header(3, text.length), text]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([header(4, value.length), ...value.map(encode)]);
+  }
+
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([header(5, entries.length), ...entries.flatMap(([key, item]) => [encode(key), encode(item)])]);
+};
+
+// -----------------------------------------------------------------------------
+// Authenticator
+// -----------------------------------------------------------------------------
+
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+/**
+ * One ES256 credential, as a platform authenticator would keep it.
+ */
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const jwk = publicKey.export({ format: "jwk" });
+  const credentialId = crypto.randomBytes(16);
+  const coseKey = encode(
+    new Map([
+      [1, 2], // kty: EC2
+      [3, ALGORITHMS.ES256],
+      [-1, 1], // crv: P-256
+      [-2, Buffer.from(jwk.x, "base64url")],
+      [-3, Buffer.from(jwk.y, "base64url")],
+    ])
+  );
+
+  let signCount = 0;
+
+  const authenticatorData = (rpId, flags, attested) => {
+    const data = Buffer.alloc(37);
+    sha256(rpId).copy(data, 0);
+    data[32] = flags;
+    data.writeUInt32BE(signCount, 33);
+
+    if (!attested) {
+      return data;
+    }
+
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    return Buffer.concat([data, Buffer.alloc(16), idLength, credentialId, coseKey]);
+  };
+
+  const clientData = (type, challenge, origin) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+  return {
+    credentialId,
+
+    /** navigator.credentials.create */
+    create(options, { origin, format = "none", userVerified = true }) {
+      const clientDataJSON = clientData("webauthn.create", options.challenge, origin);
+      const authData = authenticatorData(options.rp.id, FLAG_UP | FLAG_AT | (userVerified ? FLAG_UV : 0), true);
+      const attStmt =
+        format === "packed"
+          ? {
+              alg: ALGORITHMS.ES256,
+              sig: crypto.sign("sha256", Buffer.concat([authData, sha256(clientDataJSON)]), privateKey),
+            }
+          : {};
+
+      return {
+        id: credentialId.toString("base64url"),
+        rawId: credentialId.toString("base64url"),
+        type: "public-key",
+        response: {
+          clientDataJSON: clientDataJSON.toString("base64url"),
+          attestationObject: encode({ fmt: format, attStmt, authData }).toString("base64url"),
+          transports: ["internal"],
+        },
+      };
+    },
+
+    /** navigator.credentials.get */
+    get(options, { origin, userHandle, userVerified = true, counter = signCount + 1, corruptSignature = false }) {
+      signCount = counter;
+
+      const clientDataJSON = clientData("webauthn.get", options.challenge, origin);
+      const authData = authenticatorData(options.rpId, FLAG_UP | (userVerified ? FLAG_UV : 0), false);
+      const signature = crypto.sign("sha256", Buffer.concat([authData, sha256(clientDataJSON)]), privateKey);
+
+      if (corruptSignature) {
+        signature[signature.length - 1] ^= 0xff;
+      }
+
+      return {
+        id: credentialId.toString("base64url"),
+        rawId: credentialId.toString("base64url"),
+        type: "public-key",
+        response: {
+          clientDataJSON: clientDataJSON.toString("base64url"),
+          authenticatorData: authData.toString("base64url"),
+          signature: signature.toString("base64url"),
+          userHandle,
+        },
+      };
+    },
+  };
+};
+
+// -----------------------------------------------------------------------------
+// Checks
+// -----------------------------------------------------------------------------
+
+const appUrl = config.app.url ? new URL(config.app.url) : null;
+const origin = config.webauthn.origins[0] ?? appUrl?.origin ?? "http://localhost:3000";
+
+/** Just what utils/webauthn.js reads from a request */
+const fakeRequest = (session) => ({
+  session,
+  hostname: new URL(origin).hostname,
+  protocol: new URL(origin).protocol.replace(":", ""),
+  get: (name) => (name.toLowerCase() === "host" ? new URL(origin).host : undefined),
+});
+
+const user = {
+  _id: crypto.randomBytes(12).toString("hex"),
+  email: "soft-authenticator@example.com",
+  nama: "Soft Authenticator",
+  passkeys: [],
+};
+const userHandle = Buffer.from(user._id, "hex").toString("base64url");
+
+let failures = 0;
+
+const check = (name, run, expectedReason) => {
+  try {
+    run();
+
+    if (expectedReason) {
+      failures += 1;
+      console.log(`[FAIL] ${name}: accepted, expected ${expectedReason}`);
+    } else {
+      console.log(`[OK]   ${name}`);
+    }
+  } catch (error) {
+    if (expectedReason && error.reason === expectedReason) {
+      console.log(`[OK]   ${name}: refused (${error.reason})`);
+    } else {
+      failures += 1;
+      console.log(`[FAIL] ${name}: ${error.reason ?? error.message}`);
+    }
+  }
+};
+
+const register = (authenticator, options) => {
+  const req = fakeRequest({});
+  const creation = registrationOptions(req, user);
+  return verifyRegistration(req, authenticator.create(creation, { origin, ...options }));
+};
+
+const login = (authenticator, passkey, options = {}) => {
+  const req = fakeRequest({});
+  const assertion = authenticator.get(authenticationOptions(req), { origin, userHandle, ...options });
+  const result = verifyAuthentication(req, assertion, passkey, user._id);
+
+  passkey.signCount = result.signCount;
+  return { req, assertion };
+};
+
+console.log(`Relying party origin: ${origin}\n`);
+
+const authenticator = createAuthenticator();
+let passkey;
+
+check("Register, attestation none", () => {
+  register(createAuthenticator(), { format: "none" });
+});
+check("Register, packed self attestation", () => {
+  passkey = register(authenticator, { format: "packed" });
+});
+check("Register without user verification", () => register(createAuthenticator(), { userVerified: false }), "user_not_verified");
+
+if (!passkey) {
+  console.log("\nNo credential registered; stopping.");
+  process.exit(1);
+}
+
+let last;
+
+check("Sign in", () => {
+  last = login(authenticator, passkey);
+});
+check(
+  "Replay the same assertion",
+  () => verifyAuthentication(last.req, last.assertion, passkey, user._id),
+  "challenge_expired"
+);
+check("Sign-count regression", () => login(authenticator, passkey, { counter: passkey.signCount }), "sign_count_regression");
+check("Sign in without user verification", () => login(authenticator, passkey, { userVerified: false }), "user_not_verified");
+check("Wrong origin", () => login(authenticator, passkey, { origin: "https://evil.example" }), "wrong_origin");
+check(
+  "Wrong user handle",
+  () => login(authenticator, passkey, { userHandle: crypto.randomBytes(12).toString("base64url") }),
+  "wrong_user_handle"
+);
+check("Bad signature", () => login(authenticator, passkey, { corruptSignature: true }), "bad_signature");
+
+console.log(failures === 0 ? "\nAll checks passed." : `\n${failures} check(s) failed.`);
+process.exit(failures === 0 ? 0 : 1);
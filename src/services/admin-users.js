@@ -0,0 +1,330 @@
+import mongoose from "../utils/db.js";
+import ApiToken from "../models/api-tokens.js";
+import RefreshToken from "../models/refresh-tokens.js";
+import RememberToken from "../models/remember-tokens.js";
+import LogInCollection from "../models/users.js";
+import { ACTIVE_PEPPER_ID, LEGACY_PEPPER_ID, PEPPER_IDS } from "../utils/bcript.js";
+import { sendPasswordResetEmail } from "../utils/password-reset.js";
+import { ConflictError, NotFoundError } from "../errors/index.js";
+import { createApiToken, listApiTokens, revokeApiToken } from "./api-tokens.js";
+import { recordAudit, userAuditTrail } from "./audit.js";
+import { revokeAllSessions, signOutEverywhere } from "./sessions.js";
+
+/**
+ * User administration shared by the /admin pages and the admin JSON API.
+ * Every mutating function takes the acting admin and records the action
+ * in the audit log.
+ */
+
+/**
+ * @typedef {Object} Actor - Acting admin plus request context for the audit log
+ * @property {string} id
+ * @property {string} [email]
+ * @property {string} [ip]
+ * @property {string} [userAgent]
+ * @property {string} [requestId]
+ */
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/** Fields the list can be sorted by */
+export const SORTABLE_FIELDS = ["nama", "email", "role", "createdAt"];
+
+/** Fields never exposed by the admin console */
+const HIDDEN_FIELDS =
+  "-password -passwordResetToken -emailVerificationToken -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes";
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Loads a user by id or throws a 404.
+ *
+ * @param {string} id
+ * @param {string} [projection] - Mongoose select string
+ * @returns {Promise<Object>}
+ */
+const findUserOrFail = async (id, projection) => {
+  const user = mongoose.isValidObjectId(id)
+    ? await LogInCollection.findById(id).select(projection)
+    : null;
+
+  if (!user) {
+    throw new NotFoundError("admin.userNotFound");
+  }
+
+  return user;
+};
+
+/**
+ * Records an admin action in the audit log as "admin.<action>".
+ *
+ * @param {Actor} actor - Acting admin
+ * @param {string} action - Action name
+ * @param {Object} target - Affected user document
+ * @param {Object} [details]
+ */
+const recordAdminAction = (actor, action, target, details) => {
+  const { id, email, ...context } = actor;
+
+  recordAudit({
+    ...context,
+    event: `admin.${action}`,
+    actor: { id, email },
+    target: { id: target.id, email: target.email },
+    details,
+  });
+};
+
+/**
+ * Admins may not lock themselves out.
+ */
+const refuseSelf = (actor, user, action) => {
+  if (String(actor.id) === String(user.id)) {
+    throw new ConflictError("admin.notOnSelf", { params: { action } });
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Queries
+// -----------------------------------------------------------------------------
+
+/**
+ * Lists users with search, sorting and pagination.
+ *
+ * @param {Object} query
+ * @param {string} [query.q] - Matches name or email (case-insensitive)
+ * @param {string} [query.sort] - Field from SORTABLE_FIELDS, "-" prefix for descending
+ * @param {number|string} [query.page] - 1-based page number
+ * @param {number|string} [query.limit] - Page size (capped at MAX_PAGE_SIZE)
+ * @returns {Promise<{ users: Object[], total: number, page: number, pages: number, limit: number, sort: string, q: string }>}
+ */
+const listUsers = async ({ q = "", sort = "-createdAt", page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const search = String(q).trim();
+  const filter = search
+    ? {
+        $or: [
+          { nama: { $regex: escapeRegex(search), $options: "i" } },
+          { email: { $regex: escapeRegex(search), $options: "i" } },
+        ],
+      }
+    : {};
+
+  const field = String(sort).replace(/^-/, "");
+  const safeSort = SORTABLE_FIELDS.includes(field) ? String(sort) : "-createdAt";
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const total = await LogInCollection.countDocuments(filter);
+  const pages = Math.max(Math.ceil(total / size), 1);
+  const current = Math.min(Math.max(Number(page) || 1, 1), pages);
+
+  const users = await LogInCollection.find(filter)
+    .select(HIDDEN_FIELDS)
+    .sort(safeSort)
+    .skip((current - 1) * size)
+    .limit(size)
+    .lean();
+
+  return { users, total, page: current, pages, limit: size, sort: safeSort, q: search };
+};
+
+/**
+ * Loads one user with their recent audit events and API tokens.
+ *
+ * @param {string} id
+ * @returns {Promise<{ user: Object, actions: Object[], apiTokens: Object[] }>}
+ */
+const getUser = async (id) => {
+  const user = await findUserOrFail(id, HIDDEN_FIELDS);
+  const actions = await userAuditTrail(user.id);
+  const apiTokens = await listApiTokens(user._id);
+
+  return { user: user.toObject(), actions, apiTokens };
+};
+
+/**
+ * Counts users per pepper key id, read from the stored hash prefix
+ * ("v2:<pepper id>:..."); older formats count as the legacy key.
+ * Configured keys without users are listed with a count of 0 so an admin
+ * can tell when a retired key is safe to remove.
+ *
+ * @returns {Promise<{ active: string, keys: { id: string, users: number, active: boolean, configured: boolean }[] }>}
+ */
+const pepperUsage = async () => {
+  const rows = await LogInCollection.aggregate([
+    { $project: { parts: { $split: [{ $ifNull: ["$password", ""] }, ":"] } } },
+    {
+      $group: {
+        _id: {
+          $cond: [
+            { $gte: [{ $size: "$parts" }, 4] },
+            { $arrayElemAt: ["$parts", 1] },
+            LEGACY_PEPPER_ID,
+          ],
+        },
+        users: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = new Map(rows.map((row) => [row._id, row.users]));
+  const ids = [...new Set([...PEPPER_IDS, ...counts.keys()])].sort();
+
+  return {
+    active: ACTIVE_PEPPER_ID,
+    keys: ids.map((id) => ({
+      id,
+      users: counts.get(id) ?? 0,
+      active: id === ACTIVE_PEPPER_ID,
+      configured: PEPPER_IDS.includes(id),
+    })),
+  };
+};
+
+// -----------------------------------------------------------------------------
+// Actions
+// -----------------------------------------------------------------------------
+
+/**
+ * Disables or re-enables an account.
+ * Disabling also signs the user out everywhere and revokes API refresh tokens.
+ *
+ * @param {string} id - Target user id
+ * @param {boolean} disabled
+ * @param {Actor} actor
+ * @returns {Promise<Object>} - Updated user
+ */
+const setUserDisabled = async (id, disabled, actor) => {
+  const user = await findUserOrFail(id);
+  refuseSelf(actor, user, "disable");
+
+  user.disabled = disabled;
+  user.disabledAt = disabled ? new Date() : undefined;
+  await user.save();
+
+  if (disabled) {
+    await signOutEverywhere(user.id);
+  }
+
+  recordAdminAction(actor, disabled ? "user.disable" : "user.enable", user);
+  return user;
+};
+
+/**
+ * Blocks password login until the user picks a new password,
+ * and emails them a reset link. Whoever holds the old password may already
+ * be signed in, so sessions, refresh, "Remember me" and API tokens are
+ * all revoked.
+ *
+ * @param {string} id - Target user id
+ * @param {Actor} actor
+ * @param {import("express").Request} req - Current request (used for the link host)
+ * @returns {Promise<Object>} - Updated user
+ */
+const forcePasswordReset = async (id, actor, req) => {
+  const user = await findUserOrFail(id);
+
+  user.mustResetPassword = true;
+  await sendPasswordResetEmail(req, user);
+
+  await signOutEverywhere(user.id);
+  await ApiToken.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  recordAdminAction(actor, "user.force_password_reset", user);
+  return user;
+};
+
+/**
+ * Signs a user out of every browser session.
+ *
+ * @param {string} id - Target user id
+ * @param {Actor} actor
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (id, actor) => {
+  const user = await findUserOrFail(id);
+  const count = await revokeAllSessions(user.id);
+
+  recordAdminAction(actor, "user.revoke_sessions", user, { count });
+  return count;
+};
+
+/**
+ * Creates a personal access token for a user, typically a service account.
+ *
+ * @param {string} id - Target user id
+ * @param {Object} input - name, scopes, expiresInDays, rateLimit
+ * @param {Actor} actor
+ * @returns {Promise<{ user: Object, token: Object, secret: string }>}
+ */
+const createUserApiToken = async (id, input, actor) => {
+  const user = await findUserOrFail(id);
+  const { token, secret } = await createApiToken(user, input, actor.id);
+
+  recordAdminAction(actor, "api_token.create", user, {
+    tokenId: token.id,
+    name: token.name,
+    scopes: token.scopes,
+    expiresAt: token.expiresAt,
+    rateLimit: token.rateLimit,
+  });
+  return { user, token, secret };
+};
+
+/**
+ * Revokes one of a user's personal access tokens.
+ *
+ * @param {string} id - Target user id
+ * @param {string} tokenId
+ * @param {Actor} actor
+ * @returns {Promise<Object>} - The revoked token
+ */
+const revokeUserApiToken = async (id, tokenId, actor) => {
+  const user = await findUserOrFail(id);
+  const token = await revokeApiToken(user._id, tokenId);
+
+  recordAdminAction(actor, "api_token.revoke", user, { tokenId: token.id, name: token.name });
+  return token;
+};
+
+/**
+ * Deletes a user, their sessions and their refresh, "Remember me" and API tokens.
+ *
+ * @param {string} id - Target user id
+ * @param {Actor} actor
+ * @returns {Promise<void>}
+ */
+const deleteUser = async (id, actor) => {
+  const user = await findUserOrFail(id);
+  refuseSelf(actor, user, "delete");
+
+  await revokeAllSessions(user.id);
+  await RefreshToken.deleteMany({ user: user._id });
+  await RememberToken.deleteMany({ user: user._id });
+  await ApiToken.deleteMany({ user: user._id });
+  await LogInCollection.deleteOne({ _id: user._id });
+
+  recordAdminAction(actor, "user.delete", user, { nama: user.nama });
+};
+
+export {
+  listUsers,
+  getUser,
+  pepperUsage,
+  setUserDisabled,
+  forcePasswordReset,
+  revokeUserSessions,
+  createUserApiToken,
+  revokeUserApiToken,
+  deleteUser,
+};
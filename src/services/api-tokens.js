@@ -0,0 +1,231 @@
+import mongoose from "../utils/db.js";
+import ApiToken from "../models/api-tokens.js";
+import LogInCollection from "../models/users.js";
+import { PERMISSIONS, hasPermission, permissionsFor } from "../config/roles.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors/index.js";
+import { generateToken, hashToken } from "../utils/bcript.js";
+import { config } from "../config/index.js";
+
+/**
+ * Personal access tokens: long-lived bearer tokens for scripts and service
+ * accounts, created from the account page or by an admin for another user.
+ * The token is shown once; only its SHA-256 digest is stored. A request
+ * made with it acts as the owner, limited to the token's scopes.
+ */
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+/** Every token starts with this, so it is told apart from a JWT (and by secret scanners) */
+export const API_TOKEN_PREFIX = "pat_";
+
+/** Lifetimes offered when creating a token, in days; no expiry is also allowed */
+export const EXPIRY_CHOICES_DAYS = [7, 30, 90, 365];
+
+export const MAX_NAME_LENGTH = 60;
+
+/** Active tokens one account may hold */
+export const MAX_TOKENS_PER_USER = config.apiTokens.maxPerUser;
+
+/** Default requests per token per window */
+export const DEFAULT_RATE_LIMIT = config.apiTokens.rateLimit;
+
+/** Length of the rate limit window */
+export const RATE_WINDOW_MS = config.apiTokens.rateWindowMinutes * 60 * 1000;
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Scopes a user may give a token: the permissions their role grants.
+ *
+ * @param {string} role
+ * @returns {string[]}
+ */
+const scopesFor = (role) => PERMISSIONS.filter((permission) => hasPermission(permissionsFor(role), permission));
+
+/**
+ * Whether a bearer credential is a personal access token rather than a JWT.
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isApiToken = (value) => typeof value === "string" && value.startsWith(API_TOKEN_PREFIX);
+
+/** Not revoked and not expired (the TTL monitor only runs once a minute) */
+const activeFilter = () => ({
+  revokedAt: { $exists: false },
+  $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }],
+});
+
+/**
+ * Checks the fields of the create form.
+ *
+ * @param {Object} input
+ * @param {string[]} allowedScopes
+ * @returns {{ name: string, scopes: string[], expiresAt?: Date, rateLimit?: number }}
+ */
+const parseInput = ({ name, scopes, expiresInDays, rateLimit }, allowedScopes) => {
+  const cleanName = String(name ?? "").trim();
+  const picked = [].concat(scopes ?? []).map(String);
+  const days = Number(expiresInDays || 0);
+  const limit = rateLimit === undefined || rateLimit === "" ? undefined : Number(rateLimit);
+
+  if (!cleanName || cleanName.length > MAX_NAME_LENGTH) {
+    throw new ValidationError("apiTokens.invalidName", { params: { max: MAX_NAME_LENGTH } });
+  }
+
+  if (picked.length === 0 || picked.some((scope) => !allowedScopes.includes(scope))) {
+    throw new ValidationError("apiTokens.invalidScopes");
+  }
+
+  if (days !== 0 && !EXPIRY_CHOICES_DAYS.includes(days)) {
+    throw new ValidationError("apiTokens.invalidExpiry");
+  }
+
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1)) {
+    throw new ValidationError("apiTokens.invalidRateLimit");
+  }
+
+  return {
+    name: cleanName,
+    scopes: [...new Set(picked)],
+    expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined,
+    rateLimit: limit,
+  };
+};
+
+// -----------------------------------------------------------------------------
+// Management
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates a token for a user.
+ *
+ * @param {Object} user - Owner (User document)
+ * @param {Object} input - name, scopes, expiresInDays and, for admins, rateLimit
+ * @param {string} [createdBy] - Admin id when not created by the owner
+ * @returns {Promise<{ token: Object, secret: string }>} - The secret is never stored
+ */
+const createApiToken = async (user, input, createdBy) => {
+  const fields = parseInput(input, scopesFor(user.role));
+  const active = await ApiToken.countDocuments({ user: user._id, ...activeFilter() });
+
+  if (active >= MAX_TOKENS_PER_USER) {
+    throw new ConflictError("apiTokens.tooMany", { params: { max: MAX_TOKENS_PER_USER } });
+  }
+
+  const secret = `${API_TOKEN_PREFIX}${generateToken()}`;
+  const token = await ApiToken.create({
+    ...fields,
+    user: user._id,
+    tokenHash: hashToken(secret),
+    hint: secret.slice(-4),
+    createdBy,
+  });
+
+  return { token, secret };
+};
+
+/**
+ * A user's tokens, newest first, revoked ones included.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+const listApiTokens = (userId) =>
+  ApiToken.find({ user: userId }).select("-tokenHash").sort("-createdAt").lean();
+
+/**
+ * Revokes one of a user's tokens.
+ *
+ * @param {string} userId - Owner
+ * @param {string} tokenId
+ * @returns {Promise<Object>} - The revoked token
+ */
+const revokeApiToken = async (userId, tokenId) => {
+  const token = mongoose.isValidObjectId(tokenId)
+    ? await ApiToken.findOneAndUpdate(
+        { _id: tokenId, user: userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      )
+    : null;
+
+  if (!token) {
+    throw new NotFoundError("apiTokens.notFound");
+  }
+
+  return token;
+};
+
+// -----------------------------------------------------------------------------
+// Authentication
+// -----------------------------------------------------------------------------
+
+/**
+ * Finds the token and its owner for a bearer credential.
+ * Scopes are narrowed to what the owner's role grants today.
+ *
+ * @param {string} secret - Token as sent by the client
+ * @returns {Promise<{ token: Object, user: Object, permissions: string[] }|null>} - Null when unknown, revoked, expired or the owner is disabled
+ */
+const authenticateApiToken = async (secret) => {
+  const token = await ApiToken.findOne({ tokenHash: hashToken(secret), ...activeFilter() });
+  const user = token && (await LogInCollection.findById(token.user));
+
+  if (!user || user.disabled) {
+    return null;
+  }
+
+  const permissions = token.scopes.filter((scope) => hasPermission(permissionsFor(user.role), scope));
+  return { token, user, permissions };
+};
+
+/**
+ * Counts a request against the token's rate limit and records when and
+ * from where it was last used. Fixed windows: the first request after a
+ * window ends starts the next one.
+ *
+ * @param {Object} token - ApiToken document
+ * @param {import("express").Request} req
+ * @returns {Promise<{ limit: number, remaining: number, resetAt: Date, limited: boolean }>}
+ */
+const recordApiTokenUse = async (token, req) => {
+  const now = new Date();
+  const seen = { lastUsedAt: now, lastUsedIp: req.ip };
+
+  // Two requests may both open a new window and count once; harmless
+  const updated =
+    (await ApiToken.findOneAndUpdate(
+      { _id: token._id, windowStartedAt: { $gt: new Date(now - RATE_WINDOW_MS) } },
+      { $inc: { windowCount: 1 }, $set: seen },
+      { new: true }
+    )) ??
+    (await ApiToken.findOneAndUpdate(
+      { _id: token._id },
+      { $set: { ...seen, windowStartedAt: now, windowCount: 1 } },
+      { new: true }
+    ));
+
+  const limit = updated.rateLimit ?? DEFAULT_RATE_LIMIT;
+
+  return {
+    limit,
+    remaining: Math.max(limit - updated.windowCount, 0),
+    resetAt: new Date(updated.windowStartedAt.getTime() + RATE_WINDOW_MS),
+    limited: updated.windowCount > limit,
+  };
+};
+
+export {
+  scopesFor,
+  isApiToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  authenticateApiToken,
+  recordApiTokenUse,
+};
@@ -0,0 +1,460 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { StringDecoder } from "string_decoder";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import pino from "pino";
+import { logger } from "../logs/pino.js";
+import { config } from "../config/index.js";
+
+/**
+ * Reads the application log for the admin console: the live file and the
+ * archives rotated next to it (app.log.1.gz is the newest archive), oldest
+ * first. Files are read line by line, so only the entries being returned
+ * are held in memory.
+ *
+ * Both formats found in the file are understood: pino JSON lines, written
+ * by logs/file-transport.js, and the pino-pretty blocks of older files, a
+ * "[time] LEVEL: message" line followed by indented properties.
+ */
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+/** Live log file */
+export const LOG_FILE = path.resolve(config.log.file.path);
+
+export const DEFAULT_LIMIT = 200;
+export const MAX_LIMIT = 1000;
+
+/** Level names, lowest first, as offered by the level filter */
+export const LEVELS = Object.keys(pino.levels.values).sort(
+  (a, b) => pino.levels.values[a] - pino.levels.values[b]
+);
+
+/** How often the live file is checked for new lines while tailing */
+const TAIL_INTERVAL_MS = 1000;
+
+/** Most live streams open at once; they all share one watcher */
+export const MAX_TAIL_CLIENTS = 10;
+
+/** Largest piece of the live file held in memory while tailing */
+const TAIL_CHUNK_BYTES = 256 * 1024;
+
+const PRETTY_HEADER = /^\[(\d{4}-\d\d-\d\d) (\d\d:\d\d:\d\d(?:\.\d{3})?)\] ([A-Z]+)(?: \([^)]*\))?: ?(.*)$/;
+
+/** Request id among pino-pretty properties: `"id": "..."` inside req, or reqId */
+const PRETTY_REQUEST_ID = /^\s+(?:"id"|reqId|requestId): "?([\w.:-]+)"?,?$/;
+
+// -----------------------------------------------------------------------------
+// Files
+// -----------------------------------------------------------------------------
+
+/**
+ * The live file and its archives, oldest first.
+ *
+ * @returns {Promise<string[]>} - Absolute paths
+ */
+const listLogFiles = async () => {
+  const dir = path.dirname(LOG_FILE);
+  const base = path.basename(LOG_FILE);
+  const archive = new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\.(\\d+)(\\.gz)?$`);
+  const names = await fs.promises.readdir(dir).catch(() => []);
+
+  const archives = names
+    .map((name) => ({ name, index: Number(archive.exec(name)?.[1]) }))
+    .filter(({ index }) => index > 0)
+    .sort((a, b) => b.index - a.index)
+    .map(({ name }) => path.join(dir, name));
+
+  return names.includes(base) ? [...archives, LOG_FILE] : archives;
+};
+
+/**
+ * Lines of a file, gunzipped when it ends in .gz. An archive that cannot be
+ * read (e.g. still being compressed) is logged and skipped.
+ *
+ * @param {string} file
+ * @returns {AsyncGenerator<string>}
+ */
+async function* linesOf(file) {
+  const source = fs.createReadStream(file);
+  const input = file.endsWith(".gz") ? source.pipe(zlib.createGunzip()) : source;
+
+  if (input !== source) {
+    source.on("error", (error) => input.destroy(error));
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      yield line;
+    }
+  } catch (error) {
+    logger.warn({ err: error, file }, "Log file could not be read to the end");
+  } finally {
+    lines.close();
+    source.destroy();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {Date|null} time
+ * @property {string|null} level - "info", "error", ...
+ * @property {string} msg
+ * @property {string} [requestId]
+ * @property {string} raw - Entry as written, all lines
+ * @property {string} [file] - Base name of the file it came from
+ */
+
+/**
+ * @param {string} line
+ * @returns {LogEntry|null} - Null when the line is not JSON
+ */
+const parseJsonLine = (line) => {
+  let data;
+
+  try {
+    data = JSON.parse(line);
+  } catch {
+    return null;
+  }
+
+  if (!data || typeof data !== "object") {
+    return null;
+  }
+
+  const time = data.time !== undefined ? new Date(data.time) : null;
+
+  return {
+    time: time && !Number.isNaN(time.getTime()) ? time : null,
+    level: pino.levels.labels[data.level] ?? (typeof data.level === "string" ? data.level : null),
+    msg: String(data.msg ?? data.data ?? ""),
+    requestId: data.req?.id ?? data.reqId ?? data.requestId,
+    raw: line,
+  };
+};
+
+/**
+ * Groups lines into entries: a JSON line is one entry, a pino-pretty
+ * header starts one and indented lines continue it.
+ *
+ * @param {AsyncIterable<string>|Iterable<string>} lines
+ * @returns {AsyncGenerator<LogEntry>}
+ */
+async function* parseEntries(lines) {
+  let current = null;
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    const header = PRETTY_HEADER.exec(line);
+    const continues = current && !header && /^\s/.test(line);
+
+    if (continues) {
+      current.raw += `\n${line}`;
+      current.requestId ??= PRETTY_REQUEST_ID.exec(line)?.[1];
+      continue;
+    }
+
+    if (current) {
+      yield current;
+    }
+
+    if (header) {
+      // pino-pretty writes local time (translateTime "SYS:")
+      const time = new Date(`${header[1]}T${header[2]}`);
+      current = {
+        time: Number.isNaN(time.getTime()) ? null : time,
+        level: header[3].toLowerCase(),
+        msg: header[4],
+        raw: line,
+      };
+    } else {
+      current = parseJsonLine(line.trim()) ?? { time: null, level: null, msg: line, raw: line };
+    }
+  }
+
+  if (current) {
+    yield current;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Filtering
+// -----------------------------------------------------------------------------
+
+/**
+ * Normalises query-string filters.
+ *
+ * @param {Object} query
+ * @param {string} [query.level] - Minimum level name
+ * @param {string} [query.from] - Date, inclusive
+ * @param {string} [query.to] - Date, inclusive
+ * @param {string} [query.requestId]
+ * @param {string} [query.q] - Text to find anywhere in the entry (case-insensitive)
+ * @returns {{ minLevel?: number, from?: Date, to?: Date, requestId?: string, q?: string }}
+ */
+const buildFilter = ({ level, from, to, requestId, q } = {}) => {
+  const filter = {};
+  const date = (value) => {
+    const parsed = value ? new Date(String(value)) : null;
+    return parsed && !Number.isNaN(parsed.getTime()) ? parsed : undefined;
+  };
+
+  if (pino.levels.values[level]) {
+    filter.minLevel = pino.levels.values[level];
+  }
+
+  filter.from = date(from);
+  filter.to = date(to);
+
+  if (requestId) {
+    filter.requestId = String(requestId).trim();
+  }
+  if (q) {
+    filter.q = String(q).toLowerCase();
+  }
+
+  return filter;
+};
+
+/**
+ * @param {LogEntry} entry
+ * @param {ReturnType<typeof buildFilter>} filter
+ * @returns {boolean}
+ */
+const matches = (entry, { minLevel, from, to, requestId, q }) => {
+  if (minLevel && (pino.levels.values[entry.level] ?? 0) < minLevel) {
+    return false;
+  }
+  if ((from || to) && !entry.time) {
+    return false;
+  }
+  if ((from && entry.time < from) || (to && entry.time > to)) {
+    return false;
+  }
+  // Pretty entries may carry the id only in a nested property; fall back to the text
+  if (requestId && entry.requestId !== requestId && !(entry.requestId === undefined && entry.raw.includes(requestId))) {
+    return false;
+  }
+
+  return !q || entry.raw.toLowerCase().includes(q);
+};
+
+/**
+ * Every matching entry across the live file and the archives, oldest first.
+ *
+ * @param {Object} query - Filters (see buildFilter)
+ * @returns {AsyncGenerator<LogEntry>}
+ */
+async function* readLogs(query) {
+  const filter = buildFilter(query);
+
+  for (const file of await listLogFiles()) {
+    for await (const entry of parseEntries(linesOf(file))) {
+      if (matches(entry, filter)) {
+        yield { ...entry, file: path.basename(file) };
+      }
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// API
+// -----------------------------------------------------------------------------
+
+/**
+ * The latest matching entries, newest first. Keeps only `limit` entries
+ * while reading.
+ *
+ * @param {Object} query - Filters (see buildFilter) plus limit
+ * @returns {Promise<{ entries: LogEntry[], limit: number, files: string[] }>}
+ */
+const searchLogs = async ({ limit = DEFAULT_LIMIT, ...query } = {}) => {
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const entries = [];
+
+  for await (const entry of readLogs(query)) {
+    entries.push(entry);
+
+    if (entries.length > size) {
+      entries.shift();
+    }
+  }
+
+  const files = (await listLogFiles()).map((file) => path.basename(file));
+  return { entries: entries.reverse(), limit: size, files };
+};
+
+/**
+ * Streams every matching entry to a writable as a JSON array, oldest first.
+ * Reading waits while the writable is full, and stops if it is closed early.
+ *
+ * @param {Object} query - Filters (see buildFilter)
+ * @param {import("stream").Writable} out
+ * @returns {Promise<void>}
+ */
+const exportLogs = async (query, out) => {
+  async function* chunks() {
+    let first = true;
+
+    yield "[\n";
+
+    for await (const entry of readLogs(query)) {
+      yield `${first ? "" : ",\n"}${JSON.stringify(entry)}`;
+      first = false;
+    }
+
+    yield "\n]\n";
+  }
+
+  try {
+    await pipeline(Readable.from(chunks()), out);
+  } catch (error) {
+    // The client went away; nothing is left to answer
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      throw error;
+    }
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Tailing
+// -----------------------------------------------------------------------------
+
+/**
+ * The one watcher of the live file. It runs while at least one stream is
+ * open and hands every new entry to each subscriber whose filter matches.
+ */
+const tail = {
+  /** @type {Set<{ filter: Object, onEntry: (entry: LogEntry) => void }>} */
+  subscribers: new Set(),
+  timer: null,
+  position: null,
+  partial: "",
+  decoder: new StringDecoder("utf8"),
+  reading: false,
+};
+
+/**
+ * Bytes `start` to `end` (exclusive) of the live file.
+ *
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<Buffer>}
+ */
+const readRange = async (start, end) => {
+  const handle = await fs.promises.open(LOG_FILE, "r");
+
+  try {
+    const buffer = Buffer.alloc(end - start);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Reads what was appended since the last poll, at most TAIL_CHUNK_BYTES at
+ * a time. Starts over from the top when the file shrinks, which is what a
+ * rotation looks like from here.
+ */
+const pollTail = async () => {
+  if (tail.reading) {
+    return;
+  }
+
+  tail.reading = true;
+
+  try {
+    const { size } = await fs.promises.stat(LOG_FILE).catch(() => ({ size: 0 }));
+
+    if (tail.position === null || size < tail.position) {
+      // First poll: start at the end; after a rotation: read the new file from the top
+      tail.position = tail.position === null ? size : 0;
+      tail.partial = "";
+      tail.decoder = new StringDecoder("utf8");
+    }
+
+    while (tail.position < size && tail.subscribers.size > 0) {
+      const chunk = await readRange(tail.position, Math.min(size, tail.position + TAIL_CHUNK_BYTES));
+
+      // Empty, or every stream closed meanwhile (the next one starts at the end)
+      if (chunk.length === 0 || tail.position === null) {
+        break;
+      }
+
+      tail.position += chunk.length;
+      const lines = (tail.partial + tail.decoder.write(chunk)).split("\n");
+      tail.partial = lines.pop();
+
+      // A line longer than a chunk is not an entry the viewer can show
+      if (tail.partial.length > TAIL_CHUNK_BYTES) {
+        tail.partial = "";
+      }
+
+      // JSON lines: an entry never spans two chunks
+      for await (const entry of parseEntries(lines)) {
+        const shown = { ...entry, file: path.basename(LOG_FILE) };
+
+        tail.subscribers.forEach(({ filter, onEntry }) => {
+          if (matches(entry, filter)) {
+            onEntry(shown);
+          }
+        });
+      }
+    }
+  } catch (error) {
+    logger.warn({ err: error }, "Could not tail the log file");
+  } finally {
+    tail.reading = false;
+  }
+};
+
+/**
+ * Calls `onEntry` for each new matching entry of the live file, from now
+ * on. Every stream shares one watcher, and at most MAX_TAIL_CLIENTS can be
+ * open at once.
+ *
+ * @param {Object} query - Filters (see buildFilter)
+ * @param {(entry: LogEntry) => void} onEntry
+ * @returns {(() => void)|null} - Stops following; null when too many streams are open
+ */
+const tailLogs = (query, onEntry) => {
+  if (tail.subscribers.size >= MAX_TAIL_CLIENTS) {
+    return null;
+  }
+
+  const subscriber = { filter: buildFilter(query), onEntry };
+  tail.subscribers.add(subscriber);
+
+  if (!tail.timer) {
+    tail.timer = setInterval(pollTail, TAIL_INTERVAL_MS);
+    pollTail();
+  }
+
+  return () => {
+    tail.subscribers.delete(subscriber);
+
+    if (tail.subscribers.size === 0) {
+      clearInterval(tail.timer);
+      tail.timer = null;
+      tail.position = null;
+    }
+  };
+};
+
+export { listLogFiles, parseEntries, searchLogs, exportLogs, tailLogs };
@@ -0,0 +1,269 @@
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import AuditLog from "../models/audit-logs.js";
+import { logger } from "../logs/pino.js";
+import { observeAuditEvent } from "../utils/metrics.js";
+
+/**
+ * Records and queries security events: signups, logins, logouts,
+ * password changes, lockouts and admin actions.
+ */
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/** Columns of the CSV export, in order */
+const CSV_COLUMNS = [
+  "time",
+  "event",
+  "outcome",
+  "reason",
+  "actor.id",
+  "actor.email",
+  "target.id",
+  "target.email",
+  "ip",
+  "userAgent",
+  "requestId",
+];
+
+// -----------------------------------------------------------------------------
+// Recording
+// -----------------------------------------------------------------------------
+
+/** Writes not acknowledged yet, awaited by `flushAudit` on shutdown */
+const pending = new Set();
+
+/**
+ * Who is acting and from where, taken from the request.
+ *
+ * @param {import("express").Request} req
+ * @returns {{ actor?: Object, ip: string, userAgent?: string, requestId?: string, apiTokenId?: string }}
+ */
+const requestContext = (req) => {
+  const principal = req.user ?? req.session?.user;
+
+  return {
+    actor: principal ? { id: principal.id, email: principal.email } : undefined,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+    requestId: req.id ? String(req.id) : undefined,
+    apiTokenId: req.apiToken?.id, // Set when a personal access token made the request
+  };
+};
+
+/**
+ * Writes one audit event and counts it in the auth metrics. The write is
+ * not awaited; while MongoDB is unreachable Mongoose queues it, and an
+ * event that still cannot be stored goes to the application log instead
+ * of being dropped.
+ *
+ * @param {Object} entry
+ * @param {string} entry.event - Event name, e.g. "auth.login"
+ * @param {"success"|"failure"} [entry.outcome]
+ * @param {string} [entry.reason] - Why a failure happened
+ * @param {{ id?: string, email?: string }} [entry.actor] - Who did it
+ * @param {{ id?: string, email?: string }} [entry.target] - Who it happened to
+ * @param {string} [entry.ip]
+ * @param {string} [entry.userAgent]
+ * @param {string} [entry.requestId]
+ * @param {string} [entry.apiTokenId]
+ * @param {Object} [entry.details] - Event-specific extras
+ */
+const recordAudit = ({ event, outcome = "success", details, ...fields }) => {
+  // Nested, so a detail cannot overwrite who, what or where
+  const entry = { time: new Date(), event, outcome, ...fields, details };
+  const write = AuditLog.create(entry)
+    .catch((error) => logger.error({ err: error, audit: entry }, "Could not write audit event"))
+    .finally(() => pending.delete(write));
+
+  pending.add(write);
+  observeAuditEvent({ event, outcome, reason: fields.reason, details });
+};
+
+/**
+ * Waits for the audit events still being written. Called on shutdown,
+ * before the MongoDB connection closes.
+ *
+ * @returns {Promise<void>}
+ */
+const flushAudit = async () => {
+  await Promise.allSettled([...pending]);
+};
+
+/**
+ * Writes an audit event for the current request.
+ * The acting user defaults to the session or bearer-token user.
+ *
+ * @param {import("express").Request} req
+ * @param {string} event - Event name
+ * @param {Object} [fields] - outcome, reason, actor, target, details
+ */
+const auditRequest = (req, event, fields = {}) => {
+  const context = requestContext(req);
+  recordAudit({ ...context, ...fields, actor: fields.actor ?? context.actor, event });
+};
+
+// -----------------------------------------------------------------------------
+// Querying
+// -----------------------------------------------------------------------------
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Builds a MongoDB filter from query-string style options.
+ *
+ * @param {Object} query
+ * @param {string} [query.event] - Event name or prefix ("auth." matches all auth events)
+ * @param {string} [query.outcome]
+ * @param {string} [query.user] - Actor or target id or email
+ * @param {string} [query.ip]
+ * @param {string} [query.requestId]
+ * @param {string} [query.from] - ISO date, inclusive
+ * @param {string} [query.to] - ISO date, inclusive
+ * @returns {Object}
+ */
+const buildFilter = ({ event, outcome, user, ip, requestId, from, to } = {}) => {
+  const filter = {};
+
+  if (event) {
+    filter.event = { $regex: `^${escapeRegex(String(event))}` };
+  }
+  if (outcome) {
+    filter.outcome = String(outcome);
+  }
+  if (ip) {
+    filter.ip = String(ip);
+  }
+  if (requestId) {
+    filter.requestId = String(requestId);
+  }
+  if (user) {
+    const value = String(user).toLowerCase();
+    filter.$or = [
+      { "actor.id": String(user) },
+      { "actor.email": value },
+      { "target.id": String(user) },
+      { "target.email": value },
+    ];
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+
+  if (fromDate && !Number.isNaN(fromDate.getTime())) {
+    filter.time = { ...filter.time, $gte: fromDate };
+  }
+  if (toDate && !Number.isNaN(toDate.getTime())) {
+    filter.time = { ...filter.time, $lte: toDate };
+  }
+
+  return filter;
+};
+
+/**
+ * Lists audit events, newest first.
+ *
+ * @param {Object} query - Filter options (see buildFilter) plus page and limit
+ * @returns {Promise<{ events: Object[], total: number, page: number, pages: number, limit: number }>}
+ */
+const queryAudit = async ({ page = 1, limit = DEFAULT_PAGE_SIZE, ...query } = {}) => {
+  const filter = buildFilter(query);
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const total = await AuditLog.countDocuments(filter);
+  const pages = Math.max(Math.ceil(total / size), 1);
+  const current = Math.min(Math.max(Number(page) || 1, 1), pages);
+
+  const events = await AuditLog.find(filter)
+    .sort({ time: -1 })
+    .skip((current - 1) * size)
+    .limit(size)
+    .lean();
+
+  return { events, total, page: current, pages, limit: size };
+};
+
+/**
+ * Audit events of one user (as actor or target), newest first.
+ *
+ * @param {string} userId
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+const userAuditTrail = (userId, limit = 20) =>
+  AuditLog.find({ $or: [{ "actor.id": userId }, { "target.id": userId }] })
+    .sort({ time: -1 })
+    .limit(limit)
+    .lean();
+
+// -----------------------------------------------------------------------------
+// Export
+// -----------------------------------------------------------------------------
+
+/**
+ * One CSV field. Text a spreadsheet would read as a formula (user agents,
+ * emails and reasons come from clients) gets a leading quote.
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const pick = (doc, path) => path.split(".").reduce((obj, key) => obj?.[key], doc);
+
+/**
+ * Streams matching events to a writable (usually the response), one
+ * document at a time: reading waits while the writable is full, and stops
+ * if it is closed early.
+ *
+ * @param {Object} query - Filter options (see buildFilter)
+ * @param {"csv"|"json"} format
+ * @param {import("stream").Writable} out
+ * @returns {Promise<void>}
+ */
+const exportAudit = async (query, format, out) => {
+  async function* chunks() {
+    const cursor = AuditLog.find(buildFilter(query)).sort({ time: -1 }).lean().cursor();
+    let first = true;
+
+    yield format === "csv" ? `${CSV_COLUMNS.join(",")}\n` : "[\n";
+
+    for await (const doc of cursor) {
+      if (format === "csv") {
+        yield `${CSV_COLUMNS.map((column) => csvCell(pick(doc, column))).join(",")}\n`;
+      } else {
+        const { _id, ...event } = doc;
+        yield `${first ? "" : ",\n"}${JSON.stringify({ id: _id, ...event })}`;
+      }
+      first = false;
+    }
+
+    if (format !== "csv") {
+      yield "\n]\n";
+    }
+  }
+
+  try {
+    await pipeline(Readable.from(chunks()), out);
+  } catch (error) {
+    // The client went away; nothing is left to answer
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      throw error;
+    }
+  }
+};
+
+export { requestContext, recordAudit, auditRequest, flushAudit, queryAudit, userAuditTrail, exportAudit };
@@ -0,0 +1,165 @@
+import LogInCollection from "../models/users.js";
+import { sanitization } from "../validator/user.validator.js";
+
+/**
+ * External (OpenID Connect) identities linked to user accounts.
+ * A user can have several identities, one per provider account; an
+ * identity belongs to at most one user.
+ */
+
+// -----------------------------------------------------------------------------
+// Errors
+// -----------------------------------------------------------------------------
+
+/**
+ * A login or link that cannot go through. The message is a catalog key
+ * (translated with the provider label as `{provider}`); `reason` is the
+ * short code written to the audit log.
+ */
+export class IdentityError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = "IdentityError";
+    this.reason = reason;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Query matching the user that owns an identity.
+ *
+ * @param {import("../utils/oidc.js").OidcIdentity} identity
+ */
+const ownedBy = ({ provider, subject }) => ({
+  identities: { $elemMatch: { provider, subject } },
+});
+
+/**
+ * Identity as stored on the user.
+ *
+ * @param {import("../utils/oidc.js").OidcIdentity} identity
+ */
+const storedIdentity = ({ provider, subject, email }) => ({
+  provider,
+  subject,
+  email,
+  linkedAt: new Date(),
+});
+
+// -----------------------------------------------------------------------------
+// Login and linking
+// -----------------------------------------------------------------------------
+
+/**
+ * Finds the account for an external login. In order:
+ * 1. the account the identity is linked to;
+ * 2. with MATCH_VERIFIED_EMAIL, the account with the same email, when both
+ *    the provider and the account have verified it (the identity gets
+ *    linked to it);
+ * 3. with AUTO_CREATE, a new password-less account.
+ *
+ * @param {import("../config/oidc.js").OidcProvider} provider
+ * @param {import("../utils/oidc.js").OidcIdentity} identity
+ * @returns {Promise<{ user: Object, linked: boolean, created: boolean }>}
+ * @throws {IdentityError}
+ */
+const resolveOidcLogin = async (provider, identity) => {
+  const linkedUser = await LogInCollection.findOne(ownedBy(identity));
+
+  if (linkedUser) {
+    return { user: linkedUser, linked: false, created: false };
+  }
+
+  const sameEmail = identity.email
+    ? await LogInCollection.findOne({ email: identity.email })
+    : null;
+
+  if (sameEmail) {
+    if (!provider.matchVerifiedEmail || !identity.emailVerified) {
+      throw new IdentityError("oidc.emailExists", "email_exists");
+    }
+
+    // Anyone can sign up with an address they do not own; linking that
+    // account would let its password open the provider user's account
+    if (!sameEmail.emailVerified) {
+      throw new IdentityError("oidc.emailExists", "email_unverified");
+    }
+
+    const user = await linkIdentity(sameEmail.id, identity);
+    return { user, linked: true, created: false };
+  }
+
+  if (!provider.autoCreate) {
+    throw new IdentityError("oidc.notLinked", "not_linked");
+  }
+
+  if (!identity.email) {
+    throw new IdentityError("oidc.noEmail", "no_email");
+  }
+
+  const user = await LogInCollection.create({
+    nama: sanitization({ nama: identity.name || identity.email.split("@")[0] }).nama,
+    email: identity.email,
+    emailVerified: identity.emailVerified,
+    identities: [storedIdentity(identity)],
+  });
+
+  return { user, linked: false, created: true };
+};
+
+/**
+ * Links an identity to a user. Linking an identity the user already has
+ * is a no-op.
+ *
+ * @param {string} userId
+ * @param {import("../utils/oidc.js").OidcIdentity} identity
+ * @returns {Promise<Object>} - Updated user document
+ * @throws {IdentityError} - If another account owns the identity
+ */
+const linkIdentity = async (userId, identity) => {
+  const owner = await LogInCollection.findOne(ownedBy(identity)).select("_id");
+
+  if (owner && String(owner._id) !== String(userId)) {
+    throw new IdentityError("oidc.linkedElsewhere", "linked_elsewhere");
+  }
+
+  if (!owner) {
+    await LogInCollection.updateOne(
+      { _id: userId },
+      { $push: { identities: storedIdentity(identity) } }
+    );
+  }
+
+  return LogInCollection.findById(userId);
+};
+
+/**
+ * Removes a linked identity. The last one cannot be removed from an account
+ * without a password, since the user could not sign in anymore.
+ *
+ * @param {string} userId
+ * @param {string} identityId - Subdocument id
+ * @returns {Promise<Object>} - The removed identity
+ * @throws {IdentityError}
+ */
+const unlinkIdentity = async (userId, identityId) => {
+  const user = await LogInCollection.findById(userId);
+  const identity = user?.identities?.find((item) => String(item._id) === String(identityId));
+
+  if (!identity) {
+    throw new IdentityError("oidc.identityNotFound", "not_found");
+  }
+
+  if (!user.password && user.identities.length === 1 && !user.passkeys?.length) {
+    throw new IdentityError("oidc.lastLoginMethod", "last_login_method");
+  }
+
+  await LogInCollection.updateOne({ _id: user._id }, { $pull: { identities: { _id: identity._id } } });
+
+  return identity;
+};
+
+export { resolveOidcLogin, linkIdentity, unlinkIdentity };
@@ -0,0 +1,181 @@
+import UAParser from "ua-parser-js";
+import RefreshToken from "../models/refresh-tokens.js";
+import UserSession from "../models/user-sessions.js";
+import { logger } from "../logs/pino.js";
+import { revokeSessionRememberTokens, revokeUserRememberTokens } from "../utils/remember-tokens.js";
+import { SESSION_TTL_SECONDS, destroyStoredSession } from "../utils/session-store.js";
+
+/**
+ * Bookkeeping for login sessions, so users and admins can see and revoke them.
+ * The session itself lives in the connect-mongo store; this keeps one
+ * queryable record per session next to it.
+ */
+
+/** Minimum time between two "last seen" updates of the same session */
+export const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Short human-readable device description.
+ *
+ * @param {string} userAgent
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  const { browser, os, device } = new UAParser(userAgent).getResult();
+  const client = [browser.name, browser.major].filter(Boolean).join(" ") || "Unknown browser";
+  const system = [os.name, os.version].filter(Boolean).join(" ");
+  const hardware = [device.vendor, device.model].filter(Boolean).join(" ");
+
+  return [client, system && `on ${system}`, hardware && `(${hardware})`].filter(Boolean).join(" ");
+};
+
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_SECONDS * 1000);
+
+/**
+ * Destroys the given session records and their stored sessions.
+ *
+ * @param {Object[]} records - UserSession documents
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const destroyRecords = async (records) => {
+  for (const record of records) {
+    await destroyStoredSession(record.sid);
+  }
+
+  await UserSession.deleteMany({ _id: { $in: records.map((r) => r._id) } });
+  return records.length;
+};
+
+// -----------------------------------------------------------------------------
+// Tracking
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates or refreshes the record for the current session.
+ *
+ * @param {import("express").Request} req - Request with an authenticated session
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const recordSession = async (req, userId) => {
+  const userAgent = req.get("user-agent") ?? "";
+
+  await UserSession.updateOne(
+    { sid: req.sessionID },
+    {
+      $set: { ip: req.ip, lastSeenAt: new Date(), expiresAt: nextExpiry() },
+      $setOnInsert: { user: userId, userAgent, device: describeDevice(userAgent) },
+    },
+    { upsert: true }
+  );
+};
+
+// -----------------------------------------------------------------------------
+// Queries & revocation
+// -----------------------------------------------------------------------------
+
+/**
+ * Lists a user's active sessions, most recently used first.
+ *
+ * @param {string} userId
+ * @param {string} [currentSid] - Marks the caller's own session
+ * @returns {Promise<Object[]>}
+ */
+const listSessions = async (userId, currentSid) => {
+  const sessions = await UserSession.find({ user: userId }).sort("-lastSeenAt").lean();
+
+  return sessions.map(({ sid, ...session }) => ({ ...session, current: sid === currentSid }));
+};
+
+/**
+ * Revokes one session of a user.
+ *
+ * @param {string} userId
+ * @param {string} sessionId - UserSession record id (not the sid)
+ * @returns {Promise<boolean>} - False when no such session belongs to the user
+ */
+const revokeSession = async (userId, sessionId) => {
+  const record = await UserSession.findOne({ _id: sessionId, user: userId });
+
+  if (!record) {
+    return false;
+  }
+
+  await destroyRecords([record]);
+  await revokeSessionRememberTokens(record.sid);
+  logger.info({ userId, sessionId }, "Session revoked");
+  return true;
+};
+
+/**
+ * Revokes every session of a user except one (usually the caller's),
+ * along with their "Remember me" tokens.
+ *
+ * @param {string} userId
+ * @param {string} [exceptSid] - Session id to keep
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeOtherSessions = async (userId, exceptSid) => {
+  const filter = exceptSid ? { user: userId, sid: { $ne: exceptSid } } : { user: userId };
+  const records = await UserSession.find(filter);
+  const count = await destroyRecords(records);
+
+  // "Remember me" would sign the other devices back in
+  await revokeUserRememberTokens(userId, exceptSid);
+
+  logger.info({ userId, count }, "Other sessions revoked");
+  return count;
+};
+
+/**
+ * Revokes every session of a user.
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = (userId) => revokeOtherSessions(userId, undefined);
+
+/**
+ * Signs a user out everywhere but, optionally, the current session:
+ * browser sessions, their "Remember me" tokens and API refresh tokens.
+ * Used when the password changes or an admin steps in.
+ *
+ * @param {string} userId
+ * @param {string} [exceptSid] - Session id to keep
+ * @returns {Promise<number>} - Number of browser sessions revoked
+ */
+const signOutEverywhere = async (userId, exceptSid) => {
+  const count = await revokeOtherSessions(userId, exceptSid);
+
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return count;
+};
+
+/**
+ * Forgets the record of a session that is ending normally (logout).
+ *
+ * @param {string} sid
+ * @returns {Promise<void>}
+ */
+const forgetSession = async (sid) => {
+  await UserSession.deleteOne({ sid });
+};
+
+export {
+  describeDevice,
+  recordSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+  signOutEverywhere,
+  forgetSession,
+};
@@ -1,23 +1,109 @@
 import bcrypt from "bcrypt";
 import crypto from "crypto";
+import fs from "fs";
+import { config } from "../config/index.js";
+import { logger } from "../logs/pino.js";
+import { passwordHashDuration } from "./metrics.js";
 
 // -----------------------------------------------------------------------------
 // Configuration
 // -----------------------------------------------------------------------------
 
-/** Number of bcrypt salt rounds used for hashing */
-export const SALT_ROUNDS = 10;
+/** Version of the stored hash format written by `encrypt` (see parseHash) */
+export const HASH_FORMAT_VERSION = 2;
+
+/** Algorithm for new hashes: "bcrypt" (default) or "argon2id" */
+export const PASSWORD_HASH_ALGORITHM = config.password.hashAlgorithm;
 
-/** Extra secret (pepper) applied before hashing — must be kept private */
-export const PEPPER = process.env.PASSWORD_PEPPER;
+/** Number of bcrypt salt rounds used for hashing */
+export const SALT_ROUNDS = config.password.bcryptRounds;
 
-if (!PEPPER) {
-  console.warn("[WARN] PASSWORD_PEPPER is not defined. Using weak fallback value!");
-}
+/** Argon2id work factors (defaults follow the OWASP recommendation) */
+export const ARGON2_OPTIONS = config.password.argon2; // memoryCost in KiB
 
 /** HMAC hashing algorithm used to apply pepper */
 export const HASH_ALGORITHM = "sha256";
 
+// -----------------------------------------------------------------------------
+// Pepper keyring
+// -----------------------------------------------------------------------------
+//
+// Peppers are extra secrets applied before hashing and must be kept private.
+// Each one has an id that is stored with the hash, so peppers can be rotated:
+// old hashes keep verifying with their own key and move to the active key on
+// the next successful login. Sources, first match wins:
+//   PASSWORD_PEPPER_FILE  JSON file: { "active": "<id>", "keys": { "<id>": "<secret>" } }
+//   PASSWORD_PEPPERS      "<id>:<secret>,<id>:<secret>" with PASSWORD_PEPPER_ACTIVE=<id>
+// PASSWORD_PEPPER is always loaded as id "legacy": hashes written before key
+// ids existed were made with it.
+
+/** Key id of hashes written before peppers had ids */
+export const LEGACY_PEPPER_ID = "legacy";
+
+/** Value the original code used when PASSWORD_PEPPER was missing */
+const FALLBACK_PEPPER = "fallback-pepper";
+
+const PEPPER_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Loads the keyring from the configuration.
+ *
+ * @returns {{ keys: Record<string, string>, active: string }}
+ */
+const loadPepperKeyring = () => {
+  const { pepper } = config.password;
+  const { isProduction } = config;
+  const keys = {};
+  let active = pepper.active;
+
+  if (pepper.file) {
+    const file = JSON.parse(fs.readFileSync(pepper.file, "utf8"));
+    Object.assign(keys, file.keys);
+    active = file.active ?? active;
+  } else if (pepper.keys) {
+    pepper.keys.split(",").forEach((entry) => {
+      const separator = entry.indexOf(":");
+      keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    });
+  }
+
+  if (pepper.legacy) {
+    keys[LEGACY_PEPPER_ID] ??= pepper.legacy;
+  } else if (isProduction) {
+    if (Object.keys(keys).length === 0) {
+      throw new Error("No password pepper configured. Refusing the fallback pepper in production.");
+    }
+  } else {
+    logger.warn("PASSWORD_PEPPER is not defined. Using weak fallback value for legacy hashes!");
+    keys[LEGACY_PEPPER_ID] ??= FALLBACK_PEPPER;
+  }
+
+  active ??= Object.keys(keys).length === 1 ? Object.keys(keys)[0] : LEGACY_PEPPER_ID;
+
+  Object.entries(keys).forEach(([id, secret]) => {
+    if (!PEPPER_ID_PATTERN.test(id) || !secret) {
+      throw new Error(`Invalid pepper key "${id}": ids use letters, digits, "_", "." or "-" and need a secret.`);
+    }
+    if (isProduction && secret === FALLBACK_PEPPER) {
+      throw new Error("The fallback pepper is not allowed in production.");
+    }
+  });
+
+  if (!keys[active]) {
+    throw new Error(`Active pepper "${active}" is not in the keyring.`);
+  }
+
+  return { keys, active };
+};
+
+const PEPPER_KEYRING = loadPepperKeyring();
+
+/** Id of the pepper used for new hashes */
+export const ACTIVE_PEPPER_ID = PEPPER_KEYRING.active;
+
+/** Ids of all configured peppers */
+export const PEPPER_IDS = Object.keys(PEPPER_KEYRING.keys);
+
 // -----------------------------------------------------------------------------
 // Internal helpers
 // -----------------------------------------------------------------------------
@@ -27,43 +113,140 @@ export const HASH_ALGORITHM = "sha256";
  * This must run before bcrypt hashing.
  *
  * @param {string} password - Plain text password
+ * @param {string} [pepperId] - Keyring id (default: the active pepper)
  * @returns {string} - Peppered password digest
  */
-const addPepper = (password) => {
+const addPepper = (password, pepperId = ACTIVE_PEPPER_ID) => {
   if (!password) {
     throw new Error("Password cannot be empty.");
   }
 
-  return crypto
-    .createHmac(HASH_ALGORITHM, PEPPER || "fallback-pepper")
-    .update(password)
-    .digest("hex");
+  const pepper = PEPPER_KEYRING.keys[pepperId];
+
+  if (!pepper) {
+    throw new Error(`Unknown pepper key "${pepperId}".`);
+  }
+
+  return crypto.createHmac(HASH_ALGORITHM, pepper).update(password).digest("hex");
+};
+
+// -----------------------------------------------------------------------------
+// Stored hash format
+// -----------------------------------------------------------------------------
+//
+// Current hashes are stored as "v2:<pepper id>:<algorithm>:<native hash>", e.g.
+//   v2:2024-06:bcrypt:$2b$12$...
+//   v2:2024-06:argon2id:$argon2id$v=19$m=19456,t=2,p=1$...
+// The native hash carries its own work factors. Older formats still verify:
+//   v1:<algorithm>:<native hash>   (legacy pepper)
+//   <bare bcrypt hash>             (version 0, legacy pepper)
+
+/**
+ * Splits a stored hash into its parts.
+ *
+ * @param {string} stored - Hash as stored on the user
+ * @returns {{ version: number, pepperId: string, algorithm: string, hash: string }}
+ */
+const parseHash = (stored) => {
+  const text = String(stored ?? "");
+  const v2 = /^v2:([A-Za-z0-9_.-]+):([a-z0-9]+):(.+)$/.exec(text);
+
+  if (v2) {
+    return { version: 2, pepperId: v2[1], algorithm: v2[2], hash: v2[3] };
+  }
+
+  const v1 = /^v1:([a-z0-9]+):(.+)$/.exec(text);
+
+  if (v1) {
+    return { version: 1, pepperId: LEGACY_PEPPER_ID, algorithm: v1[1], hash: v1[2] };
+  }
+
+  if (/^\$2[aby]\$/.test(text)) {
+    return { version: 0, pepperId: LEGACY_PEPPER_ID, algorithm: "bcrypt", hash: text };
+  }
+
+  throw new Error("Unrecognized password hash format.");
 };
 
+/**
+ * Builds the stored form of a native hash made with the active pepper.
+ *
+ * @param {string} algorithm
+ * @param {string} hash - Native bcrypt/argon2 hash
+ * @returns {string}
+ */
+const formatHash = (algorithm, hash) =>
+  `v${HASH_FORMAT_VERSION}:${ACTIVE_PEPPER_ID}:${algorithm}:${hash}`;
+
+/** argon2 is a native module; load it only when a hash needs it */
+const loadArgon2 = async () => (await import("argon2")).default;
+
 // -----------------------------------------------------------------------------
 // Hashing
 // -----------------------------------------------------------------------------
 
 /**
- * Hashes a password using pepper + bcrypt (async)
+ * Hashes a password using pepper + the configured algorithm (async)
  *
  * @param {string} password - Plain text password
- * @returns {Promise<string>} - Bcrypt hash
+ * @returns {Promise<string>} - Versioned hash
  */
 const encrypt = async (password) => {
   const pepperedPassword = addPepper(password);
-  return bcrypt.hash(pepperedPassword, SALT_ROUNDS);
+
+  if (PASSWORD_HASH_ALGORITHM === "argon2id") {
+    const argon2 = await loadArgon2();
+    const done = passwordHashDuration.startTimer({ operation: "hash", algorithm: "argon2id" });
+    const hash = await argon2.hash(pepperedPassword, { type: argon2.argon2id, ...ARGON2_OPTIONS });
+    done();
+    return formatHash("argon2id", hash);
+  }
+
+  const done = passwordHashDuration.startTimer({ operation: "hash", algorithm: "bcrypt" });
+  const hash = await bcrypt.hash(pepperedPassword, SALT_ROUNDS);
+  done();
+  return formatHash("bcrypt", hash);
 };
 
 /**
- * Hashes a password using pepper + bcrypt (sync)
+ * Hashes a password using pepper + bcrypt (sync).
+ * Always bcrypt: argon2 has no synchronous API.
  *
  * @param {string} password - Plain text password
- * @returns {string} - Bcrypt hash
+ * @returns {string} - Versioned hash
  */
 const encryptSync = (password) => {
   const pepperedPassword = addPepper(password);
-  return bcrypt.hashSync(pepperedPassword, SALT_ROUNDS);
+  const done = passwordHashDuration.startTimer({ operation: "hash", algorithm: "bcrypt" });
+  const hash = bcrypt.hashSync(pepperedPassword, SALT_ROUNDS);
+  done();
+  return formatHash("bcrypt", hash);
+};
+
+/**
+ * Tells whether a stored hash was made with an older format, another
+ * pepper, another algorithm or other work factors than the current policy.
+ *
+ * @param {string} stored - Hash as stored on the user
+ * @returns {Promise<boolean>}
+ */
+const needsRehash = async (stored) => {
+  const { version, pepperId, algorithm, hash } = parseHash(stored);
+
+  if (
+    version < HASH_FORMAT_VERSION ||
+    pepperId !== ACTIVE_PEPPER_ID ||
+    algorithm !== PASSWORD_HASH_ALGORITHM
+  ) {
+    return true;
+  }
+
+  if (algorithm === "argon2id") {
+    const argon2 = await loadArgon2();
+    return argon2.needsRehash(hash, ARGON2_OPTIONS);
+  }
+
+  return bcrypt.getRounds(hash) !== SALT_ROUNDS;
 };
 
 // -----------------------------------------------------------------------------
@@ -71,27 +254,44 @@ const encryptSync = (password) => {
 // -----------------------------------------------------------------------------
 
 /**
- * Compares a password with a stored hash (async)
+ * Compares a password with a stored hash of any known version (async)
  *
  * @param {string} password - Plain text password to verify
- * @param {string} hash - Stored bcrypt hash
+ * @param {string} stored - Stored hash
  * @returns {Promise<boolean>} - True if match
  */
-const compare = async (password, hash) => {
-  const pepperedPassword = addPepper(password);
-  return bcrypt.compare(pepperedPassword, hash);
+const compare = async (password, stored) => {
+  const { pepperId, algorithm, hash } = parseHash(stored);
+  const pepperedPassword = addPepper(password, pepperId);
+
+  const argon2 = algorithm === "argon2id" ? await loadArgon2() : null;
+  const done = passwordHashDuration.startTimer({ operation: "compare", algorithm });
+  const isMatch = argon2
+    ? await argon2.verify(hash, pepperedPassword)
+    : await bcrypt.compare(pepperedPassword, hash);
+  done();
+  return isMatch;
 };
 
 /**
- * Compares a password with a stored hash (sync)
+ * Compares a password with a stored bcrypt hash (sync)
  *
  * @param {string} password - Plain text password to verify
- * @param {string} hash - Stored bcrypt hash
+ * @param {string} stored - Stored hash
  * @returns {boolean} - True if match
  */
-const compareSync = (password, hash) => {
-  const pepperedPassword = addPepper(password);
-  return bcrypt.compareSync(pepperedPassword, hash);
+const compareSync = (password, stored) => {
+  const { pepperId, algorithm, hash } = parseHash(stored);
+  const pepperedPassword = addPepper(password, pepperId);
+
+  if (algorithm !== "bcrypt") {
+    throw new Error(`compareSync does not support ${algorithm} hashes.`);
+  }
+
+  const done = passwordHashDuration.startTimer({ operation: "compare", algorithm });
+  const isMatch = bcrypt.compareSync(pepperedPassword, hash);
+  done();
+  return isMatch;
 };
 
 // -----------------------------------------------------------------------------
@@ -114,6 +314,21 @@ const generateToken = (length = 32) => {
   return crypto.randomBytes(size).toString("hex");
 };
 
+/**
+ * Hashes a random token for storage (e.g. password reset links).
+ * Tokens are high-entropy, so a fast digest is enough here.
+ *
+ * @param {string} token - Plain token as sent to the user
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+const hashToken = (token) => {
+  if (!token) {
+    throw new Error("Token cannot be empty.");
+  }
+
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
 // -----------------------------------------------------------------------------
 // Exports
 // -----------------------------------------------------------------------------
@@ -123,6 +338,9 @@ export {
   encryptSync,
   compare,
   compareSync,
+  needsRehash,
+  parseHash,
   generateToken,
+  hashToken,
   addPepper,
 };
@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import fs from "fs";
+import { PASSWORD_POLICY } from "../config/password-policy.js";
+import { logger } from "../logs/pino.js";
+
+// -----------------------------------------------------------------------------
+// Offline breached-password list
+// -----------------------------------------------------------------------------
+//
+// The list is a binary file of raw SHA-1 digests (20 bytes each), sorted in
+// ascending byte order, built by `npm run breached-list:build` from a
+// wordlist or a Pwned Passwords SHA-1 dump. A lookup is a binary search with
+// positioned reads, so the file is never loaded into memory and checks work
+// without network access.
+
+/** Size of one record in the list file */
+export const RECORD_SIZE = 20;
+
+let list = null;
+
+/**
+ * Opens the configured list on first use.
+ *
+ * @returns {{ fd: number, records: number } | null} - null when no usable list is configured
+ */
+const openList = () => {
+  if (list !== null || !PASSWORD_POLICY.breachedListFile) {
+    return list || null;
+  }
+
+  try {
+    const fd = fs.openSync(PASSWORD_POLICY.breachedListFile, "r");
+    const { size } = fs.fstatSync(fd);
+
+    if (size % RECORD_SIZE !== 0) {
+      throw new Error(`size ${size} is not a multiple of ${RECORD_SIZE}`);
+    }
+
+    list = { fd, records: size / RECORD_SIZE };
+  } catch (error) {
+    logger.warn({ err: error }, "Breached password list unavailable. Check is disabled.");
+    list = false;
+  }
+
+  return list || null;
+};
+
+/**
+ * Tells whether a password appears in the breached-password list.
+ * Always false when no list is configured.
+ *
+ * @param {string} password - Plain text password
+ * @returns {boolean}
+ */
+const isBreachedPassword = (password) => {
+  const source = openList();
+
+  if (!source) {
+    return false;
+  }
+
+  const digest = crypto.createHash("sha1").update(password).digest();
+  const record = Buffer.alloc(RECORD_SIZE);
+  let low = 0;
+  let high = source.records - 1;
+
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    fs.readSync(source.fd, record, 0, RECORD_SIZE, middle * RECORD_SIZE);
+    const order = Buffer.compare(record, digest);
+
+    if (order === 0) {
+      return true;
+    }
+
+    if (order < 0) {
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return false;
+};
+
+export { isBreachedPassword };
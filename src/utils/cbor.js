@@ -0,0 +1,203 @@
+/**
+ * Minimal CBOR (RFC 8949) decoder for WebAuthn: attestation objects and
+ * COSE keys. Definite-length items only, which is all authenticators send;
+ * maps become `Map`s so integer keys (COSE) keep their type.
+ */
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Reads the argument of an item header.
+ *
+ * @param {Buffer} buffer
+ * @param {number} offset - Just after the initial byte
+ * @param {number} info - Low five bits of the initial byte
+ * @returns {{ value: number, offset: number }}
+ */
+const readArgument = (buffer, offset, info) => {
+  if (info < 24) {
+    return { value: info, offset };
+  }
+
+  switch (info) {
+    case 24:
+      return { value: buffer.readUInt8(offset), offset: offset + 1 };
+    case 25:
+      return { value: buffer.readUInt16BE(offset), offset: offset + 2 };
+    case 26:
+      return { value: buffer.readUInt32BE(offset), offset: offset + 4 };
+    case 27: {
+      const value = buffer.readBigUInt64BE(offset);
+
+      if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error("CBOR integer too large");
+      }
+
+      return { value: Number(value), offset: offset + 8 };
+    }
+    default:
+      throw new Error(`Unsupported CBOR length encoding ${info}`);
+  }
+};
+
+/**
+ * IEEE 754 half precision to a number.
+ *
+ * @param {number} half
+ * @returns {number}
+ */
+const halfToNumber = (half) => {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+
+  if (exponent === 0) {
+    return sign * 2 ** -14 * (fraction / 1024);
+  }
+
+  if (exponent === 0x1f) {
+    return fraction ? NaN : sign * Infinity;
+  }
+
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+};
+
+/**
+ * Checks that `length` bytes are available at `offset`.
+ */
+const ensureAvailable = (buffer, offset, length) => {
+  if (offset + length > buffer.length) {
+    throw new Error("Truncated CBOR data");
+  }
+};
+
+/**
+ * Decodes one item.
+ *
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ value: unknown, offset: number }} - Item and the offset after it
+ */
+const decodeItem = (buffer, offset) => {
+  ensureAvailable(buffer, offset, 1);
+
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    switch (info) {
+      case 20:
+        return { value: false, offset: offset + 1 };
+      case 21:
+        return { value: true, offset: offset + 1 };
+      case 22:
+        return { value: null, offset: offset + 1 };
+      case 23:
+        return { value: undefined, offset: offset + 1 };
+      case 25:
+        ensureAvailable(buffer, offset + 1, 2);
+        return { value: halfToNumber(buffer.readUInt16BE(offset + 1)), offset: offset + 3 };
+      case 26:
+        ensureAvailable(buffer, offset + 1, 4);
+        return { value: buffer.readFloatBE(offset + 1), offset: offset + 5 };
+      case 27:
+        ensureAvailable(buffer, offset + 1, 8);
+        return { value: buffer.readDoubleBE(offset + 1), offset: offset + 9 };
+      default:
+        throw new Error(`Unsupported CBOR simple value ${info}`);
+    }
+  }
+
+  if (info === 31) {
+    throw new Error("Indefinite-length CBOR items are not supported");
+  }
+
+  ensureAvailable(buffer, offset + 1, info < 24 ? 0 : 2 ** (info - 24));
+  const header = readArgument(buffer, offset + 1, info);
+  let next = header.offset;
+
+  switch (major) {
+    case 0:
+      return { value: header.value, offset: next };
+    case 1:
+      return { value: -1 - header.value, offset: next };
+    case 2:
+      ensureAvailable(buffer, next, header.value);
+      return {
+        value: Buffer.from(buffer.subarray(next, next + header.value)),
+        offset: next + header.value,
+      };
+    case 3:
+      ensureAvailable(buffer, next, header.value);
+      return {
+        value: buffer.toString("utf8", next, next + header.value),
+        offset: next + header.value,
+      };
+    case 4: {
+      const items = [];
+
+      for (let i = 0; i < header.value; i += 1) {
+        const item = decodeItem(buffer, next);
+        items.push(item.value);
+        next = item.offset;
+      }
+
+      return { value: items, offset: next };
+    }
+    case 5: {
+      const map = new Map();
+
+      for (let i = 0; i < header.value; i += 1) {
+        const key = decodeItem(buffer, next);
+        const item = decodeItem(buffer, key.offset);
+        map.set(key.value, item.value);
+        next = item.offset;
+      }
+
+      return { value: map, offset: next };
+    }
+    case 6:
+      // Tags carry no meaning for WebAuthn; keep the tagged value
+      return decodeItem(buffer, next);
+    default:
+      throw new Error(`Unsupported CBOR major type ${major}`);
+  }
+};
+
+// -----------------------------------------------------------------------------
+// API
+// -----------------------------------------------------------------------------
+
+/**
+ * Decodes the first item of a buffer, also returning how many bytes it took;
+ * authenticator data puts extensions right after the credential key.
+ *
+ * @param {Buffer} buffer
+ * @param {number} [offset]
+ * @returns {{ value: unknown, length: number }}
+ */
+const decodeFirst = (buffer, offset = 0) => {
+  const item = decodeItem(buffer, offset);
+  return { value: item.value, length: item.offset - offset };
+};
+
+/**
+ * Decodes a buffer holding exactly one item.
+ *
+ * @param {Buffer} buffer
+ * @returns {unknown}
+ */
+const decode = (buffer) => {
+  const { value, length } = decodeFirst(buffer);
+
+  if (length !== buffer.length) {
+    throw new Error("Unexpected data after CBOR item");
+  }
+
+  return value;
+};
+
+export { decode, decodeFirst };
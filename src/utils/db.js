@@ -1,12 +1,6 @@
 import mongoose from "mongoose";
-import "dotenv/config";
-
-const { MONGO_URI } = process.env;
-
-if (!MONGO_URI) {
-  console.error("[ERROR] MONGO_URI is not defined in environment variables.");
-  process.exit(1);
-}
+import { config } from "../config/index.js";
+import { logger } from "../logs/pino.js";
 
 let isConnected = false;
 
@@ -18,31 +12,31 @@ let isConnected = false;
  */
 const connectDB = async () => {
   if (isConnected) {
-    console.log("[INFO] MongoDB already connected.");
+    logger.info("MongoDB already connected.");
     return mongoose;
   }
 
   try {
-    await mongoose.connect(MONGO_URI, {
+    await mongoose.connect(config.mongo.uri, {
       autoIndex: true,
       serverSelectionTimeoutMS: 5000,
     });
 
     isConnected = true;
-    console.log("[SUCCESS] MongoDB connected.");
+    logger.info("MongoDB connected.");
 
     // Event listeners
     mongoose.connection.on("error", (err) =>
-      console.error("[MongoDB Error]:", err)
+      logger.error({ err }, "MongoDB error")
     );
 
     mongoose.connection.on("disconnected", () =>
-      console.warn("[WARN] MongoDB disconnected.")
+      logger.warn("MongoDB disconnected.")
     );
 
     return mongoose;
   } catch (error) {
-    console.error("[ERROR] Failed to connect to MongoDB:", error.message);
+    logger.fatal({ err: error }, "Failed to connect to MongoDB");
     process.exit(1);
   }
 };
@@ -0,0 +1,234 @@
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { logger } from "../logs/pino.js";
+import sessionStore from "./session-store.js";
+import { config } from "../config/index.js";
+
+/**
+ * Liveness and readiness, served by controllers/health.js.
+ *
+ * Liveness only says the process answers. Readiness runs the registered
+ * probes (MongoDB, the session store, disk space for the logs, plus any
+ * added with `registerProbe`), each with a timeout. Results are cached for
+ * HEALTH_CACHE_SECONDS and concurrent checks share one run, so polling the
+ * endpoint cannot turn into load on the dependencies.
+ */
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+const CACHE_MS = config.health.cacheSeconds * 1000;
+const PROBE_TIMEOUT_MS = config.health.probeTimeoutMs;
+const MIN_FREE_DISK_BYTES = config.health.minFreeDiskMb * 1024 * 1024;
+
+/** Directory of the log file, whose free space is checked */
+const LOG_DIR = path.dirname(path.resolve(config.log.file.path));
+
+/**
+ * @typedef {Object} Probe
+ * @property {() => Promise<Object|void>} check - Throws when unhealthy; may return details
+ * @property {number} timeoutMs
+ * @property {boolean} critical - A failure makes the service not ready
+ */
+
+/** @type {Map<string, Probe>} */
+const probes = new Map();
+
+let draining = false;
+const drainListeners = new Set();
+let cached = null; // { at, report }
+let running = null;
+
+// -----------------------------------------------------------------------------
+// Probes
+// -----------------------------------------------------------------------------
+
+/**
+ * Adds a readiness probe. A probe passes when `check` resolves within the
+ * timeout; what it resolves to is shown as the probe's details.
+ *
+ * @example
+ * registerProbe("smtp", () => transporter.verify(), { critical: false });
+ *
+ * @param {string} name
+ * @param {() => Promise<Object|void>} check
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Defaults to HEALTH_PROBE_TIMEOUT_MS
+ * @param {boolean} [options.critical] - Default true; a failing non-critical probe only degrades the report
+ */
+const registerProbe = (name, check, { timeoutMs = PROBE_TIMEOUT_MS, critical = true } = {}) => {
+  probes.set(name, { check, timeoutMs, critical });
+  cached = null;
+};
+
+registerProbe("mongodb", async () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error("not connected");
+  }
+
+  await mongoose.connection.db.admin().ping();
+});
+
+// The store has its own client; an unknown id is one round trip
+registerProbe("sessionStore", () =>
+  new Promise((resolve, reject) => {
+    sessionStore.get("health-probe", (err) => (err ? reject(err) : resolve()));
+  })
+);
+
+// Logs can no longer be written, but requests are still served
+registerProbe(
+  "disk",
+  async () => {
+    let dir = LOG_DIR;
+
+    // Not created yet: measure the nearest existing parent
+    while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+      dir = path.dirname(dir);
+    }
+
+    const stats = await fs.promises.statfs(dir);
+    const freeBytes = stats.bavail * stats.bsize;
+
+    if (freeBytes < MIN_FREE_DISK_BYTES) {
+      throw new Error(`${Math.floor(freeBytes / 1024 / 1024)} MB free, ${config.health.minFreeDiskMb} MB needed`);
+    }
+
+    return { freeMb: Math.floor(freeBytes / 1024 / 1024) };
+  },
+  { critical: false }
+);
+
+// -----------------------------------------------------------------------------
+// Running
+// -----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} ProbeResult
+ * @property {"up"|"down"} status
+ * @property {boolean} critical
+ * @property {number} latencyMs
+ * @property {string} [error]
+ * @property {Object} [details]
+ */
+
+const elapsedMs = (started) => Number((process.hrtime.bigint() - started) / 1000n) / 1000;
+
+/**
+ * Runs one probe against its timeout.
+ *
+ * @param {string} name
+ * @param {Probe} probe
+ * @returns {Promise<ProbeResult>}
+ */
+const runProbe = async (name, { check, timeoutMs, critical }) => {
+  const started = process.hrtime.bigint();
+  let timer;
+
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs} ms`)), timeoutMs);
+      }),
+    ]);
+
+    return { status: "up", critical, latencyMs: elapsedMs(started), ...(details && { details }) };
+  } catch (error) {
+    logger.warn({ err: error, probe: name }, "Readiness probe failed");
+    return { status: "down", critical, latencyMs: elapsedMs(started), error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * @typedef {Object} ReadinessReport
+ * @property {"UP"|"DEGRADED"|"DOWN"|"DRAINING"} status
+ * @property {boolean} ready
+ * @property {string} checkedAt - ISO time the probes ran
+ * @property {Object<string, ProbeResult>} checks
+ */
+
+/**
+ * Runs every probe in parallel.
+ *
+ * @returns {Promise<ReadinessReport>}
+ */
+const runProbes = async () => {
+  const entries = await Promise.all(
+    [...probes].map(async ([name, probe]) => [name, await runProbe(name, probe)])
+  );
+  const checks = Object.fromEntries(entries);
+  const failed = Object.values(checks).filter((check) => check.status === "down");
+  const ready = failed.every((check) => !check.critical);
+
+  return {
+    status: !ready ? "DOWN" : failed.length > 0 ? "DEGRADED" : "UP",
+    ready,
+    checkedAt: new Date().toISOString(),
+    checks,
+  };
+};
+
+/**
+ * The readiness report, from the cache while it is fresh. Not ready, with
+ * no probe run, once the process is draining.
+ *
+ * @returns {Promise<ReadinessReport>}
+ */
+const checkReadiness = async () => {
+  if (draining) {
+    return { status: "DRAINING", ready: false, checkedAt: new Date().toISOString(), checks: {} };
+  }
+
+  if (cached && Date.now() - cached.at < CACHE_MS) {
+    return cached.report;
+  }
+
+  running ??= runProbes()
+    .then((report) => {
+      cached = { at: Date.now(), report };
+      return report;
+    })
+    .finally(() => {
+      running = null;
+    });
+
+  return running;
+};
+
+/**
+ * Makes readiness fail from now on, so load balancers stop sending
+ * traffic while open connections finish, and ends long-lived responses
+ * registered with `onDrain`. Called on SIGTERM.
+ */
+const startDraining = () => {
+  draining = true;
+  drainListeners.forEach((listener) => listener());
+  drainListeners.clear();
+};
+
+const isDraining = () => draining;
+
+/**
+ * Runs `listener` once draining starts, right away if it already has.
+ * For responses that would otherwise keep the server from closing, such
+ * as event streams.
+ *
+ * @param {() => void} listener
+ * @returns {() => void} - Removes the listener
+ */
+const onDrain = (listener) => {
+  if (draining) {
+    listener();
+  } else {
+    drainListeners.add(listener);
+  }
+
+  return () => drainListeners.delete(listener);
+};
+
+export { registerProbe, checkReadiness, startDraining, isDraining, onDrain };
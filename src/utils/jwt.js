@@ -0,0 +1,51 @@
+import jwt from "jsonwebtoken";
+import { config } from "../config/index.js";
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+/** Lifetime of an access token, in seconds */
+export const ACCESS_TOKEN_TTL = config.jwt.accessTtl;
+
+/** Issuer claim set on and required from every access token */
+export const JWT_ISSUER = config.jwt.issuer;
+
+/** Signing algorithm for access tokens */
+export const JWT_ALGORITHM = "HS256";
+
+/** Secret used to sign access tokens — must be kept private */
+const JWT_SECRET = config.jwt.secret;
+
+// -----------------------------------------------------------------------------
+// Access tokens
+// -----------------------------------------------------------------------------
+
+/**
+ * Signs a short-lived access token for a user.
+ *
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user) =>
+  jwt.sign({ email: user.email, nama: user.nama, role: user.role }, JWT_SECRET, {
+    algorithm: JWT_ALGORITHM,
+    expiresIn: ACCESS_TOKEN_TTL,
+    issuer: JWT_ISSUER,
+    subject: String(user.id),
+  });
+
+/**
+ * Verifies an access token and returns its claims.
+ * Throws when the token is invalid or expired.
+ *
+ * @param {string} token - Signed JWT
+ * @returns {Object} - Decoded claims
+ */
+const verifyAccessToken = (token) =>
+  jwt.verify(token, JWT_SECRET, {
+    algorithms: [JWT_ALGORITHM],
+    issuer: JWT_ISSUER,
+  });
+
+export { signAccessToken, verifyAccessToken };
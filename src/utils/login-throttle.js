@@ -0,0 +1,216 @@
+import LoginAttempt from "../models/login-attempts.js";
+import { logger } from "../logs/pino.js";
+import { auditRequest } from "../services/audit.js";
+import { config } from "../config/index.js";
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+/** Failed attempts for one email before it is locked */
+export const MAX_FAILURES_PER_ACCOUNT = config.loginThrottle.maxFailuresPerAccount;
+
+/** Failed attempts from one IP before it is locked (covers many emails) */
+export const MAX_FAILURES_PER_IP = config.loginThrottle.maxFailuresPerIp;
+
+/** How long a lockout lasts, in minutes */
+export const LOCKOUT_MINUTES = config.loginThrottle.lockoutMinutes;
+
+/** Failures older than this window are forgotten, in minutes */
+export const FAILURE_WINDOW_MINUTES = config.loginThrottle.failureWindowMinutes;
+
+/** First delay after a failure; doubles with each further failure */
+export const DELAY_BASE_MS = config.loginThrottle.delayBaseMs;
+
+/** Upper bound for the progressive delay */
+export const DELAY_MAX_MS = config.loginThrottle.delayMaxMs;
+
+// -----------------------------------------------------------------------------
+// Internal helpers
+// -----------------------------------------------------------------------------
+
+const minutes = (count) => count * 60 * 1000;
+
+/**
+ * Builds the counter keys for an attempt.
+ *
+ * @param {string} email - Email as typed (lowercased here)
+ * @param {string} ip - Client IP
+ * @returns {{ key: string, limit: number }[]}
+ */
+const keysFor = (email, ip) => [
+  { key: `email:${String(email ?? "").trim().toLowerCase()}`, limit: MAX_FAILURES_PER_ACCOUNT },
+  { key: `ip:${ip}`, limit: MAX_FAILURES_PER_IP },
+];
+
+/**
+ * Delay applied after the n-th consecutive failure.
+ *
+ * @param {number} failures
+ * @returns {number} - Milliseconds
+ */
+const delayFor = (failures) =>
+  failures > 0 ? Math.min(DELAY_BASE_MS * 2 ** (failures - 1), DELAY_MAX_MS) : 0;
+
+/**
+ * Gives back the attempt counted by `beginAttempt` for the given keys.
+ *
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+const uncount = async (keys) => {
+  await LoginAttempt.updateMany({ key: { $in: keys }, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+};
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * Counts an attempt for the email and the IP, before the password is
+ * compared, and tells whether it may go ahead. The count is one atomic
+ * `$inc`, so concurrent guesses each get their own number and those past
+ * the limit are refused even before the first of them fails.
+ *
+ * Refused while a key is locked out, while the progressive delay of its
+ * last failure runs, or when it is over its limit; the attempt is then not
+ * counted. Works the same for unknown emails, so it reveals nothing about
+ * accounts.
+ *
+ * Every allowed attempt ends with `recordLoginFailure`, `releaseAttempt`
+ * or `clearFailures`.
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<{ locked: boolean, retryAfterMs: number }>}
+ */
+const beginAttempt = async (email, ip) => {
+  const now = Date.now();
+  const keys = keysFor(email, ip);
+  let retryAfterMs = 0;
+
+  for (const { key, limit } of keys) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $max: { expiresAt: new Date(now + minutes(FAILURE_WINDOW_MINUTES)) },
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    retryAfterMs = Math.max(
+      retryAfterMs,
+      (attempt.lockedUntil?.getTime() ?? 0) - now,
+      (attempt.retryAt?.getTime() ?? 0) - now,
+      attempt.failures > limit ? delayFor(attempt.failures) : 0
+    );
+  }
+
+  if (retryAfterMs > 0) {
+    await uncount(keys.map(({ key }) => key));
+    return { locked: true, retryAfterMs };
+  }
+
+  return { locked: false, retryAfterMs: 0 };
+};
+
+/**
+ * Turns the attempt counted by `beginAttempt` into a failure: locks any key
+ * that reached its limit, otherwise sets the progressive delay before the
+ * next attempt is allowed.
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<{ lockedKeys: string[] }>} - Keys locked by this failure
+ */
+const registerFailure = async (email, ip) => {
+  const now = Date.now();
+  const lockedKeys = [];
+
+  for (const { key, limit } of keysFor(email, ip)) {
+    const attempt = await LoginAttempt.findOne({ key }).lean();
+
+    if (!attempt) {
+      continue;
+    }
+
+    if (attempt.failures >= limit) {
+      const lockedUntil = new Date(now + minutes(LOCKOUT_MINUTES));
+
+      // Start from a clean count once the lock lifts
+      await LoginAttempt.updateOne(
+        { key },
+        {
+          $set: {
+            failures: 0,
+            lockedUntil,
+            expiresAt: new Date(lockedUntil.getTime() + minutes(FAILURE_WINDOW_MINUTES)),
+          },
+          $unset: { retryAt: 1 },
+        }
+      );
+
+      logger.warn({ key, lockedUntil }, "Login locked out");
+      lockedKeys.push(key);
+    } else {
+      await LoginAttempt.updateOne({ key }, { $set: { retryAt: new Date(now + delayFor(attempt.failures)) } });
+    }
+  }
+
+  return { lockedKeys };
+};
+
+/**
+ * Counts a failed login and writes it, and any lockout it caused,
+ * to the audit log.
+ *
+ * @param {import("express").Request} req
+ * @param {string} email - Email as typed
+ * @param {string} reason - e.g. "unknown_email", "wrong_password", "invalid_code"
+ * @param {string} [event] - Audit event, for password checks outside login
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (req, email, reason, event = "auth.login") => {
+  const target = { email: String(email ?? "").trim().toLowerCase() };
+
+  auditRequest(req, event, { outcome: "failure", reason, target });
+
+  const { lockedKeys } = await registerFailure(email, req.ip);
+
+  if (lockedKeys.length > 0) {
+    auditRequest(req, "auth.lockout", {
+      target,
+      details: { keys: lockedKeys, minutes: LOCKOUT_MINUTES },
+    });
+  }
+};
+
+/**
+ * Gives back an attempt that did not fail, e.g. a right password before
+ * the second factor is asked for.
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<void>}
+ */
+const releaseAttempt = async (email, ip) => {
+  await uncount(keysFor(email, ip).map(({ key }) => key));
+};
+
+/**
+ * Forgets failed attempts for an email after a successful login. The IP
+ * only gets this attempt back, so one valid account cannot reset it.
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<void>}
+ */
+const clearFailures = async (email, ip) => {
+  const [{ key }, { key: ipKey }] = keysFor(email, ip);
+
+  await LoginAttempt.deleteOne({ key, lockedUntil: { $not: { $gt: new Date() } } });
+  await uncount([ipKey]);
+};
+
+export { beginAttempt, registerFailure, recordLoginFailure, releaseAttempt, clearFailures };
@@ -0,0 +1,97 @@
+import nodemailer from "nodemailer";
+import ejs from "ejs";
+import path from "path";
+import url from "url";
+import { logger } from "../logs/pino.js";
+import { DEFAULT_LOCALE, pickLocale, translator } from "../i18n/index.js";
+import { config } from "../config/index.js";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+/** Directory holding the EJS email templates */
+const TEMPLATE_DIR = path.join(__dirname, "../views/emails");
+
+const { smtp } = config.mail;
+
+// -----------------------------------------------------------------------------
+// Transport
+// -----------------------------------------------------------------------------
+
+/**
+ * Without SMTP settings, messages are rendered and dropped, so the flows
+ * still work on a development machine. Only the recipient and subject are
+ * logged: the template data carries live reset and verification links.
+ */
+const transporter = smtp.host
+  ? nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.port === 465,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    })
+  : nodemailer.createTransport({ jsonTransport: true });
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Builds an absolute URL for links sent by email.
+ * Uses APP_URL when set, otherwise the host of the current request.
+ *
+ * @param {import("express").Request} req - Current request
+ * @param {string} pathname - Path starting with "/"
+ * @returns {string} - Absolute URL
+ */
+const absoluteUrl = (req, pathname) => {
+  const base = config.app.url || `${req.protocol}://${req.get("host")}`;
+  return new URL(pathname, base).toString();
+};
+
+/**
+ * Language of an email: the user's preference, else the language of the
+ * request that triggered it.
+ *
+ * @param {import("express").Request} req
+ * @param {{ locale?: string }} [user]
+ * @returns {string}
+ */
+const mailLocale = (req, user) => pickLocale(user?.locale, req?.locale, DEFAULT_LOCALE);
+
+/**
+ * Renders an email template and sends it.
+ * Templates get `t` and `locale`; the subject is a catalog key.
+ *
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Catalog key of the subject line
+ * @param {string} options.template - Template name inside views/emails
+ * @param {Object} [options.data] - Template variables
+ * @param {string} [options.locale] - Language (default: DEFAULT_LOCALE)
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject: subjectKey, template, data = {}, locale = DEFAULT_LOCALE }) => {
+  const t = translator(locale);
+  const subject = t(subjectKey);
+  const html = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.ejs`), {
+    subject,
+    t,
+    locale,
+    ...data,
+  });
+
+  const info = await transporter.sendMail({
+    from: config.mail.from,
+    to,
+    subject,
+    html,
+  });
+
+  if (!smtp.host) {
+    logger.info({ to, subject }, "SMTP not configured, email not delivered");
+  } else {
+    logger.info({ to, subject, messageId: info.messageId }, "Email sent");
+  }
+};
+
+export { sendMail, absoluteUrl, mailLocale };
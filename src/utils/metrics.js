@@ -0,0 +1,180 @@
+import client from "prom-client";
+import mongoose from "mongoose";
+import UserSession from "../models/user-sessions.js";
+import { config } from "../config/index.js";
+
+/**
+ * Prometheus metrics, served on METRICS_PATH by middleware/metrics.js.
+ *
+ * Built-in metrics come in groups that METRICS_COLLECT turns on or off:
+ *   http      Requests and latency by route template and status
+ *   auth      Logins by outcome and reason, signups, lockouts
+ *   password  Hash and compare durations (utils/bcript.js)
+ *   sessions  Active login sessions
+ *   mongo     MongoDB connection state
+ *   process   Node.js process metrics from prom-client
+ * Other modules add their own with `defineMetric`.
+ */
+
+// -----------------------------------------------------------------------------
+// Registry
+// -----------------------------------------------------------------------------
+
+export const registry = new client.Registry();
+
+const PREFIX = config.metrics.prefix;
+
+const TYPES = {
+  counter: client.Counter,
+  gauge: client.Gauge,
+  histogram: client.Histogram,
+  summary: client.Summary,
+};
+
+/**
+ * Creates a metric, exported with the others unless its group is left out
+ * of METRICS_COLLECT. The name gets METRICS_PREFIX.
+ *
+ * @example
+ * const exports = defineMetric("counter", {
+ *   name: "report_exports_total",
+ *   help: "Reports exported",
+ *   labelNames: ["format"],
+ * });
+ * exports.inc({ format: "csv" });
+ *
+ * @param {"counter"|"gauge"|"histogram"|"summary"} type
+ * @param {Object} options - prom-client options: name, help, labelNames, buckets, collect...
+ * @param {string} [group] - Built-in group; metrics without one are always exported
+ * @returns {client.Counter|client.Gauge|client.Histogram|client.Summary}
+ */
+export const defineMetric = (type, { name, ...options }, group) =>
+  new TYPES[type]({
+    name: `${PREFIX}${name}`,
+    ...options,
+    registers: !group || config.metrics.collect.includes(group) ? [registry] : [],
+  });
+
+if (config.metrics.enabled && config.metrics.collect.includes("process")) {
+  client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+}
+
+// -----------------------------------------------------------------------------
+// HTTP
+// -----------------------------------------------------------------------------
+
+export const httpRequests = defineMetric(
+  "counter",
+  {
+    name: "http_requests_total",
+    help: "HTTP requests by method, route template and status",
+    labelNames: ["method", "route", "status"],
+  },
+  "http"
+);
+
+export const httpRequestDuration = defineMetric(
+  "histogram",
+  {
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency by method, route template and status",
+    labelNames: ["method", "route", "status"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  },
+  "http"
+);
+
+// -----------------------------------------------------------------------------
+// Authentication
+// -----------------------------------------------------------------------------
+
+export const logins = defineMetric(
+  "counter",
+  {
+    name: "auth_logins_total",
+    help: "Login attempts by outcome and failure reason (unknown_email, wrong_password, validation_error, locked...)",
+    labelNames: ["outcome", "reason"],
+  },
+  "auth"
+);
+
+export const signups = defineMetric(
+  "counter",
+  {
+    name: "auth_signups_total",
+    help: "Accounts created, by method",
+    labelNames: ["method"],
+  },
+  "auth"
+);
+
+export const lockouts = defineMetric(
+  "counter",
+  {
+    name: "auth_lockouts_total",
+    help: "Accounts or addresses locked out after repeated login failures",
+  },
+  "auth"
+);
+
+/**
+ * Counts the authentication events among audit events; called by
+ * services/audit.js for every event, so each login path is covered.
+ *
+ * @param {{ event: string, outcome?: string, reason?: string, details?: Object }} entry
+ */
+export const observeAuditEvent = ({ event, outcome = "success", reason, details }) => {
+  if (event === "auth.login") {
+    logins.inc({ outcome, reason: reason ?? "" });
+  } else if (event === "auth.signup" && outcome === "success") {
+    signups.inc({ method: details?.method ?? "password" });
+  } else if (event === "auth.lockout") {
+    lockouts.inc();
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Password hashing
+// -----------------------------------------------------------------------------
+
+export const passwordHashDuration = defineMetric(
+  "histogram",
+  {
+    name: "password_hash_duration_seconds",
+    help: "Time spent hashing and comparing passwords, by operation and algorithm",
+    labelNames: ["operation", "algorithm"],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  },
+  "password"
+);
+
+// -----------------------------------------------------------------------------
+// State, read on each scrape
+// -----------------------------------------------------------------------------
+
+defineMetric(
+  "gauge",
+  {
+    name: "auth_active_sessions",
+    help: "Login sessions that have not expired",
+    async collect() {
+      // Skipped while disconnected: the query would wait for a reconnect
+      if (mongoose.connection.readyState === 1) {
+        this.set(await UserSession.countDocuments({ expiresAt: { $gt: new Date() } }));
+      }
+    },
+  },
+  "sessions"
+);
+
+defineMetric(
+  "gauge",
+  {
+    name: "mongodb_connection_state",
+    help: "Mongoose connection state: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting",
+    collect() {
+      this.set(mongoose.connection.readyState);
+    },
+  },
+  "mongo"
+);
@@ -0,0 +1,134 @@
+import passport from "passport";
+import { Issuer, Strategy, generators } from "openid-client";
+import { absoluteUrl } from "./mailer.js";
+
+// -----------------------------------------------------------------------------
+// OpenID Connect strategies
+// -----------------------------------------------------------------------------
+//
+// One passport strategy per configured provider, named "oidc:<id>". The
+// provider is discovered from its issuer URL on first use, so the app starts
+// even while an identity provider is down. The strategy runs the
+// authorization code flow with PKCE (S256); state, nonce and the code
+// verifier are kept in the session between the redirect and the callback
+// and checked by openid-client.
+
+/** @type {Map<string, Promise<string>>} provider id → registered strategy name */
+const strategies = new Map();
+
+/**
+ * Claims the app uses from an ID token / userinfo response.
+ *
+ * @typedef {Object} OidcIdentity
+ * @property {string} provider - Provider id
+ * @property {string} subject - `sub` claim, stable per provider
+ * @property {string} [email]
+ * @property {boolean} emailVerified
+ * @property {string} [name]
+ */
+
+/**
+ * Discovers the provider and registers its strategy.
+ *
+ * @param {import("../config/oidc.js").OidcProvider} provider
+ * @param {string} redirectUri
+ * @returns {Promise<string>} - Strategy name
+ */
+const registerStrategy = async (provider, redirectUri) => {
+  const issuer = await Issuer.discover(provider.issuer);
+  const client = new issuer.Client({
+    client_id: provider.clientId,
+    client_secret: provider.clientSecret,
+    redirect_uris: [redirectUri],
+    response_types: ["code"],
+    token_endpoint_auth_method: provider.clientSecret ? "client_secret_basic" : "none",
+  });
+
+  const name = `oidc:${provider.id}`;
+
+  passport.use(
+    name,
+    new Strategy(
+      {
+        client,
+        params: { scope: provider.scope },
+        usePKCE: "S256",
+        sessionKey: name,
+      },
+      (tokenSet, userinfo, done) => {
+        const claims = { ...userinfo, ...tokenSet.claims() };
+
+        done(null, {
+          provider: provider.id,
+          subject: claims.sub,
+          email: claims.email?.toLowerCase(),
+          emailVerified: claims.email_verified === true || claims.email_verified === "true",
+          name: claims.name || claims.preferred_username,
+        });
+      }
+    )
+  );
+
+  return name;
+};
+
+/**
+ * Returns the strategy name for a provider, registering it on first use.
+ * A failed discovery is not cached, so the next request tries again.
+ *
+ * @param {import("express").Request} req - Used for the callback URL when APP_URL is unset
+ * @param {import("../config/oidc.js").OidcProvider} provider
+ * @returns {Promise<string>}
+ */
+const strategyFor = (req, provider) => {
+  if (!strategies.has(provider.id)) {
+    const redirectUri = absoluteUrl(req, `/auth/oidc/${provider.id}/callback`);
+    const pending = registerStrategy(provider, redirectUri);
+
+    pending.catch(() => strategies.delete(provider.id));
+    strategies.set(provider.id, pending);
+  }
+
+  return strategies.get(provider.id);
+};
+
+/**
+ * Redirects to the provider's authorization endpoint.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ * @param {import("../config/oidc.js").OidcProvider} provider
+ * @returns {Promise<void>}
+ */
+const startOidc = async (req, res, next, provider) => {
+  const name = await strategyFor(req, provider);
+  passport.authenticate(name, { nonce: generators.nonce() })(req, res, next);
+};
+
+/**
+ * Checks the provider's response on the callback URL and exchanges the code.
+ * Must only be called with an authorization response (`code` or `error`),
+ * otherwise the strategy starts a new login instead of settling.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("../config/oidc.js").OidcProvider} provider
+ * @returns {Promise<OidcIdentity|null>} - null when the provider refused or a check failed
+ */
+const finishOidc = async (req, res, provider) => {
+  const name = await strategyFor(req, provider);
+
+  // No login started by this session (replayed or forged callback)
+  if (!req.session?.[name]) {
+    return null;
+  }
+
+  return new Promise((resolve, reject) => {
+    passport.authenticate(name, (err, identity) =>
+      err ? reject(err) : resolve(identity || null)
+    )(req, res, reject);
+  });
+};
+
+export { startOidc, finishOidc };
@@ -0,0 +1,28 @@
+import { RESET_TOKEN_TTL_MINUTES } from "../models/users.js";
+import { absoluteUrl, mailLocale, sendMail } from "./mailer.js";
+
+/**
+ * Issues a fresh password reset token and emails the link.
+ *
+ * @param {import("express").Request} req - Current request (used for the link host)
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (req, user) => {
+  const token = user.createPasswordResetToken();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: "emails.resetPassword.subject",
+    template: "reset-password",
+    data: {
+      nama: user.nama,
+      link: absoluteUrl(req, `/reset-password/${token}`),
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+    },
+    locale: mailLocale(req, user),
+  });
+};
+
+export { sendPasswordResetEmail };
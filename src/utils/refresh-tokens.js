@@ -0,0 +1,105 @@
+import RefreshToken from "../models/refresh-tokens.js";
+import { logger } from "../logs/pino.js";
+import { generateToken, hashToken } from "./bcript.js";
+import { config } from "../config/index.js";
+
+/** Lifetime of a refresh token, in days */
+export const REFRESH_TOKEN_TTL_DAYS = config.jwt.refreshTtlDays;
+
+/**
+ * Issues a new refresh token and stores its hash.
+ *
+ * @param {Object} user - User document
+ * @param {import("express").Request} req - Current request (IP and user agent)
+ * @param {string} [family] - Family to continue; a new one is started when omitted
+ * @returns {Promise<{ token: string, tokenHash: string }>}
+ */
+const issueRefreshToken = async (user, req, family = generateToken(16)) => {
+  const token = generateToken();
+  const tokenHash = hashToken(token);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash,
+    family,
+    createdByIp: req.ip,
+    userAgent: req.get("user-agent"),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return { token, tokenHash };
+};
+
+/**
+ * Revokes every token of a family (one login and all its rotations).
+ *
+ * @param {string} family
+ * @returns {Promise<void>}
+ */
+const revokeFamily = async (family) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Exchanges a refresh token for a new one.
+ * Presenting a token that was already rotated or revoked means it leaked:
+ * the whole family is revoked so neither party can keep using it.
+ *
+ * @param {string} token - Refresh token sent by the client
+ * @param {import("express").Request} req - Current request
+ * @returns {Promise<{ userId: string, token: string }|{ reused: true }|null>}
+ */
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+  const stored = await RefreshToken.findOne({ tokenHash });
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (stored.revokedAt || stored.replacedBy) {
+    await revokeFamily(stored.family);
+    logger.warn(
+      { userId: String(stored.user), family: stored.family, ip: req.ip },
+      "Refresh token reuse detected, family revoked"
+    );
+    return { reused: true };
+  }
+
+  const next = await issueRefreshToken({ _id: stored.user }, req, stored.family);
+
+  // Only one concurrent rotation may win; the loser counts as reuse
+  const result = await RefreshToken.updateOne(
+    { _id: stored._id, replacedBy: { $exists: false }, revokedAt: { $exists: false } },
+    { $set: { replacedBy: next.tokenHash, revokedAt: new Date() } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    await revokeFamily(stored.family);
+    return { reused: true };
+  }
+
+  return { userId: String(stored.user), token: next.token };
+};
+
+/**
+ * Revokes the family of a refresh token (logout).
+ *
+ * @param {string} token - Refresh token sent by the client
+ * @returns {Promise<boolean>} - False when the token is unknown
+ */
+const revokeRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!stored) {
+    return false;
+  }
+
+  await revokeFamily(stored.family);
+  return true;
+};
+
+export { issueRefreshToken, rotateRefreshToken, revokeRefreshToken, revokeFamily };
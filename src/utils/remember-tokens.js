@@ -0,0 +1,255 @@
+import crypto from "crypto";
+import RememberToken from "../models/remember-tokens.js";
+import { logger } from "../logs/pino.js";
+import { generateToken, hashToken } from "./bcript.js";
+import { config } from "../config/index.js";
+
+/**
+ * "Remember me" logins: a long-lived cookie that restores the session once
+ * it has ended.
+ *
+ * The cookie holds `selector.validator`. The selector finds the stored
+ * token; only a hash of the validator is stored, so a copy of the database
+ * cannot be turned into cookies. Every use exchanges the token for a new one
+ * in the same family. A token presented again after that means two parties
+ * hold it: the family is revoked and flagged.
+ */
+
+/** Lifetime of a token, in days; every rotation starts it again */
+export const REMEMBER_ME_DAYS = config.rememberMe.days;
+
+/** A rotated token still shows up on requests racing the rotation; not theft */
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Splits a cookie value into selector and validator.
+ *
+ * @param {unknown} value
+ * @returns {{ selector: string, validator: string }|null}
+ */
+const parseToken = (value) => {
+  const [selector, validator, ...rest] = String(value ?? "").split(".");
+  return selector && validator && rest.length === 0 ? { selector, validator } : null;
+};
+
+/**
+ * Finds the stored token whose selector and validator both match.
+ *
+ * @param {unknown} value - Cookie value
+ * @returns {Promise<Object|null>}
+ */
+const findToken = async (value) => {
+  const parsed = parseToken(value);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const stored = await RememberToken.findOne({ selector: parsed.selector });
+
+  if (!stored) {
+    return null;
+  }
+
+  const expected = Buffer.from(stored.validatorHash);
+  const actual = Buffer.from(hashToken(parsed.validator));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+    ? stored
+    : null;
+};
+
+/**
+ * Revokes the tokens of the given families.
+ *
+ * @param {string[]} families
+ * @returns {Promise<void>}
+ */
+const revokeFamilies = async (families) => {
+  if (families.length === 0) {
+    return;
+  }
+
+  await RememberToken.updateMany(
+    { family: { $in: families }, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// -----------------------------------------------------------------------------
+// Cookie
+// -----------------------------------------------------------------------------
+
+/**
+ * @param {import("express").Response} res
+ * @param {string} value - `selector.validator`
+ */
+const setRememberCookie = (res, value) =>
+  res.cookie(config.rememberMe.cookieName, value, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: config.isProduction,
+    maxAge: REMEMBER_ME_DAYS * 24 * 60 * 60 * 1000,
+  });
+
+/**
+ * @param {import("express").Response} res
+ */
+const clearRememberCookie = (res) =>
+  res.clearCookie(config.rememberMe.cookieName, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: config.isProduction,
+  });
+
+/**
+ * The "Remember me" cookie of the request, if any.
+ *
+ * @param {import("express").Request} req
+ * @returns {string|undefined}
+ */
+const rememberCookieOf = (req) => req.cookies?.[config.rememberMe.cookieName];
+
+// -----------------------------------------------------------------------------
+// Tokens
+// -----------------------------------------------------------------------------
+
+/**
+ * Issues a token for the current session and sets the cookie.
+ * Call after the session has been created: the token is bound to its id.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Object} user - User document
+ * @param {string} [family] - Family to continue; a new one is started when omitted
+ * @returns {Promise<void>}
+ */
+const rememberUser = async (req, res, user, family = generateToken(16)) => {
+  const selector = generateToken(12);
+  const validator = generateToken();
+
+  await RememberToken.create({
+    user: user._id,
+    selector,
+    validatorHash: hashToken(validator),
+    family,
+    sid: req.sessionID,
+    createdByIp: req.ip,
+    userAgent: req.get("user-agent"),
+    expiresAt: new Date(Date.now() + REMEMBER_ME_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  setRememberCookie(res, `${selector}.${validator}`);
+};
+
+/**
+ * Uses up a token to restore a session. On success the caller creates the
+ * session, then continues the family with `rememberUser`.
+ *
+ * - `{ userId, family }`: valid; the token is now rotated.
+ * - `{ stale: true }`: rotated a moment ago by a parallel request; ignore it
+ *   and leave the cookie alone, the other response sets the new one.
+ * - `{ theft: true, userId }`: a rotated token came back; the family is
+ *   revoked and flagged.
+ * - `null`: unknown, expired or revoked.
+ *
+ * @param {string} value - Cookie value
+ * @param {import("express").Request} req
+ * @returns {Promise<{ userId: string, family: string }|{ stale: true }|{ theft: true, userId: string }|null>}
+ */
+const consumeRememberToken = async (value, req) => {
+  const stored = await findToken(value);
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (stored.rotatedAt) {
+    if (Date.now() - stored.rotatedAt.getTime() < ROTATION_GRACE_MS) {
+      return { stale: true };
+    }
+
+    await RememberToken.updateMany({ family: stored.family }, { $set: { theftDetectedAt: new Date() } });
+    await revokeFamilies([stored.family]);
+    logger.warn(
+      { userId: String(stored.user), family: stored.family, ip: req.ip },
+      "Remember-me token reuse detected, family revoked"
+    );
+    return { theft: true, userId: String(stored.user) };
+  }
+
+  if (stored.revokedAt) {
+    return null;
+  }
+
+  // Only one concurrent use may win; the others see a fresh rotation
+  const result = await RememberToken.updateOne(
+    { _id: stored._id, rotatedAt: { $exists: false }, revokedAt: { $exists: false } },
+    { $set: { rotatedAt: new Date(), revokedAt: new Date() } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    return { stale: true };
+  }
+
+  return { userId: String(stored.user), family: stored.family };
+};
+
+/**
+ * Revokes the family of the given cookie (logout).
+ *
+ * @param {string} value - Cookie value
+ * @returns {Promise<boolean>} - False when the token is unknown
+ */
+const revokeRememberToken = async (value) => {
+  const stored = await findToken(value);
+
+  if (!stored) {
+    return false;
+  }
+
+  await revokeFamilies([stored.family]);
+  return true;
+};
+
+/**
+ * Revokes a user's tokens (password change, "sign out everywhere").
+ *
+ * @param {string} userId
+ * @param {string} [exceptSid] - Keeps the family bound to this session
+ * @returns {Promise<void>}
+ */
+const revokeUserRememberTokens = async (userId, exceptSid) => {
+  const keep = exceptSid
+    ? await RememberToken.distinct("family", { user: userId, sid: exceptSid })
+    : [];
+
+  await RememberToken.updateMany(
+    { user: userId, family: { $nin: keep }, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Revokes the tokens bound to a session, so a revoked session stays signed out.
+ *
+ * @param {string} sid
+ * @returns {Promise<void>}
+ */
+const revokeSessionRememberTokens = async (sid) => {
+  await revokeFamilies(await RememberToken.distinct("family", { sid }));
+};
+
+export {
+  rememberUser,
+  consumeRememberToken,
+  revokeRememberToken,
+  revokeUserRememberTokens,
+  revokeSessionRememberTokens,
+  rememberCookieOf,
+  clearRememberCookie,
+};
@@ -0,0 +1,28 @@
+import MongoStore from "connect-mongo";
+import { config } from "../config/index.js";
+
+/** Idle lifetime of a login session, in seconds; "Remember me" outlasts it */
+export const SESSION_TTL_SECONDS = config.session.ttlMinutes * 60;
+
+/**
+ * Shared MongoDB session store.
+ * Exported so sessions can be listed and destroyed outside of their own request.
+ */
+const sessionStore = MongoStore.create({
+  mongoUrl: config.mongo.uri,
+  ttl: SESSION_TTL_SECONDS,
+});
+
+/**
+ * Destroys a stored session by id.
+ *
+ * @param {string} sid - Session id
+ * @returns {Promise<void>}
+ */
+const destroyStoredSession = (sid) =>
+  new Promise((resolve, reject) => {
+    sessionStore.destroy(sid, (err) => (err ? reject(err) : resolve()));
+  });
+
+export { sessionStore, destroyStoredSession };
+export default sessionStore;
@@ -0,0 +1,41 @@
+import { permissionsFor } from "../config/roles.js";
+import { recordSession } from "../services/sessions.js";
+
+/**
+ * Starts an authenticated session for a user.
+ * The session id is regenerated first so a pre-login id cannot be reused
+ * (session fixation); anything stored before, like a pending second factor,
+ * is dropped with it, except the language picked before logging in. The
+ * session is also recorded so it shows up in the user's session list.
+ *
+ * @param {import("express").Request} req - Current request
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const createUserSession = (req, user) =>
+  new Promise((resolve, reject) => {
+    const { locale } = req.session;
+
+    req.session.regenerate((err) => {
+      if (err) {
+        return reject(err);
+      }
+
+      req.session.locale = locale;
+      req.session.user = {
+        id: user.id,
+        nama: user.nama,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt,
+        role: user.role,
+        permissions: permissionsFor(user.role),
+        locale: user.locale,
+      };
+      req.session.lastSeenAt = Date.now();
+
+      return recordSession(req, user.id).then(resolve, reject);
+    });
+  });
+
+export { createUserSession };
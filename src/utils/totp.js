@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import { config } from "../config/index.js";
+
+// -----------------------------------------------------------------------------
+// Configuration (RFC 6238 defaults, understood by every authenticator app)
+// -----------------------------------------------------------------------------
+
+/** Time step in seconds */
+export const TOTP_STEP = 30;
+
+/** Number of digits in a code */
+export const TOTP_DIGITS = 6;
+
+/** Steps accepted before/after the current one to absorb clock drift */
+export const TOTP_WINDOW = 1;
+
+/** Issuer name shown in authenticator apps */
+export const TOTP_ISSUER = config.totp.issuer;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// -----------------------------------------------------------------------------
+// Base32 (RFC 4648, no padding)
+// -----------------------------------------------------------------------------
+
+/**
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * @param {string} input - Base32 string (case and spaces ignored)
+ * @returns {Buffer} - Raw bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error("Invalid base32 character.");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// -----------------------------------------------------------------------------
+// TOTP
+// -----------------------------------------------------------------------------
+
+/**
+ * Generates a new random shared secret.
+ *
+ * @param {number} size - Secret byte length (default: 20, as in RFC 4226)
+ * @returns {string} - Base32 encoded secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Computes the code for a given time step (HOTP with the step as counter).
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded numeric code
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Returns the time step for a timestamp.
+ *
+ * @param {number} time - Milliseconds since epoch (default: now)
+ * @returns {number}
+ */
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP);
+
+/**
+ * Checks a code against the secret, allowing TOTP_WINDOW steps of drift.
+ * Returns the matching step so callers can refuse replays of the same code.
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [time] - Milliseconds since epoch (default: now)
+ * @returns {number|null} - Matching step, or null when the code is wrong
+ */
+const verifyTotp = (secret, code, time = Date.now()) => {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const step = currentStep(time);
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const expected = codeForStep(secret, step + drift);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI understood by authenticator apps.
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} account - Account label, usually the email
+ * @returns {string}
+ */
+const otpauthUri = (secret, account) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP),
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  codeForStep,
+  currentStep,
+  verifyTotp,
+  otpauthUri,
+};
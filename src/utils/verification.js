@@ -0,0 +1,74 @@
+import { VERIFICATION_TOKEN_TTL_HOURS } from "../models/users.js";
+import { absoluteUrl, mailLocale, sendMail } from "./mailer.js";
+import { config } from "../config/index.js";
+
+// -----------------------------------------------------------------------------
+// Configuration
+// -----------------------------------------------------------------------------
+
+/**
+ * How unverified accounts are treated:
+ * - "block"  : cannot log in until the email is verified
+ * - "banner" : can log in, but see a reminder banner
+ * - "grace"  : like "banner" for EMAIL_VERIFICATION_GRACE_HOURS, then "block"
+ */
+export const VERIFICATION_MODE = config.emailVerification.mode;
+
+/** Grace period for unverified accounts in "grace" mode, in hours */
+export const GRACE_PERIOD_HOURS = config.emailVerification.graceHours;
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Decides what an account may do given its verification state.
+ * Works with both user documents and `req.session.user`.
+ *
+ * @param {{ emailVerified?: boolean, createdAt?: Date|string }} user
+ * @returns {"allow"|"banner"|"block"}
+ */
+const verificationAccess = (user) => {
+  if (user.emailVerified) {
+    return "allow";
+  }
+
+  if (VERIFICATION_MODE === "banner") {
+    return "banner";
+  }
+
+  if (VERIFICATION_MODE === "grace" && user.createdAt) {
+    const deadline = new Date(user.createdAt).getTime() + GRACE_PERIOD_HOURS * 60 * 60 * 1000;
+    return Date.now() < deadline ? "banner" : "block";
+  }
+
+  return "block";
+};
+
+/**
+ * Issues a fresh verification token and emails the link.
+ * With a `pendingEmail` set, the link goes to the new address and opening
+ * it makes that address the account email.
+ *
+ * @param {import("express").Request} req - Current request (used for the link host)
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (req, user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendMail({
+    to: user.pendingEmail || user.email,
+    subject: "emails.verifyEmail.subject",
+    template: "verify-email",
+    data: {
+      nama: user.nama,
+      link: absoluteUrl(req, `/verify-email/${token}`),
+      expiresInHours: VERIFICATION_TOKEN_TTL_HOURS,
+    },
+    locale: mailLocale(req, user),
+  });
+};
+
+export { verificationAccess, sendVerificationEmail };
@@ -0,0 +1,554 @@
+import crypto from "crypto";
+import { config } from "../config/index.js";
+import { decode, decodeFirst } from "./cbor.js";
+
+// -----------------------------------------------------------------------------
+// WebAuthn (passkeys)
+// -----------------------------------------------------------------------------
+//
+// Server side of the two ceremonies, following WebAuthn Level 2 §7:
+// registration (navigator.credentials.create) and authentication
+// (navigator.credentials.get). Challenges live in the session and can be
+// used once. Attestation formats "none" and "packed" are understood; a
+// packed statement is checked for integrity, not against a vendor metadata
+// service, so it proves which key made the credential, not who built it.
+//
+// Passkeys replace the password, so user verification (PIN, biometrics) is
+// required: a passkey login counts as two factors.
+
+/** COSE algorithms accepted, in order of preference */
+const ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257,
+};
+
+/** Authenticator data flags */
+const FLAGS = {
+  userPresent: 0x01,
+  userVerified: 0x04,
+  backupEligible: 0x08,
+  backedUp: 0x10,
+  attestedCredentialData: 0x40,
+  extensionData: 0x80,
+};
+
+/**
+ * A response that does not verify. `message` is a catalog key;
+ * `reason` is the short code written to the audit log.
+ */
+export class WebAuthnError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = "WebAuthnError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * @typedef {Object} StoredPasskey
+ * @property {string} credentialId - base64url
+ * @property {string} publicKey - COSE key, base64url
+ * @property {number} algorithm - COSE algorithm
+ * @property {number} signCount
+ */
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+const fromBase64url = (value, field) => {
+  if (typeof value !== "string" || !/^[\w-]*$/.test(value)) {
+    throw new WebAuthnError("passkeys.invalid", `malformed_${field}`);
+  }
+
+  return Buffer.from(value, "base64url");
+};
+
+/**
+ * Relying party for the request: configured, else taken from APP_URL,
+ * else from the request itself (development).
+ *
+ * @param {import("express").Request} req
+ * @returns {{ id: string, name: string, origins: string[] }}
+ */
+const relyingParty = (req) => {
+  const { rpId, rpName, origins } = config.webauthn;
+  const base = config.app.url ? new URL(config.app.url) : null;
+
+  return {
+    id: rpId ?? base?.hostname ?? req.hostname,
+    name: rpName,
+    origins:
+      origins.length > 0
+        ? origins
+        : [base?.origin ?? `${req.protocol}://${req.get("host")}`],
+  };
+};
+
+/**
+ * COSE public key (RFC 9053) to a Node key object.
+ *
+ * @param {Buffer} coseKey
+ * @returns {{ key: crypto.KeyObject, algorithm: number }}
+ */
+const importCoseKey = (coseKey) => {
+  const cose = coseKey instanceof Map ? coseKey : decode(coseKey);
+  const kty = cose.get(1);
+  const algorithm = cose.get(3);
+  const b64 = (label) => Buffer.from(cose.get(label) ?? []).toString("base64url");
+  let jwk;
+
+  if (kty === 2 && algorithm === ALGORITHMS.ES256 && cose.get(-1) === 1) {
+    jwk = { kty: "EC", crv: "P-256", x: b64(-2), y: b64(-3) };
+  } else if (kty === 3 && algorithm === ALGORITHMS.RS256) {
+    jwk = { kty: "RSA", n: b64(-1), e: b64(-2) };
+  } else if (kty === 1 && algorithm === ALGORITHMS.EdDSA && cose.get(-1) === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: b64(-2) };
+  } else {
+    throw new WebAuthnError("passkeys.invalid", "unsupported_algorithm");
+  }
+
+  try {
+    return { key: crypto.createPublicKey({ key: jwk, format: "jwk" }), algorithm };
+  } catch {
+    throw new WebAuthnError("passkeys.invalid", "invalid_public_key");
+  }
+};
+
+/**
+ * Verifies a signature made with a COSE algorithm.
+ *
+ * @param {number} algorithm
+ * @param {crypto.KeyObject} key
+ * @param {Buffer} data
+ * @param {Buffer} signature
+ * @returns {boolean}
+ */
+const verifySignature = (algorithm, key, data, signature) => {
+  try {
+    switch (algorithm) {
+      case ALGORITHMS.ES256:
+        return crypto.verify("sha256", data, { key, dsaEncoding: "der" }, signature);
+      case ALGORITHMS.RS256:
+        return crypto.verify("sha256", data, key, signature);
+      case ALGORITHMS.EdDSA:
+        return crypto.verify(null, data, key, signature);
+      default:
+        return false;
+    }
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Parses authenticator data (§6.1).
+ *
+ * @param {Buffer} data
+ * @returns {Object}
+ */
+const parseAuthenticatorData = (data) => {
+  if (data.length < 37) {
+    throw new WebAuthnError("passkeys.invalid", "malformed_authenticator_data");
+  }
+
+  const flags = data[32];
+  const parsed = {
+    rpIdHash: data.subarray(0, 32),
+    userPresent: Boolean(flags & FLAGS.userPresent),
+    userVerified: Boolean(flags & FLAGS.userVerified),
+    backupEligible: Boolean(flags & FLAGS.backupEligible),
+    backedUp: Boolean(flags & FLAGS.backedUp),
+    signCount: data.readUInt32BE(33),
+  };
+  let offset = 37;
+
+  try {
+    if (flags & FLAGS.attestedCredentialData) {
+      const idLength = data.readUInt16BE(offset + 16);
+
+      parsed.aaguid = data.subarray(offset, offset + 16).toString("hex");
+      parsed.credentialId = data.subarray(offset + 18, offset + 18 + idLength);
+      offset += 18 + idLength;
+
+      const { value, length } = decodeFirst(data, offset);
+      parsed.credentialPublicKey = data.subarray(offset, offset + length);
+      parsed.coseKey = value;
+      offset += length;
+    }
+
+    if (flags & FLAGS.extensionData) {
+      offset += decodeFirst(data, offset).length;
+    }
+  } catch (error) {
+    if (error instanceof WebAuthnError) {
+      throw error;
+    }
+
+    throw new WebAuthnError("passkeys.invalid", "malformed_authenticator_data");
+  }
+
+  if (offset !== data.length) {
+    throw new WebAuthnError("passkeys.invalid", "malformed_authenticator_data");
+  }
+
+  return parsed;
+};
+
+/**
+ * Checks the client data (§7.1 steps 5–12, §7.2 steps 10–15).
+ *
+ * @param {string} encoded - base64url clientDataJSON
+ * @param {string} type - "webauthn.create" or "webauthn.get"
+ * @param {string} challenge - Expected challenge, base64url
+ * @param {string[]} origins - Allowed origins
+ * @returns {Buffer} - The raw JSON, hashed into the signed data
+ */
+const checkClientData = (encoded, type, challenge, origins) => {
+  const raw = fromBase64url(encoded, "client_data");
+  let clientData;
+
+  try {
+    clientData = JSON.parse(raw.toString("utf8"));
+  } catch {
+    throw new WebAuthnError("passkeys.invalid", "malformed_client_data");
+  }
+
+  if (clientData.type !== type) {
+    throw new WebAuthnError("passkeys.invalid", "wrong_type");
+  }
+
+  if (clientData.challenge !== challenge) {
+    throw new WebAuthnError("passkeys.invalid", "wrong_challenge");
+  }
+
+  if (!origins.includes(clientData.origin) || clientData.crossOrigin === true) {
+    throw new WebAuthnError("passkeys.invalid", "wrong_origin");
+  }
+
+  return raw;
+};
+
+/**
+ * Checks the flags and RP id hash shared by both ceremonies.
+ */
+const checkAuthenticatorData = (authData, rpId) => {
+  if (!crypto.timingSafeEqual(authData.rpIdHash, sha256(rpId))) {
+    throw new WebAuthnError("passkeys.invalid", "wrong_rp_id");
+  }
+
+  if (!authData.userPresent) {
+    throw new WebAuthnError("passkeys.invalid", "user_not_present");
+  }
+
+  if (!authData.userVerified) {
+    throw new WebAuthnError("passkeys.userVerificationRequired", "user_not_verified");
+  }
+};
+
+/**
+ * Verifies a "packed" attestation statement (§8.2): signed by an
+ * attestation certificate (x5c), or by the credential key itself.
+ *
+ * @param {Map} statement - attStmt
+ * @param {Buffer} signedData - authData || SHA-256(clientDataJSON)
+ * @param {Object} authData - Parsed authenticator data
+ */
+const verifyPackedAttestation = (statement, signedData, authData) => {
+  const algorithm = statement.get("alg");
+  const signature = statement.get("sig");
+  const x5c = statement.get("x5c");
+
+  if (typeof algorithm !== "number" || !Buffer.isBuffer(signature)) {
+    throw new WebAuthnError("passkeys.invalid", "malformed_attestation");
+  }
+
+  if (!x5c) {
+    // Self attestation: signed with the new credential's own key
+    const { key, algorithm: keyAlgorithm } = importCoseKey(authData.coseKey);
+
+    if (algorithm !== keyAlgorithm || !verifySignature(algorithm, key, signedData, signature)) {
+      throw new WebAuthnError("passkeys.invalid", "bad_attestation_signature");
+    }
+
+    return;
+  }
+
+  let certificate;
+
+  try {
+    certificate = new crypto.X509Certificate(x5c[0]);
+  } catch {
+    throw new WebAuthnError("passkeys.invalid", "malformed_attestation");
+  }
+
+  const now = Date.now();
+  const subject = certificate.subject.split("\n");
+
+  // §8.2.1 certificate requirements that can be checked without a trust store
+  if (
+    certificate.ca ||
+    !subject.includes("OU=Authenticator Attestation") ||
+    now < Date.parse(certificate.validFrom) ||
+    now > Date.parse(certificate.validTo)
+  ) {
+    throw new WebAuthnError("passkeys.invalid", "bad_attestation_certificate");
+  }
+
+  if (!verifySignature(algorithm, certificate.publicKey, signedData, signature)) {
+    throw new WebAuthnError("passkeys.invalid", "bad_attestation_signature");
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Challenges
+// -----------------------------------------------------------------------------
+
+/**
+ * Starts a ceremony: a new challenge, remembered in the session.
+ *
+ * @param {import("express").Request} req
+ * @param {"registration"|"authentication"} type
+ * @returns {string} - Challenge, base64url
+ */
+const startCeremony = (req, type) => {
+  const challenge = crypto.randomBytes(32).toString("base64url");
+
+  req.session.webauthn = {
+    type,
+    challenge,
+    expiresAt: Date.now() + config.webauthn.timeoutSeconds * 1000,
+  };
+
+  return challenge;
+};
+
+/**
+ * Takes the pending challenge out of the session; each can be answered once.
+ *
+ * @param {import("express").Request} req
+ * @param {"registration"|"authentication"} type
+ * @returns {string}
+ */
+const takeChallenge = (req, type) => {
+  const pending = req.session?.webauthn;
+  delete req.session?.webauthn;
+
+  if (!pending || pending.type !== type || pending.expiresAt < Date.now()) {
+    throw new WebAuthnError("passkeys.expired", "challenge_expired");
+  }
+
+  return pending.challenge;
+};
+
+/**
+ * Drops the pending challenge without answering it, e.g. when the
+ * credential is unknown and verification never starts.
+ *
+ * @param {import("express").Request} req
+ */
+const cancelCeremony = (req) => {
+  delete req.session?.webauthn;
+};
+
+// -----------------------------------------------------------------------------
+// Registration
+// -----------------------------------------------------------------------------
+
+/**
+ * Options for navigator.credentials.create, binary fields as base64url.
+ *
+ * @param {import("express").Request} req
+ * @param {Object} user - User document
+ * @returns {Object} - PublicKeyCredentialCreationOptions
+ */
+const registrationOptions = (req, user) => {
+  const rp = relyingParty(req);
+
+  return {
+    challenge: startCeremony(req, "registration"),
+    rp: { id: rp.id, name: rp.name },
+    user: {
+      id: Buffer.from(String(user._id), "hex").toString("base64url"),
+      name: user.email,
+      displayName: user.nama,
+    },
+    pubKeyCredParams: Object.values(ALGORITHMS).map((alg) => ({ type: "public-key", alg })),
+    timeout: config.webauthn.timeoutSeconds * 1000,
+    attestation: config.webauthn.attestation,
+    excludeCredentials: (user.passkeys ?? []).map((passkey) => ({
+      type: "public-key",
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+    authenticatorSelection: {
+      residentKey: "required",
+      requireResidentKey: true,
+      userVerification: "required",
+    },
+  };
+};
+
+/**
+ * Verifies the response of navigator.credentials.create (§7.1).
+ *
+ * @param {import("express").Request} req
+ * @param {Object} credential - PublicKeyCredential as JSON, binary fields base64url
+ * @returns {Object} - Passkey to store
+ */
+const verifyRegistration = (req, credential) => {
+  const challenge = takeChallenge(req, "registration");
+  const rp = relyingParty(req);
+  const response = credential?.response ?? {};
+
+  if (credential?.type !== "public-key") {
+    throw new WebAuthnError("passkeys.invalid", "wrong_credential_type");
+  }
+
+  const clientDataJSON = checkClientData(response.clientDataJSON, "webauthn.create", challenge, rp.origins);
+  let attestation;
+
+  try {
+    attestation = decode(fromBase64url(response.attestationObject, "attestation"));
+  } catch (error) {
+    throw error instanceof WebAuthnError ? error : new WebAuthnError("passkeys.invalid", "malformed_attestation");
+  }
+
+  const format = attestation?.get?.("fmt");
+  const statement = attestation?.get?.("attStmt");
+  const rawAuthData = attestation?.get?.("authData");
+
+  if (!Buffer.isBuffer(rawAuthData) || !(statement instanceof Map)) {
+    throw new WebAuthnError("passkeys.invalid", "malformed_attestation");
+  }
+
+  const authData = parseAuthenticatorData(rawAuthData);
+  checkAuthenticatorData(authData, rp.id);
+
+  if (!authData.credentialId) {
+    throw new WebAuthnError("passkeys.invalid", "no_credential_data");
+  }
+
+  // Fails early on algorithms not asked for
+  const { algorithm } = importCoseKey(authData.coseKey);
+
+  if (format === "none") {
+    if (statement.size > 0) {
+      throw new WebAuthnError("passkeys.invalid", "malformed_attestation");
+    }
+  } else if (format === "packed") {
+    verifyPackedAttestation(statement, Buffer.concat([rawAuthData, sha256(clientDataJSON)]), authData);
+  } else {
+    throw new WebAuthnError("passkeys.invalid", "unsupported_attestation");
+  }
+
+  const credentialId = authData.credentialId.toString("base64url");
+
+  if (credential.rawId !== undefined && credential.rawId !== credentialId) {
+    throw new WebAuthnError("passkeys.invalid", "credential_id_mismatch");
+  }
+
+  const transports = Array.isArray(response.transports)
+    ? response.transports.filter((transport) => typeof transport === "string").slice(0, 8)
+    : undefined;
+
+  return {
+    credentialId,
+    publicKey: authData.credentialPublicKey.toString("base64url"),
+    algorithm,
+    signCount: authData.signCount,
+    transports,
+    aaguid: authData.aaguid,
+    attestationFormat: format,
+    backedUp: authData.backedUp,
+  };
+};
+
+// -----------------------------------------------------------------------------
+// Authentication
+// -----------------------------------------------------------------------------
+
+/**
+ * Options for navigator.credentials.get. No allowCredentials: the
+ * authenticator offers the user's passkeys for this site (discoverable
+ * credentials), so nothing is typed before signing in.
+ *
+ * @param {import("express").Request} req
+ * @returns {Object} - PublicKeyCredentialRequestOptions
+ */
+const authenticationOptions = (req) => ({
+  challenge: startCeremony(req, "authentication"),
+  rpId: relyingParty(req).id,
+  timeout: config.webauthn.timeoutSeconds * 1000,
+  userVerification: "required",
+});
+
+/**
+ * Credential id of an assertion, to look the passkey up before verifying.
+ *
+ * @param {Object} credential
+ * @returns {string}
+ */
+const assertionCredentialId = (credential) => {
+  const id = credential?.rawId ?? credential?.id;
+  return fromBase64url(id, "credential_id").toString("base64url");
+};
+
+/**
+ * Verifies the response of navigator.credentials.get (§7.2) against the
+ * stored passkey.
+ *
+ * The signature counter must go up; a counter at or below the stored one
+ * means the authenticator was cloned. Authenticators without a counter
+ * (most synced passkeys) always send 0 and are let through.
+ *
+ * @param {import("express").Request} req
+ * @param {Object} credential - PublicKeyCredential as JSON, binary fields base64url
+ * @param {StoredPasskey} passkey
+ * @param {string} userId - Owner of the passkey
+ * @returns {{ signCount: number, backedUp: boolean }}
+ */
+const verifyAuthentication = (req, credential, passkey, userId) => {
+  const challenge = takeChallenge(req, "authentication");
+  const rp = relyingParty(req);
+  const response = credential?.response ?? {};
+
+  if (credential?.type !== "public-key") {
+    throw new WebAuthnError("passkeys.invalid", "wrong_credential_type");
+  }
+
+  if (response.userHandle && fromBase64url(response.userHandle, "user_handle").toString("hex") !== String(userId)) {
+    throw new WebAuthnError("passkeys.invalid", "wrong_user_handle");
+  }
+
+  const clientDataJSON = checkClientData(response.clientDataJSON, "webauthn.get", challenge, rp.origins);
+  const rawAuthData = fromBase64url(response.authenticatorData, "authenticator_data");
+  const authData = parseAuthenticatorData(rawAuthData);
+  checkAuthenticatorData(authData, rp.id);
+
+  const { key, algorithm } = importCoseKey(Buffer.from(passkey.publicKey, "base64url"));
+  const signedData = Buffer.concat([rawAuthData, sha256(clientDataJSON)]);
+
+  if (!verifySignature(algorithm, key, signedData, fromBase64url(response.signature, "signature"))) {
+    throw new WebAuthnError("passkeys.invalid", "bad_signature");
+  }
+
+  if ((authData.signCount !== 0 || passkey.signCount !== 0) && authData.signCount <= passkey.signCount) {
+    throw new WebAuthnError("passkeys.cloned", "sign_count_regression");
+  }
+
+  return { signCount: authData.signCount, backedUp: authData.backedUp };
+};
+
+export {
+  ALGORITHMS,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  assertionCredentialId,
+  verifyAuthentication,
+  cancelCeremony,
+};
@@ -1,30 +1,97 @@
 import validator from "validator";
 import passwordValidator from "password-validator";
+import { PASSWORD_POLICY } from "../config/password-policy.js";
+import { isBreachedPassword } from "../utils/breached-passwords.js";
+import { DEFAULT_LOCALE, translator } from "../i18n/index.js";
+
+/** Used when the caller does not pass `req.t` */
+const defaultT = translator(DEFAULT_LOCALE);
+
+/** Always refused, even without a breached-password list */
+const COMMON_PASSWORDS = ["Password123!", "Passw0rd!", "12345678!Aa"];
 
 /**
  * Build password validation schema
+ * @param {import("../config/password-policy.js").PasswordPolicy} [policy]
  * @returns {passwordValidator} Password schema instance
  */
-const createPasswordSchema = () => {
+const createPasswordSchema = (policy = PASSWORD_POLICY) => {
   const schema = new passwordValidator();
 
   schema
-    .is().min(8) // Minimum length 8
-    .is().max(100) // Maximum length 100
-    .has().uppercase() // At least one uppercase
-    .has().lowercase() // At least one lowercase
-    .has().digits(1) // Must contain at least 1 digit
-    .has().symbols(1) // Must contain at least 1 symbol
+    .is().min(policy.minLength) // Minimum length
+    .is().max(policy.maxLength); // Maximum length
+
+  // Required character classes: uppercase, lowercase, digits, symbols
+  policy.require.forEach((characterClass) => {
+    schema.has()[characterClass]();
+  });
+
+  schema
     .has().not().spaces() // No spaces allowed
-    .is().not().oneOf([
-      "Password123!",
-      "Passw0rd!",
-      "12345678!Aa",
-    ]); // Blacklist weak passwords
+    .is().not().oneOf(COMMON_PASSWORDS); // Blacklist weak passwords
 
   return schema;
 };
 
+/**
+ * Failure reasons per password-validator rule.
+ * @type {Object<string, (t: Function, failure: { arguments?: any }) => string>}
+ */
+const PASSWORD_RULE_MESSAGES = {
+  min: (t, failure) => t("password.min", { min: failure.arguments }),
+  max: (t, failure) => t("password.max", { max: failure.arguments }),
+  uppercase: (t) => t("password.uppercase"),
+  lowercase: (t) => t("password.lowercase"),
+  digits: (t) => t("password.digits"),
+  symbols: (t) => t("password.symbols"),
+  spaces: (t) => t("password.spaces"),
+  oneOf: (t) => t("password.common"),
+};
+
+/**
+ * Checks whether a password contains the user's name or email.
+ * Name parts and the email's local part shorter than 3 characters are ignored.
+ *
+ * @param {string} password
+ * @param {{ nama?: string, email?: string }} user
+ * @returns {boolean}
+ */
+const containsPersonalInfo = (password, { nama, email } = {}) => {
+  const lowered = password.toLowerCase();
+  const localPart = email ? String(email).split("@")[0] : "";
+  const parts = [...String(nama ?? "").split(/\s+/), localPart, String(email ?? "")];
+
+  return parts
+    .map((part) => part.toLowerCase())
+    .some((part) => part.length >= 3 && lowered.includes(part));
+};
+
+/**
+ * Lists every reason a password breaks the policy.
+ *
+ * @param {string} password - Plain text password
+ * @param {{ nama?: string, email?: string }} [user] - Owner, for the personal-info check
+ * @param {Function} [t] - Translate function, e.g. `req.t`
+ * @param {import("../config/password-policy.js").PasswordPolicy} [policy]
+ * @returns {string[]} - Empty when the password is acceptable
+ */
+const checkPassword = (password, user = {}, t = defaultT, policy = PASSWORD_POLICY) => {
+  const reasons = createPasswordSchema(policy)
+    .validate(password, { details: true })
+    .map((failure) => PASSWORD_RULE_MESSAGES[failure.validation]?.(t, failure) ?? failure.message);
+
+  if (policy.forbidPersonalInfo && containsPersonalInfo(password, user)) {
+    reasons.push(t("password.personalInfo"));
+  }
+
+  if (isBreachedPassword(password)) {
+    reasons.push(t("password.breached"));
+  }
+
+  return reasons;
+};
+
 /**
  * Sanitizes input data to prevent XSS / injection attacks
  * @param {Object} data - Raw input object
@@ -36,7 +103,7 @@ const sanitization = (data = {}) => {
   Object.keys(data).forEach((key) => {
     if (typeof data[key] === "string") {
       // For passwords, only trim — no escape
-      if (key === "password" || key === "confirmPassword") {
+      if (["password", "confirmPassword", "currentPassword"].includes(key)) {
         sanitized[key] = validator.trim(data[key]);
       } else {
         sanitized[key] = validator.escape(validator.trim(data[key]));
@@ -54,7 +121,7 @@ const sanitization = (data = {}) => {
  * @param {Object} rawData - Raw request body
  * @param {Array<string>} requiredFields - Fields that must be present
  * @param {Object} options - Extra validation settings
- * @returns {{ messages: string[], data: Object, isValid: boolean }}
+ * @returns {{ messages: string[], errors: Array<{ field: string, message: string }>, data: Object, isValid: boolean }}
  */
 const validation = (rawData = {}, requiredFields = [], options = {}) => {
   const defaultOptions = {
@@ -63,12 +130,21 @@ const validation = (rawData = {}, requiredFields = [], options = {}) => {
     passwordMatchField: null,
     customValidators: {},
     allowedDomains: [],
+    user: null, // { nama, email } when the form does not carry them
+    t: defaultT, // Translate function; pass `req.t` for the visitor's language
   };
 
   const settings = { ...defaultOptions, ...options };
   const messages = [];
+  const errors = [];
   const sanitizedData = sanitization(rawData);
 
+  // Keep a flat list for flash messages and a per-field list for JSON clients
+  const addError = (field, message) => {
+    messages.push(message);
+    errors.push({ field, message });
+  };
+
   // Default required fields
   if (requiredFields.length === 0) {
     requiredFields = ["email", "password"];
@@ -77,13 +153,35 @@ const validation = (rawData = {}, requiredFields = [], options = {}) => {
     }
   }
 
-  const formatField = (field) =>
-    field.charAt(0).toUpperCase() + field.slice(1);
+  const { t } = settings;
+
+  // Field label from the catalog, e.g. fields.email
+  const formatField = (field) => t(`fields.${field}`);
+
+  // A JSON body can send objects or arrays; the checks below only take text
+  const checkedFields = new Set([
+    ...requiredFields,
+    "email",
+    "password",
+    settings.passwordMatchField,
+    ...Object.keys(settings.customValidators),
+  ]);
+
+  checkedFields.forEach((field) => {
+    if (field && sanitizedData[field] !== undefined && typeof sanitizedData[field] !== "string") {
+      addError(field, t("validation.invalid", { field: formatField(field) }));
+      delete sanitizedData[field];
+    }
+  });
 
   // Required-field validation
   requiredFields.forEach((field) => {
+    if (errors.some((error) => error.field === field)) {
+      return;
+    }
+
     if (!sanitizedData[field] || validator.isEmpty(String(sanitizedData[field]))) {
-      messages.push(`${formatField(field)} is required`);
+      addError(field, t("validation.required", { field: formatField(field) }));
     }
   });
 
@@ -94,17 +192,16 @@ const validation = (rawData = {}, requiredFields = [], options = {}) => {
     !validator.isEmpty(sanitizedData.email)
   ) {
     if (!validator.isEmail(sanitizedData.email)) {
-      messages.push("Invalid email format");
+      addError("email", t("validation.invalidEmail"));
     }
 
     // Optional domain restriction
     if (settings.allowedDomains.length > 0) {
       const domain = sanitizedData.email.split("@")[1];
       if (!settings.allowedDomains.includes(domain)) {
-        messages.push(
-          `Email must use one of the following domains: ${settings.allowedDomains.join(
-            ", "
-          )}`
+        addError(
+          "email",
+          t("validation.emailDomain", { domains: settings.allowedDomains.join(", ") })
         );
       }
     }
@@ -116,14 +213,11 @@ const validation = (rawData = {}, requiredFields = [], options = {}) => {
     sanitizedData.password &&
     !validator.isEmpty(sanitizedData.password)
   ) {
-    const schema = createPasswordSchema();
-    const validationList = schema.validate(sanitizedData.password, { list: true });
+    const owner = settings.user ?? { nama: rawData.nama, email: rawData.email };
 
-    if (validationList.length > 0) {
-      messages.push(
-        "Password must be at least 8 characters, include uppercase, lowercase, number, and symbol"
-      );
-    }
+    checkPassword(sanitizedData.password, owner, t).forEach((reason) => {
+      addError("password", reason);
+    });
 
     // Confirm password match
     if (
@@ -131,7 +225,7 @@ const validation = (rawData = {}, requiredFields = [], options = {}) => {
       sanitizedData[settings.passwordMatchField] &&
       sanitizedData.password !== sanitizedData[settings.passwordMatchField]
     ) {
-      messages.push("Password confirmation does not match");
+      addError(settings.passwordMatchField, t("validation.passwordMismatch"));
     }
   }
 
@@ -139,16 +233,17 @@ const validation = (rawData = {}, requiredFields = [], options = {}) => {
   Object.keys(settings.customValidators).forEach((field) => {
     if (sanitizedData[field] !== undefined) {
       const validatorFn = settings.customValidators[field];
-      const result = validatorFn(sanitizedData[field], sanitizedData);
+      const result = validatorFn(sanitizedData[field], sanitizedData, t);
 
       if (result !== true) {
-        messages.push(result);
+        addError(field, result);
       }
     }
   });
 
   return {
     messages,
+    errors,
     data: sanitizedData,
     isValid: messages.length === 0,
   };
@@ -156,25 +251,27 @@ const validation = (rawData = {}, requiredFields = [], options = {}) => {
 
 /**
  * Helper to create a custom field validator
- * @param {Object} rules - Validation rules
+ * @param {Object} rules - Validation rules; `fieldName` is a key under `fields.` in the catalogs
  * @returns {Function} validation function
  */
 const createFieldValidator = (rules) => {
-  return (value, allData) => {
+  return (value, allData, t = defaultT) => {
+    const field = t(`fields.${rules.fieldName}`);
+
     if (rules.minLength && value.length < rules.minLength) {
-      return `${rules.fieldName} must be at least ${rules.minLength} characters`;
+      return t("validation.minLength", { field, min: rules.minLength });
     }
 
     if (rules.maxLength && value.length > rules.maxLength) {
-      return `${rules.fieldName} cannot exceed ${rules.maxLength} characters`;
+      return t("validation.maxLength", { field, max: rules.maxLength });
     }
 
     if (rules.pattern && !rules.pattern.test(value)) {
-      return rules.message || `${rules.fieldName} is invalid`;
+      return rules.message || t("validation.invalid", { field });
     }
 
     if (rules.custom && typeof rules.custom === "function") {
-      const customResult = rules.custom(value, allData);
+      const customResult = rules.custom(value, allData, t);
       if (customResult !== true) {
         return customResult;
       }
@@ -188,6 +285,7 @@ export {
   validation,
   sanitization,
   createPasswordSchema,
+  checkPassword,
   createFieldValidator,
 };
 